@@ -1,17 +1,17 @@
 const Address = require('../models/Address');
-const { validateCoordinates, calculateDistance } = require('../utils/locationUtils');
+const Setting = require('../models/Setting');
+const { validateCoordinates } = require('../utils/locationUtils');
+const { resolveDeliveryArea, describeOutOfArea } = require('../utils/deliveryZones');
+const { calculateDeliveryFee } = require('../utils/pricingService');
 const fetch = require('node-fetch');
 
-const MAX_DELIVERY_DISTANCE = 3.5; // km
+const loadDeliverySettings = (req) => Setting.findOne({ branchId: req.branchId })
+  .select('deliveryZones deliverySettings address');
 
-// Returns { lat, lng } for the branch using the already-resolved branchDoc on req.
-function getShopCoords(req) {
-  const doc = req.branchDoc;
-  if (doc && doc.latitude != null && doc.longitude != null) {
-    return { lat: doc.latitude, lng: doc.longitude };
-  }
-  // Fallback: Barcelona main branch
-  return { lat: 41.4036344, lng: 2.1986439 };
+// Resolves the delivery zone (or radius fallback) for coordinates in the request's branch.
+async function getDeliveryArea(req, latitude, longitude) {
+  const settings = await loadDeliverySettings(req);
+  return resolveDeliveryArea({ settings, branchDoc: req.branchDoc, latitude, longitude });
 }
 
 // Get all saved addresses for user
@@ -71,15 +71,14 @@ exports.saveAddress = async (req, res) => {
       });
     }
 
-    // Calculate distance from shop
-    const shop = getShopCoords(req);
-    const distance = calculateDistance(shop.lat, shop.lng, latitude, longitude);
+    // Check the address falls inside a delivery zone
+    const area = await getDeliveryArea(req, latitude, longitude);
 
-    if (distance > MAX_DELIVERY_DISTANCE) {
+    if (!area.canDeliver) {
       return res.status(400).json({
         success: false,
-        message: `Address is beyond our ${MAX_DELIVERY_DISTANCE}km delivery range`,
-        distance: distance.toFixed(1)
+        message: describeOutOfArea(area),
+        distance: area.distance.toFixed(1)
       });
     }
 
@@ -105,7 +104,8 @@ exports.saveAddress = async (req, res) => {
       success: true,
       message: 'Address saved successfully',
       data: newAddress,
-      distance: distance.toFixed(1)
+      distance: area.distance.toFixed(1),
+      zone: area.zone
     });
   } catch (error) {
     console.error('Save address error:', error);
@@ -214,14 +214,13 @@ exports.updateAddress = async (req, res) => {
         });
       }
 
-      const shop = getShopCoords(req);
-      const distance = calculateDistance(shop.lat, shop.lng, latitude, longitude);
+      const area = await getDeliveryArea(req, latitude, longitude);
 
-      if (distance > MAX_DELIVERY_DISTANCE) {
+      if (!area.canDeliver) {
         return res.status(400).json({
           success: false,
-          message: `Address is beyond our ${MAX_DELIVERY_DISTANCE}km delivery range`,
-          distance: distance.toFixed(1)
+          message: describeOutOfArea(area),
+          distance: area.distance.toFixed(1)
         });
       }
     }
@@ -359,16 +358,26 @@ exports.validateAddress = async (req, res) => {
       });
     }
 
-    const shop = getShopCoords(req);
-    const distance = calculateDistance(shop.lat, shop.lng, latitude, longitude);
-    const canDeliver = distance <= MAX_DELIVERY_DISTANCE;
+    const settings = await loadDeliverySettings(req);
+    const area = resolveDeliveryArea({ settings, branchDoc: req.branchDoc, latitude, longitude });
+    // Without a cart the free-delivery threshold is not applied; it is reported instead
+    const { fee, breakdown } = calculateDeliveryFee({
+      deliverySettings: settings?.deliverySettings,
+      deliveryArea: area,
+      deliveryType: 'delivery'
+    });
 
     res.json({
       success: true,
       data: {
-        distance: distance.toFixed(1),
-        canDeliver,
-        maxDistance: MAX_DELIVERY_DISTANCE
+        distance: area.distance.toFixed(1),
+        canDeliver: area.canDeliver,
+        maxDistance: area.maxDistance,
+        zone: area.zone,
+        deliveryFee: area.canDeliver ? fee : null,
+        freeDeliveryThreshold: breakdown.freeDeliveryThreshold || null,
+        minOrderAmount: area.canDeliver ? area.minOrderAmount : null,
+        estimatedDeliveryTime: area.canDeliver ? area.estimatedDeliveryTime : null
       }
     });
   } catch (error) {
@@ -0,0 +1,66 @@
+// Scheduled background jobs (node-cron).
+// Started once the database is connected; set ENABLE_JOBS=false to keep an
+// instance from running them (e.g. when several API instances share one DB).
+const cron = require('node-cron');
+const { releaseScheduledOrders, autoAcceptPendingOrders, cancelTimedOutOrders } = require('./orderJobs');
+const { invoiceMissingOrders } = require('../utils/invoiceService');
+const { reconcilePendingRefunds } = require('../utils/refundService');
+
+const JOBS = [
+  {
+    name: 'scheduled-order-release',
+    schedule: '* * * * *',
+    run: releaseScheduledOrders
+  },
+  {
+    name: 'order-auto-accept',
+    schedule: '* * * * *',
+    run: autoAcceptPendingOrders
+  },
+  {
+    name: 'order-timeout',
+    schedule: '* * * * *',
+    run: cancelTimedOutOrders
+  },
+  {
+    // Invoices orders whose paid/delivered event was missed
+    name: 'invoice-reconciliation',
+    schedule: '*/5 * * * *',
+    run: invoiceMissingOrders
+  },
+  {
+    // Settles gateway refunds that were still pending when issued
+    name: 'refund-reconciliation',
+    schedule: '*/5 * * * *',
+    run: reconcilePendingRefunds
+  }
+];
+
+let tasks = [];
+
+const startJobs = () => {
+  if (process.env.ENABLE_JOBS === 'false' || tasks.length > 0) return;
+
+  tasks = JOBS.map(job => cron.schedule(job.schedule, async () => {
+    try {
+      const count = await job.run();
+      if (count > 0) {
+        console.log(`Job ${job.name}: updated ${count} order(s)`);
+      }
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error.message);
+    }
+  }, { name: job.name, noOverlap: true }));
+
+  console.log(`Scheduled jobs started: ${JOBS.map(job => job.name).join(', ')}`);
+};
+
+const stopJobs = () => {
+  tasks.forEach(task => task.stop());
+  tasks = [];
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,201 @@
+// Background jobs driven by Setting.orderSettings:
+//   - scheduled orders are released to the kitchen preparationTime minutes before their slot
+//   - autoAcceptOrders: pending orders are confirmed without staff action
+//   - orderTimeout: pending orders nobody confirmed in time are cancelled
+// All run as the 'system' actor and only touch orders that are still in the
+// expected status at write time, so a staff member changing the same order at
+// the same moment always wins cleanly.
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const { ONLINE_PAYMENT_METHODS, checkTransition, isAwaitingPayment } = require('../utils/orderStatusMachine');
+const { SYSTEM_ACTOR, releaseCancelledOrder, buildTrackingUpdate } = require('../utils/orderLifecycle');
+const { sendOrderStatusNotification } = require('../utils/notificationService');
+const { sendNotificationToTopic } = require('../utils/firebaseAdmin');
+const { ORDER_EVENT_TYPES, publishOrderEvent, latestTrackingUpdate } = require('../utils/orderEvents');
+
+const DEFAULT_ORDER_TIMEOUT = 30; // minutes, matches the Setting schema default
+const MIN_ORDER_TIMEOUT = 5; // minutes, matches the Setting schema minimum
+
+// Move an order to `status` if it is still in the status it was read with;
+// returns the updated order or null
+const transitionOrder = async (order, status, message, extraSet = {}) => {
+  if (!checkTransition(order, status, SYSTEM_ACTOR.role).allowed) return null;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status, ...extraSet },
+      $push: { trackingUpdates: buildTrackingUpdate(status, message, SYSTEM_ACTOR) }
+    },
+    { new: true }
+  );
+
+  if (updated) {
+    publishOrderEvent(ORDER_EVENT_TYPES.STATUS, updated, { trackingUpdate: latestTrackingUpdate(updated) });
+  }
+  return updated;
+};
+
+const notifyCustomer = async (order, status, customMessage) => {
+  try {
+    await sendOrderStatusNotification(order.userId.toString(), order, status, customMessage);
+  } catch (error) {
+    console.error(`Order job: notification failed for order ${order.orderNumber}:`, error.message);
+  }
+};
+
+/**
+ * Hand scheduled orders to the kitchen once their slot is within preparationTime.
+ * Branches with autoAcceptOrders get them confirmed, others see them as pending.
+ * @returns {Promise<number>} Number of orders released
+ */
+const releaseScheduledOrders = async () => {
+  const now = new Date();
+
+  const orders = await Order.find({
+    status: 'scheduled',
+    $expr: {
+      $lte: [
+        { $subtract: ['$scheduledFor', { $multiply: [{ $ifNull: ['$preparationTime', 0] }, 60 * 1000] }] },
+        now
+      ]
+    }
+  }).select('_id branchId status deliveryType paymentMethod paymentStatus');
+  if (orders.length === 0) return 0;
+
+  const branchIds = [...new Set(orders.map(o => o.branchId.toString()))];
+  const settings = await Setting.find({ branchId: { $in: branchIds } }).select('branchId orderSettings');
+  const autoAcceptBranches = new Set(
+    settings.filter(s => s.orderSettings?.autoAcceptOrders).map(s => s.branchId.toString())
+  );
+
+  let released = 0;
+  for (const candidate of orders) {
+    // Orders still waiting for their online payment are confirmed once it succeeds
+    const autoAccept = autoAcceptBranches.has(candidate.branchId.toString()) && !isAwaitingPayment(candidate);
+    const order = await transitionOrder(
+      candidate,
+      autoAccept ? 'confirmed' : 'pending',
+      autoAccept ? 'Scheduled order released and accepted automatically' : 'Scheduled order released to the kitchen',
+      { releasedAt: now }
+    );
+    if (!order) continue;
+
+    released++;
+    try {
+      await sendNotificationToTopic(
+        `branch-${order.branchId.toString()}`,
+        '🗓️ Scheduled Order Due',
+        `Order #${order.orderNumber} for ${order.scheduledFor.toISOString()} is ready to prepare`,
+        {
+          type: 'new_order',
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          total: order.total.toString(),
+          branchId: order.branchId.toString(),
+          timestamp: new Date().toISOString()
+        }
+      );
+    } catch (error) {
+      console.error(`Order job: staff notification failed for order ${order.orderNumber}:`, error.message);
+    }
+    if (autoAccept) {
+      await notifyCustomer(order, 'confirmed');
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Confirm pending orders of branches that have autoAcceptOrders enabled.
+ * New orders are already created confirmed; this picks up anything left
+ * pending, e.g. orders placed before the setting was switched on.
+ * @returns {Promise<number>} Number of orders confirmed
+ */
+const autoAcceptPendingOrders = async () => {
+  const settings = await Setting.find({ 'orderSettings.autoAcceptOrders': true }).select('branchId');
+  if (settings.length === 0) return 0;
+
+  const orders = await Order.find({
+    branchId: { $in: settings.map(s => s.branchId) },
+    status: 'pending',
+    $nor: [{ paymentMethod: { $in: ONLINE_PAYMENT_METHODS }, paymentStatus: { $ne: 'paid' } }]
+  }).select('_id status deliveryType userId orderNumber paymentMethod paymentStatus');
+
+  let confirmed = 0;
+  for (const order of orders) {
+    const updated = await transitionOrder(order, 'confirmed', 'Order accepted automatically');
+    if (!updated) continue;
+
+    confirmed++;
+    await notifyCustomer(updated, 'confirmed');
+  }
+
+  return confirmed;
+};
+
+/**
+ * Cancel pending orders that were not confirmed within the branch's orderTimeout,
+ * restoring stock and coupon usage and notifying the customer. On branches
+ * that auto-accept, only online orders still waiting for their payment time out.
+ * @returns {Promise<number>} Number of orders cancelled
+ */
+const cancelTimedOutOrders = async () => {
+  const now = Date.now();
+
+  // Nothing can time out sooner than the smallest allowed timeout.
+  // Released scheduled orders are timed from their release, not their creation.
+  const minCutoff = new Date(now - MIN_ORDER_TIMEOUT * 60 * 1000);
+  const candidates = await Order.find({
+    status: 'pending',
+    $or: [
+      { releasedAt: { $lte: minCutoff } },
+      { releasedAt: { $exists: false }, createdAt: { $lte: minCutoff } }
+    ]
+  }).select('_id branchId status deliveryType createdAt releasedAt paymentMethod paymentStatus');
+  if (candidates.length === 0) return 0;
+
+  const branchIds = [...new Set(candidates.map(o => o.branchId.toString()))];
+  const settings = await Setting.find({ branchId: { $in: branchIds } }).select('branchId orderSettings');
+  const settingsByBranch = Object.fromEntries(settings.map(s => [s.branchId.toString(), s.orderSettings || {}]));
+
+  let cancelled = 0;
+  for (const candidate of candidates) {
+    const orderSettings = settingsByBranch[candidate.branchId.toString()] || {};
+    // autoAcceptPendingOrders confirms these; unpaid online orders it leaves
+    // pending, so they still time out and give back their stock and coupon
+    if (orderSettings.autoAcceptOrders && !isAwaitingPayment(candidate)) continue;
+
+    const timeout = orderSettings.orderTimeout || DEFAULT_ORDER_TIMEOUT;
+    const pendingSince = candidate.releasedAt || candidate.createdAt;
+    if (pendingSince.getTime() > now - timeout * 60 * 1000) continue;
+
+    const unpaid = isAwaitingPayment(candidate);
+    const reason = unpaid ? `Payment not completed within ${timeout} minutes` : `Not confirmed within ${timeout} minutes`;
+    const order = await transitionOrder(
+      candidate,
+      'cancelled',
+      `Order cancelled by system: ${reason}`,
+      { cancellation: { reason, cancelledBy: 'system', cancelledAt: new Date() } }
+    );
+    if (!order) continue;
+
+    cancelled++;
+    await releaseCancelledOrder(order);
+    await notifyCustomer(order, 'cancelled', {
+      title: '❌ Order Cancelled',
+      body: unpaid
+        ? 'Your payment was not completed in time, so the order has been cancelled.'
+        : 'The restaurant could not confirm your order in time, so it has been cancelled.'
+    });
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  releaseScheduledOrders,
+  autoAcceptPendingOrders,
+  cancelTimedOutOrders
+};
@@ -8,6 +8,34 @@ const multilingualTextSchema = new mongoose.Schema({
   fr: { type: String, default: '' }     // Added: French (Français)
 }, { _id: false });
 
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// One recurring menu window in the branch timezone (see utils/menuSchedule);
+// endTime at or before startTime runs past midnight
+const menuWindowSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [40, 'Menu window label cannot exceed 40 characters'],
+    default: ''
+  },
+  days: {
+    type: [{ type: String, enum: WEEKDAYS }],
+    validate: [days => days.length > 0, 'A menu window needs at least one day']
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_FORMAT, 'Please provide valid time format (HH:MM)']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_FORMAT, 'Please provide valid time format (HH:MM)']
+  }
+}, { _id: false });
+
 const categorySchema = new mongoose.Schema({
 name: {
     type: multilingualTextSchema,
@@ -32,6 +60,24 @@ name: {
     type: Number,
     default: 0
   },
+  // Kitchen station that prepares this category's items (e.g. 'grill', 'fryer', 'bar')
+  kitchenStation: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [40, 'Kitchen station cannot exceed 40 characters'],
+    default: ''
+  },
+  // Tax class of this category's items (see Setting.taxSettings); '' uses the branch default
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]{0,40}$/, 'Tax class may only contain letters, digits, - and _ (max 40)'],
+    default: ''
+  },
+  // When the category's items are served (e.g. breakfast); empty means all day
+  menuSchedule: [menuWindowSchema],
   branchId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Branch',
@@ -75,6 +121,8 @@ categorySchema.methods.getLocalized = function(lang = 'en') {
     icon: this.icon,
     isActive: this.isActive,
     sortOrder: this.sortOrder,
+    menuSchedule: this.menuSchedule,
+    menuAvailability: this.$locals.menuAvailability,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
@@ -144,6 +192,120 @@ const ingredientSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// One line of a recipe: how much of an ingredient (in its unit) goes into one
+// portion of a food item, or into one pick of a modifier option
+const recipeLineSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Recipe quantity must be positive']
+  }
+}, { _id: false });
+
+// Modifier groups: choices a customer makes on an item ("choose a sauce",
+// "up to 3 toppings", "remove onion"). Options may open their own groups (e.g.
+// the drink of a menu), up to MAX_MODIFIER_DEPTH levels. Groups and options
+// keep their _id across updates, so orders reference them by id; clients must
+// send the existing _id back when editing.
+const MAX_MODIFIER_DEPTH = 3;
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: multilingualTextSchema,
+    required: true
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  // Preselected when the customer does not choose in this group
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // How many times the option can be picked (e.g. double cheese)
+  maxQuantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Max quantity must be at least 1']
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Ingredients the option adds; in a 'removal' group, what leaving it out saves
+  recipe: [recipeLineSchema]
+});
+
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: multilingualTextSchema,
+    required: true
+  },
+  // 'choice' adds what is picked; 'removal' lists ingredients the customer can leave out
+  kind: {
+    type: String,
+    enum: ['choice', 'removal'],
+    default: 'choice'
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum selections cannot be negative']
+  },
+  // null means no upper limit
+  maxSelections: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum selections must be at least 1']
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  options: [modifierOptionSchema]
+});
+
+modifierOptionSchema.add({ modifierGroups: [modifierGroupSchema] });
+
+// Depth of nested modifier groups (1 for groups without nested ones)
+const modifierDepth = (groups = []) => groups.reduce((depth, group) => Math.max(
+  depth,
+  1 + (group.options || []).reduce((deepest, option) => Math.max(deepest, modifierDepth(option.modifierGroups)), 0)
+), 0);
+
+// First selection rule a group breaks, checked on every level; null when all are consistent.
+// A path validator rather than a hook so it also runs on findOneAndUpdate.
+const findModifierRuleError = (groups = []) => {
+  for (const group of groups) {
+    const name = group.name?.en || 'Modifier group';
+    const max = group.maxSelections ?? Infinity;
+    const defaults = (group.options || []).filter(option => option.isDefault).length;
+
+    if (group.minSelections > max) return `"${name}": minSelections cannot exceed maxSelections`;
+    if (defaults > max) return `"${name}" has more default options than maxSelections`;
+    if (group.kind === 'removal' && (group.minSelections > 0 || defaults > 0)) {
+      return `"${name}" lists removable ingredients, so it cannot require selections or have defaults`;
+    }
+
+    for (const option of group.options || []) {
+      const nestedError = findModifierRuleError(option.modifierGroups);
+      if (nestedError) return nestedError;
+    }
+  }
+  return null;
+};
+
 const foodItemSchema = new mongoose.Schema({
   name: {
     type: multilingualTextSchema,
@@ -231,6 +393,8 @@ const foodItemSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Recurring windows the item is served in, on top of its category's schedule
+  menuSchedule: [menuWindowSchema],
   preparationTime: {
     type: Number,
     default: 15
@@ -252,12 +416,30 @@ const foodItemSchema = new mongoose.Schema({
   extras: [extraSchema],
   addons: [addonSchema],
   ingredients: [ingredientSchema],
+  modifierGroups: {
+    type: [modifierGroupSchema],
+    validate: [{
+      validator: groups => modifierDepth(groups) <= MAX_MODIFIER_DEPTH,
+      message: `Modifier groups cannot be nested more than ${MAX_MODIFIER_DEPTH} levels deep`
+    }, {
+      validator: groups => !findModifierRuleError(groups),
+      message: props => findModifierRuleError(props.value)
+    }]
+  },
   allergens: [{
     type: String,
     enum: ['nuts', 'dairy', 'eggs', 'soy', 'wheat', 'fish', 'shellfish', 'sesame']
   }],
   servingSize: String,
   weight: Number,
+  // Overrides the category's tax class when set
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]{0,40}$/, 'Tax class may only contain letters, digits, - and _ (max 40)'],
+    default: ''
+  },
   sku: {
     type: String,
     sparse: true
@@ -266,6 +448,11 @@ const foodItemSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
+  // Opt-in: only items that track inventory are limited by stockQuantity
+  trackInventory: {
+    type: Boolean,
+    default: false
+  },
   stockQuantity: {
     type: Number,
     default: 0
@@ -274,6 +461,22 @@ const foodItemSchema = new mongoose.Schema({
     type: Number,
     default: 10
   },
+  // What one unit costs the branch; values stock and waste in inventory
+  // reports and is never sent to customers
+  costPrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost price cannot be negative'],
+    select: false
+  },
+  // Ingredients of one portion; selling the item takes them out of stock
+  recipe: [recipeLineSchema],
+  // Portions the ingredients on hand allow, kept up to date by
+  // utils/stockService; null when the item has no recipe
+  availablePortions: {
+    type: Number,
+    default: null
+  },
   totalSold: {
     type: Number,
     default: 0
@@ -366,6 +569,8 @@ foodItemSchema.methods.getLocalized = function (lang = 'en') {
     isAvailable: this.isAvailable,
     availableFrom: this.availableFrom,
     availableUntil: this.availableUntil,
+    menuSchedule: this.menuSchedule,
+    menuAvailability: this.$locals.menuAvailability,
     preparationTime: this.preparationTime,
     rating: this.rating,
     nutrition: this.nutrition,
@@ -386,13 +591,17 @@ foodItemSchema.methods.getLocalized = function (lang = 'en') {
       name: extractLang(ingredient.name),
       optional: ingredient.optional
     })),
+    modifierGroups: localizeModifierGroups(this.modifierGroups, extractLang),
     allergens: this.allergens,
     servingSize: this.servingSize,
     weight: this.weight,
     sku: this.sku,
+    taxClass: this.taxClass,
     barcode: this.barcode,
+    trackInventory: this.trackInventory,
     stockQuantity: this.stockQuantity,
     lowStockAlert: this.lowStockAlert,
+    availablePortions: this.availablePortions,
     totalSold: this.totalSold,
     reviews: this.reviews || [],
     discountPercentage: this.discountPercentage,
@@ -407,6 +616,28 @@ foodItemSchema.methods.getLocalized = function (lang = 'en') {
   };
 };
 
+// Modifier groups with names in one language, sorted for display
+const localizeModifierGroups = (groups = [], extractLang) => [...groups]
+  .sort((a, b) => a.sortOrder - b.sortOrder)
+  .map(group => ({
+    _id: group._id,
+    name: extractLang(group.name),
+    kind: group.kind,
+    minSelections: group.minSelections,
+    maxSelections: group.maxSelections,
+    options: [...group.options]
+      .sort((a, b) => a.sortOrder - b.sortOrder)
+      .map(option => ({
+        _id: option._id,
+        name: extractLang(option.name),
+        price: option.price,
+        isDefault: option.isDefault,
+        isAvailable: option.isAvailable,
+        maxQuantity: option.maxQuantity,
+        modifierGroups: localizeModifierGroups(option.modifierGroups, extractLang)
+      }))
+  }));
+
 // Virtual for discount percentage
 foodItemSchema.virtual('discountPercentage').get(function() {
   if (this.originalPrice && this.originalPrice > this.price) {
@@ -421,6 +652,8 @@ foodItemSchema.virtual('availabilityStatus').get(function() {
   const now = new Date();
   if (this.availableFrom && now < this.availableFrom) return 'upcoming';
   if (this.availableUntil && now > this.availableUntil) return 'expired';
+  if (this.availablePortions != null && this.availablePortions <= 0) return 'out-of-stock';
+  if (!this.trackInventory) return 'available';
   if (this.stockQuantity <= 0) return 'out-of-stock';
   if (this.stockQuantity <= this.lowStockAlert) return 'low-stock';
   return 'available';
@@ -433,6 +666,7 @@ foodItemSchema.index({ branchId: 1, barcode: 1 }, { unique: true, sparse: true }
 foodItemSchema.index({ category: 1, isActive: 1 });
 foodItemSchema.index({ isFeatured: 1, isActive: 1 });
 foodItemSchema.index({ isPopular: 1, isActive: 1 });
+foodItemSchema.index({ branchId: 1, 'recipe.ingredient': 1 });
 // Updated index to include French
 foodItemSchema.index({ 
   'name.en': 'text', 
@@ -464,16 +698,37 @@ foodItemSchema.methods.addReview = function(userId, rating, comment) {
   return this.save();
 };
 
-foodItemSchema.methods.updateStock = function(quantity, operation = 'subtract') {
-  if (operation === 'subtract') {
-    this.stockQuantity -= quantity;
-    this.totalSold += quantity;
-  } else {
-    this.stockQuantity += quantity;
-  }
-  
-  if (this.stockQuantity < 0) this.stockQuantity = 0;
-  return this.save();
+/**
+ * Stock on hand of a branch's inventory-tracked items, at cost and retail price
+ * @param {string} branchId
+ * @returns {Promise<object>} { items: [...], totals: { units, costValue, retailValue } }
+ */
+foodItemSchema.statics.getStockValuation = async function(branchId) {
+  const items = await this.aggregate([
+    { $match: { branchId: new mongoose.Types.ObjectId(String(branchId)), trackInventory: true } },
+    {
+      $project: {
+        name: 1,
+        sku: 1,
+        stockQuantity: 1,
+        lowStockAlert: 1,
+        costPrice: 1,
+        price: 1,
+        costValue: { $round: [{ $multiply: [{ $max: ['$stockQuantity', 0] }, '$costPrice'] }, 2] },
+        retailValue: { $round: [{ $multiply: [{ $max: ['$stockQuantity', 0] }, '$price'] }, 2] },
+        isLowStock: { $lte: ['$stockQuantity', '$lowStockAlert'] }
+      }
+    },
+    { $sort: { costValue: -1 } }
+  ]);
+
+  const totals = items.reduce((sum, item) => ({
+    units: sum.units + Math.max(item.stockQuantity, 0),
+    costValue: Math.round((sum.costValue + item.costValue) * 100) / 100,
+    retailValue: Math.round((sum.retailValue + item.retailValue) * 100) / 100
+  }), { units: 0, costValue: 0, retailValue: 0 });
+
+  return { items, totals };
 };
 
 const FoodItem = mongoose.model('FoodItem', foodItemSchema);
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// Stock items a branch cooks with (buns, patties, cheese). Food items and
+// modifier options carry a `recipe` of ingredient quantities; selling a dish
+// takes its recipe out of stock (utils/stockService) and the dish's
+// availablePortions follow from the ingredient levels. Quantities are in the
+// ingredient's `unit`, so fractional amounts (0.15 kg) are allowed.
+const INGREDIENT_UNITS = ['unit', 'g', 'kg', 'ml', 'l'];
+
+const ingredientSchema = new mongoose.Schema({
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true,
+    maxlength: [100, 'Ingredient name cannot exceed 100 characters']
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    enum: INGREDIENT_UNITS,
+    default: 'unit'
+  },
+  stockQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Staff are alerted when stock falls to this level
+  lowStockAlert: {
+    type: Number,
+    default: 0,
+    min: [0, 'Low stock alert cannot be negative']
+  },
+  // Level to stock back up to; purchase suggestions order the difference
+  parLevel: {
+    type: Number,
+    default: 0,
+    min: [0, 'Par level cannot be negative']
+  },
+  // Suppliers sell in packs (a case of 48 buns); suggestions round up to it
+  packSize: {
+    type: Number,
+    default: 1,
+    min: [0.001, 'Pack size must be positive']
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost cannot be negative']
+  },
+  supplier: {
+    name: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: String,
+    leadTimeDays: {
+      type: Number,
+      min: [0, 'Lead time cannot be negative']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+ingredientSchema.index({ branchId: 1, name: 1 }, { unique: true });
+ingredientSchema.index({ branchId: 1, sku: 1 }, { unique: true, sparse: true });
+
+ingredientSchema.statics.INGREDIENT_UNITS = INGREDIENT_UNITS;
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * What to order to bring the branch's ingredients back to their par levels,
+ * grouped by supplier. An ingredient is suggested when its stock is below par;
+ * the quantity is rounded up to whole packs.
+ * @param {string} branchId
+ * @returns {Promise<Array>} [{ supplier, items: [...], estimatedCost }], largest order first
+ */
+ingredientSchema.statics.getPurchaseSuggestions = async function(branchId) {
+  const ingredients = await this.find({
+    branchId,
+    isActive: true,
+    parLevel: { $gt: 0 },
+    $expr: { $lt: ['$stockQuantity', '$parLevel'] }
+  })
+    .sort({ name: 1 })
+    .lean();
+
+  const bySupplier = new Map();
+  for (const ingredient of ingredients) {
+    const shortfall = ingredient.parLevel - Math.max(ingredient.stockQuantity, 0);
+    const packs = Math.ceil(roundQuantity(shortfall / ingredient.packSize));
+    const quantity = roundQuantity(packs * ingredient.packSize);
+    const key = ingredient.supplier?.name || '';
+
+    const order = bySupplier.get(key) || {
+      supplier: ingredient.supplier?.name ? ingredient.supplier : null,
+      items: [],
+      estimatedCost: 0
+    };
+    const cost = Math.round(quantity * ingredient.costPerUnit * 100) / 100;
+    order.items.push({
+      ingredient: ingredient._id,
+      name: ingredient.name,
+      sku: ingredient.sku,
+      unit: ingredient.unit,
+      stockQuantity: ingredient.stockQuantity,
+      parLevel: ingredient.parLevel,
+      packSize: ingredient.packSize,
+      packs,
+      quantity,
+      estimatedCost: cost,
+      // Already at the alert level: order before the next delivery run
+      urgent: ingredient.stockQuantity <= ingredient.lowStockAlert
+    });
+    order.estimatedCost = Math.round((order.estimatedCost + cost) * 100) / 100;
+    bySupplier.set(key, order);
+  }
+
+  return [...bySupplier.values()].sort((a, b) => b.estimatedCost - a.estimatedCost);
+};
+
+/**
+ * Ingredients on hand of a branch, valued at cost
+ * @param {string} branchId
+ * @returns {Promise<object>} { items: [...], totals: { costValue } }
+ */
+ingredientSchema.statics.getStockValuation = async function(branchId) {
+  const items = await this.aggregate([
+    { $match: { branchId: new mongoose.Types.ObjectId(String(branchId)), isActive: true } },
+    {
+      $project: {
+        name: 1,
+        sku: 1,
+        unit: 1,
+        stockQuantity: 1,
+        lowStockAlert: 1,
+        costPerUnit: 1,
+        costValue: { $round: [{ $multiply: [{ $max: ['$stockQuantity', 0] }, '$costPerUnit'] }, 2] },
+        isLowStock: { $lte: ['$stockQuantity', '$lowStockAlert'] }
+      }
+    },
+    { $sort: { costValue: -1 } }
+  ]);
+
+  const costValue = items.reduce((sum, item) => Math.round((sum + item.costValue) * 100) / 100, 0);
+  return { items, totals: { costValue } };
+};
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
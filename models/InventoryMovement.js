@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+// Inventory ledger: one record per change of the stockQuantity of a food item
+// or of an ingredient (exactly one of `foodItem` / `ingredient` is set).
+// Sales and cancellation restores come from order stock reservations
+// (utils/stockService); restocks, waste and manual adjustments are entered by
+// staff. `quantity` is signed (negative takes stock out) and `stockAfter` is the
+// level right after the movement, so the history of an item can be read back
+// without replaying it.
+const MOVEMENT_TYPES = ['sale', 'cancellation', 'restock', 'waste', 'adjustment'];
+
+const inventoryMovementSchema = new mongoose.Schema({
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  foodItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FoodItem',
+    required: [function() { return !this.ingredient; }, 'A movement needs a food item or an ingredient']
+  },
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient'
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  // Cost of one unit of the item or ingredient at the time, to value waste and restocks
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  createdBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  }
+}, {
+  timestamps: true
+});
+
+inventoryMovementSchema.index({ branchId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ foodItem: 1, createdAt: -1 });
+inventoryMovementSchema.index({ ingredient: 1, createdAt: -1 });
+inventoryMovementSchema.index({ branchId: 1, type: 1, createdAt: -1 });
+
+inventoryMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+/**
+ * Stock movements of a branch in a period, per type, per item and per ingredient
+ * @param {string} branchId
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<object>} { byType: [{ type, quantity, costValue, count }], byItem: [...], byIngredient: [...] }
+ */
+inventoryMovementSchema.statics.getMovementSummary = async function(branchId, startDate, endDate) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        branchId: new mongoose.Types.ObjectId(String(branchId)),
+        createdAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $facet: {
+        byType: [
+          {
+            $group: {
+              _id: '$type',
+              quantity: { $sum: '$quantity' },
+              costValue: { $sum: { $multiply: ['$quantity', '$unitCost'] } },
+              count: { $sum: 1 }
+            }
+          },
+          { $project: { _id: 0, type: '$_id', quantity: 1, costValue: { $round: ['$costValue', 2] }, count: 1 } },
+          { $sort: { type: 1 } }
+        ],
+        byItem: [
+          { $match: { foodItem: { $ne: null } } },
+          {
+            $group: {
+              _id: { foodItem: '$foodItem', type: '$type' },
+              quantity: { $sum: '$quantity' }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.foodItem',
+              movements: { $push: { type: '$_id.type', quantity: '$quantity' } },
+              netChange: { $sum: '$quantity' }
+            }
+          },
+          {
+            $lookup: {
+              from: 'fooditems',
+              localField: '_id',
+              foreignField: '_id',
+              pipeline: [{ $project: { name: 1, stockQuantity: 1 } }],
+              as: 'item'
+            }
+          },
+          { $unwind: { path: '$item', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              foodItem: '$_id',
+              name: '$item.name',
+              stockQuantity: '$item.stockQuantity',
+              netChange: 1,
+              movements: 1
+            }
+          },
+          { $sort: { netChange: 1 } }
+        ],
+        byIngredient: [
+          { $match: { ingredient: { $ne: null } } },
+          {
+            $group: {
+              _id: { ingredient: '$ingredient', type: '$type' },
+              quantity: { $sum: '$quantity' },
+              costValue: { $sum: { $multiply: ['$quantity', '$unitCost'] } }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.ingredient',
+              movements: { $push: { type: '$_id.type', quantity: '$quantity' } },
+              netChange: { $sum: '$quantity' },
+              costValue: { $sum: '$costValue' }
+            }
+          },
+          {
+            $lookup: {
+              from: 'ingredients',
+              localField: '_id',
+              foreignField: '_id',
+              pipeline: [{ $project: { name: 1, unit: 1, stockQuantity: 1 } }],
+              as: 'ingredient'
+            }
+          },
+          { $unwind: { path: '$ingredient', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              ingredient: '$_id',
+              name: '$ingredient.name',
+              unit: '$ingredient.unit',
+              stockQuantity: '$ingredient.stockQuantity',
+              netChange: 1,
+              costValue: { $round: ['$costValue', 2] },
+              movements: 1
+            }
+          },
+          { $sort: { netChange: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
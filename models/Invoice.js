@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Simplified invoices (facturas simplificadas) and rectifying invoices.
+// Numbers are gapless per branch, series and fiscal year: each invoice takes
+// the next sequence after the last one issued, and the unique index on
+// (branchId, series, fiscalYear, sequence) makes a concurrent issuer retry
+// with the following number instead of skipping or reusing one.
+// Invoices are immutable once issued; corrections are made by issuing a
+// rectifying invoice that references the original.
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true }, // tax included
+  total: { type: Number, required: true } // tax included
+}, { _id: false });
+
+const taxBreakdownSchema = new mongoose.Schema({
+  name: String,
+  rate: Number, // percentage; null for fixed-amount taxes
+  base: { type: Number, required: true },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['simplified', 'rectifying'],
+    required: true
+  },
+  series: {
+    type: String,
+    required: true
+  },
+  fiscalYear: {
+    type: Number,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  number: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  // Issuer data as it was when the invoice was issued
+  issuer: {
+    name: String,
+    legalName: String,
+    taxId: String,
+    address: String,
+    phone: String,
+    email: String,
+    registryDetails: String,
+    footer: String
+  },
+  orderNumber: String,
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  language: {
+    type: String,
+    default: 'es'
+  },
+  timezone: String,
+  lines: [invoiceLineSchema],
+  taxBreakdown: [taxBreakdownSchema],
+  taxBase: { type: Number, required: true },
+  taxTotal: { type: Number, required: true },
+  total: { type: Number, required: true },
+  // Rectifying invoices only
+  rectifies: {
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    number: String,
+    reason: String,
+    refundId: String // payment refund the correction was issued for
+  },
+  issuedBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ branchId: 1, series: 1, fiscalYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ branchId: 1, issuedAt: -1 });
+invoiceSchema.index({ orderId: 1, issuedAt: 1 });
+// One simplified invoice per order
+invoiceSchema.index(
+  { orderId: 1 },
+  { unique: true, name: 'orderId_simplified_unique', partialFilterExpression: { type: 'simplified' } }
+);
+invoiceSchema.index({ 'rectifies.invoiceId': 1 });
+
+const immutableError = () => {
+  const error = new Error('Issued invoices cannot be modified; issue a rectifying invoice instead');
+  error.statusCode = 409;
+  return error;
+};
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+// Block every update and delete path on the model
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  invoiceSchema.pre(operation, function(next) {
+    next(immutableError());
+  });
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// How much of a simplified invoice has been corrected by rectifying invoices.
+// Invoices themselves are immutable, so this running counter lives beside
+// them: a rectification claims its amount here with a conditional $inc bounded
+// by the invoice total before the rectifying invoice is issued, which keeps
+// concurrent corrections from ever rectifying more than was invoiced.
+const invoiceBalanceSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // Total of the simplified invoice
+  total: {
+    type: Number,
+    required: true
+  },
+  // Sum of the rectifying invoices issued or being issued, as a positive amount
+  rectifiedAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceBalanceSchema.index({ invoiceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceBalance', invoiceBalanceSchema);
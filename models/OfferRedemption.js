@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One record per offer redemption (checkout usage or one-time device claim).
+// Limits are enforced by unique indexes instead of embedded arrays on the
+// Offer, so concurrent checkouts cannot both pass them:
+//   - per user:   each active redemption takes one of `userUsageLimit` slots
+//   - per device: one active claim per device for one-time-per-device offers
+// Reversing a redemption (order cancelled) frees its slot and device claim.
+const offerRedemptionSchema = new mongoose.Schema({
+  offerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+    required: true
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  deviceId: {
+    type: String,
+    trim: true
+  },
+  // Only set for one-time-per-device offers; drives the per-device unique index
+  claimedDeviceId: {
+    type: String,
+    trim: true
+  },
+  // Only set when the redemption counts towards userUsageLimit
+  userSlot: {
+    type: Number,
+    min: 0
+  },
+  // Whether this redemption incremented Offer.usageCount (device-only claims do not)
+  countsTowardUsage: {
+    type: Boolean,
+    default: true
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  platform: {
+    type: String,
+    enum: ['mobile', 'web']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active'
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reversedAt: Date,
+  reversalReason: String
+}, {
+  timestamps: true
+});
+
+offerRedemptionSchema.index(
+  { offerId: 1, userId: 1, userSlot: 1 },
+  { unique: true, partialFilterExpression: { userSlot: { $exists: true }, status: 'active' } }
+);
+offerRedemptionSchema.index(
+  { offerId: 1, claimedDeviceId: 1 },
+  { unique: true, partialFilterExpression: { claimedDeviceId: { $exists: true }, status: 'active' } }
+);
+offerRedemptionSchema.index({ orderId: 1, status: 1 });
+offerRedemptionSchema.index({ deviceId: 1, status: 1 });
+offerRedemptionSchema.index({ branchId: 1, redeemedAt: -1 });
+
+module.exports = mongoose.model('OfferRedemption', offerRedemptionSchema);
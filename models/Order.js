@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ORDER_EVENT_TYPES, publishOrderEvent } = require('../utils/orderEvents');
 
 const cartItemSchema = new mongoose.Schema({
   foodItem: {
@@ -28,17 +29,96 @@ const cartItemSchema = new mongoose.Schema({
     price: Number,
     imageUrl: String
   }],
+  // Modifier options picked on the line, by FoodItem modifier group and option id.
+  // Nested choices carry the option that opened their group; names are snapshots.
+  modifiers: [{
+    _id: false,
+    groupId: mongoose.Schema.Types.ObjectId,
+    groupName: String,
+    kind: {
+      type: String,
+      enum: ['choice', 'removal']
+    },
+    optionId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    quantity: Number,
+    price: Number, // per unit of the option
+    parentOptionId: mongoose.Schema.Types.ObjectId
+  }],
   specialInstructions: String,
   unitPrice: {
     type: Number,
     required: true
   },
+  // Tax class the line was taxed under at checkout
+  taxClass: String,
+  // Units of this line given back through line-item refunds
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set when the kitchen bumps the line as done on the KDS
+  bumpedAt: Date,
+  bumpedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   totalPrice: {
     type: Number,
     required: true
   }
 });
 
+// One refund of an order; partial refunds add entries instead of replacing earlier ones
+const refundEntrySchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be positive']
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  // Lines refunded by a line-item refund
+  items: [{
+    _id: false,
+    itemId: mongoose.Schema.Types.ObjectId, // cart line (items._id)
+    quantity: Number,
+    amount: Number
+  }],
+  // 'gateway' refunds go back through the payment gateway, 'manual' ones are paid out by staff
+  method: {
+    type: String,
+    enum: ['gateway', 'manual'],
+    required: true
+  },
+  gateway: String,
+  gatewayRefundId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  failureReason: String,
+  createdBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
 const deliveryAddressSchema = new mongoose.Schema({
   type: {
     type: String,
@@ -83,12 +163,27 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Tax cannot be negative']
   },
+  // Per-tax amounts as priced at checkout (inclusive taxes are part of the prices)
+  taxLines: [{
+    _id: false,
+    name: String,
+    rate: Number,
+    type: { type: String },
+    isInclusive: Boolean,
+    taxClass: String,
+    base: Number, // amount the tax was computed on, net of inclusive tax
+    amount: Number
+  }],
   discount: {
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
   couponCode: String,
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
   total: {
     type: Number,
     required: true,
@@ -97,6 +192,7 @@ const orderSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: [
+      'scheduled',
       'pending',
       'confirmed',
       'preparing',
@@ -133,12 +229,15 @@ codPaymentType: {
   paymentDetails: {
     transactionId: String,
     paymentGateway: String,
+    // Gateway payment intent the customer pays through (online payment methods)
+    intentId: String,
+    intentCreatedAt: Date,
     paidAt: Date,
     failureReason: String
   },
   deliveryType: {
     type: String,
-    enum: ['delivery', 'pickup'],
+    enum: ['delivery', 'pickup', 'in-shop'],
     required: true
   },
   deliveryAddress: {
@@ -154,6 +253,10 @@ codPaymentType: {
   },
   estimatedDeliveryTime: Date,
   actualDeliveryTime: Date,
+  // Requested delivery / pickup slot for scheduled orders
+  scheduledFor: Date,
+  // When a scheduled order was handed to the kitchen (moved out of `scheduled`)
+  releasedAt: Date,
   preparationTime: {
     type: Number, // in minutes
     default: 30
@@ -162,6 +265,33 @@ codPaymentType: {
     type: Number, // in minutes
     default: 30
   },
+  // Delivery zone the address matched when the order was placed
+  deliveryZone: {
+    zoneId: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  // How deliveryFee was calculated, kept for receipts and support
+  deliveryFeeBreakdown: {
+    method: {
+      type: String,
+      enum: ['zone', 'distance-band', 'default']
+    },
+    baseFee: Number,
+    distanceKm: Number,
+    zone: {
+      zoneId: mongoose.Schema.Types.ObjectId,
+      name: String
+    },
+    band: {
+      fromKm: Number,
+      toKm: Number
+    },
+    freeDeliveryThreshold: Number,
+    thresholdApplied: Boolean,
+    fee: Number,
+    offerWaived: Number,
+    charged: Number
+  },
   specialInstructions: String,
   customerNotes: String,
   adminNotes: String,
@@ -188,6 +318,26 @@ codPaymentType: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Lifecycle of the current driver assignment; reset on reassignment
+  driverAssignment: {
+    assignedAt: Date,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedAt: Date,
+    pickedUpAt: Date,
+    deliveredAt: Date
+  },
+  // Latest GPS position reported by the assigned driver
+  driverLocation: {
+    latitude: Number,
+    longitude: Number,
+    heading: Number,
+    speed: Number, // km/h
+    accuracy: Number, // metres
+    updatedAt: Date
+  },
   trackingUpdates: [{
     status: String,
     message: String,
@@ -198,14 +348,59 @@ codPaymentType: {
     location: {
       latitude: Number,
       longitude: Number
+    },
+    // Who made the change; role is 'system' for automated updates
+    updatedBy: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: String
     }
   }],
+  // Refund ledger; refundedAmount is the sum of its pending and succeeded entries
+  refunds: [refundEntrySchema],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Summary of the latest refund, kept for older clients (see `refunds`)
   refund: {
     amount: Number,
     reason: String,
     processedAt: Date,
     refundId: String
   },
+  // Stock taken for this order (see utils/stockService); released on
+  // cancellation or failed payment, taken again if the payment is retried
+  stockReservation: {
+    status: {
+      type: String,
+      enum: ['reserved', 'released']
+    },
+    items: [{
+      _id: false,
+      foodItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FoodItem'
+      },
+      quantity: Number,
+      // Whether stockQuantity was decremented (trackInventory was on)
+      tracked: Boolean
+    }],
+    // Ingredients the recipes of the order's lines took out of stock
+    ingredients: [{
+      _id: false,
+      ingredient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ingredient'
+      },
+      quantity: Number
+    }],
+    releasedAt: Date,
+    releaseReason: String
+  },
   cancellation: {
     reason: String,
     cancelledBy: {
@@ -235,6 +430,11 @@ orderSchema.pre('validate', function(next) {
       this.orderNumber = `FK${ts}${rnd}`;
     }
 
+    // Scheduled orders are expected at their slot
+    if (!this.estimatedDeliveryTime && this.scheduledFor) {
+      this.estimatedDeliveryTime = this.scheduledFor;
+    }
+
     // Set estimated delivery time if not provided
     if (!this.estimatedDeliveryTime) {
       const totalTime = this.preparationTime + (this.deliveryType === 'delivery' ? this.deliveryTime : 0);
@@ -250,6 +450,8 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ branchId: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ 'paymentDetails.intentId': 1 }, { sparse: true });
+orderSchema.index({ branchId: 1, 'refunds.createdAt': -1 });
 orderSchema.index({ deliveryType: 1 });
 orderSchema.index({ createdAt: -1 });
 
@@ -259,14 +461,18 @@ orderSchema.index({ 'deliveryAddress.apartment': 1 });
 // Compound index for common queries
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ userId: 1, status: 1 });
+orderSchema.index({ status: 1, scheduledFor: 1 });
+orderSchema.index({ deliveryAgent: 1, status: 1 });
 
 // Virtual for status display
 orderSchema.virtual('statusDisplay').get(function() {
   const statusMap = {
+    'scheduled': 'Scheduled',
     'pending': 'Order Placed',
     'confirmed': 'Order Confirmed',
     'preparing': 'Preparing',
     'ready': 'Ready for Pickup',
+    'driverpickup': 'Waiting for Driver',
     'out-for-delivery': 'Out for Delivery',
     'delivered': 'Delivered',
     'cancelled': 'Cancelled',
@@ -288,11 +494,13 @@ orderSchema.virtual('estimatedTimeRemaining').get(function() {
 });
 
 // Method to add tracking update
-orderSchema.methods.addTrackingUpdate = function(status, message, location) {
+// updatedBy: { user, role } of whoever made the change
+orderSchema.methods.addTrackingUpdate = function(status, message, location, updatedBy) {
   this.trackingUpdates.push({
     status,
     message: message || `Status updated to ${status}`,
     location,
+    updatedBy,
     timestamp: new Date()
   });
 
@@ -326,11 +534,14 @@ orderSchema.methods.updatePaymentStatus = function(status, details = {}) {
     this.paymentDetails.failureReason = details.failureReason;
   }
   
-  return this.save();
+  return this.save().then(order => {
+    publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT, order, { paymentStatus: order.paymentStatus });
+    return order;
+  });
 };
 
 // Method to cancel order
-orderSchema.methods.cancelOrder = function(reason, cancelledBy = 'customer') {
+orderSchema.methods.cancelOrder = function(reason, cancelledBy = 'customer', updatedBy) {
   this.status = 'cancelled';
   this.cancellation = {
     reason,
@@ -339,28 +550,58 @@ orderSchema.methods.cancelOrder = function(reason, cancelledBy = 'customer') {
   };
 
   // Just add tracking — no save!
-  this.addTrackingUpdate('cancelled', `Order cancelled by ${cancelledBy}: ${reason}`);
+  this.addTrackingUpdate('cancelled', `Order cancelled by ${cancelledBy}: ${reason}`, null, updatedBy);
 
   // DO NOT SAVE HERE EITHER
   return this;
 };
 
-// Method to process refund
-orderSchema.methods.processRefund = function(amount, reason, refundId) {
+// Payment status once `refundedAmount` of `total` has been refunded
+orderSchema.statics.paymentStatusAfterRefund = function(total, refundedAmount) {
+  return refundedAmount >= total - 0.005 ? 'refunded' : 'partially-refunded';
+};
+
+// Method to record a refund settled outside the payment gateway (e.g. cash
+// handed back at the counter). Gateway refunds go through utils/refundService.
+orderSchema.methods.processRefund = function(amount, reason, refundId, createdBy) {
+  const refundedBefore = this.refundedAmount || 0;
+  const refundAmount = Math.round((amount || this.total - refundedBefore) * 100) / 100;
+  const now = new Date();
+
+  this.refunds.push({
+    amount: refundAmount,
+    reason,
+    type: refundedBefore + refundAmount >= this.total - 0.005 ? 'full' : 'partial',
+    method: 'manual',
+    gatewayRefundId: refundId,
+    status: 'succeeded',
+    createdBy,
+    processedAt: now
+  });
+  const entry = this.refunds[this.refunds.length - 1];
+
+  this.refundedAmount = Math.round((refundedBefore + refundAmount) * 100) / 100;
   this.refund = {
-    amount: amount || this.total,
+    amount: refundAmount,
     reason,
-    processedAt: new Date(),
-    refundId
+    processedAt: now,
+    refundId: refundId || entry._id.toString()
   };
-  
-  this.paymentStatus = amount >= this.total ? 'refunded' : 'partially-refunded';
-  
+  this.paymentStatus = this.constructor.paymentStatusAfterRefund(this.total, this.refundedAmount);
+
   if (this.cancellation) {
     this.cancellation.refundProcessed = true;
   }
-  
-  return this.save();
+
+  return this.save().then(order => {
+    publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT, order, {
+      paymentStatus: order.paymentStatus,
+      refundAmount,
+      refundId: entry._id.toString(),
+      refundReason: reason
+    });
+    return order;
+  });
 };
 
 // Method to add rating
@@ -424,6 +665,128 @@ orderSchema.statics.getOrderStats = async function(startDate, endDate, branchId
     uniqueCustomers: 0
   }}
 
+// Static method to sum tax by rate over the orders of a period
+orderSchema.statics.getTaxSummary = async function(startDate, endDate, branchId = null) {
+  const matchConditions = {
+    createdAt: { $gte: startDate, $lte: endDate },
+    status: { $nin: ['cancelled', 'refunded'] }
+  };
+  if (branchId) {
+    matchConditions.branchId = branchId;
+  }
+
+  const byRate = await this.aggregate([
+    { $match: matchConditions },
+    { $unwind: '$taxLines' },
+    {
+      $group: {
+        _id: {
+          rate: '$taxLines.rate',
+          type: { $ifNull: ['$taxLines.type', 'percentage'] },
+          isInclusive: { $ifNull: ['$taxLines.isInclusive', false] }
+        },
+        name: { $first: '$taxLines.name' },
+        // Lines priced before bases were stored derive theirs from the rate
+        base: {
+          $sum: {
+            $ifNull: ['$taxLines.base', {
+              $cond: [
+                { $gt: ['$taxLines.rate', 0] },
+                { $divide: [{ $multiply: ['$taxLines.amount', 100] }, '$taxLines.rate'] },
+                0
+              ]
+            }]
+          }
+        },
+        amount: { $sum: '$taxLines.amount' },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        rate: '$_id.rate',
+        type: '$_id.type',
+        isInclusive: '$_id.isInclusive',
+        name: 1,
+        base: { $round: ['$base', 2] },
+        amount: { $round: ['$amount', 2] },
+        orderCount: { $size: '$orders' }
+      }
+    },
+    { $sort: { type: -1, rate: 1 } }
+  ]);
+
+  return {
+    byRate,
+    totalTax: Math.round(byRate.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100
+  };
+};
+
+// Static method to get refunds issued in a period, by outcome, method and day
+orderSchema.statics.getRefundSummary = async function(startDate, endDate, branchId = null, timezone = 'UTC') {
+  const matchConditions = { 'refunds.createdAt': { $gte: startDate, $lte: endDate } };
+  if (branchId) {
+    matchConditions.branchId = branchId;
+  }
+
+  const [summary] = await this.aggregate([
+    { $match: matchConditions },
+    { $unwind: '$refunds' },
+    { $match: { 'refunds.createdAt': { $gte: startDate, $lte: endDate } } },
+    {
+      $facet: {
+        byStatus: [
+          {
+            $group: {
+              _id: '$refunds.status',
+              amount: { $sum: '$refunds.amount' },
+              count: { $sum: 1 }
+            }
+          },
+          { $project: { _id: 0, status: '$_id', amount: { $round: ['$amount', 2] }, count: 1 } },
+          { $sort: { status: 1 } }
+        ],
+        // Failed refunds never left the restaurant, so they are only listed above
+        byMethod: [
+          { $match: { 'refunds.status': { $ne: 'failed' } } },
+          {
+            $group: {
+              _id: { method: '$refunds.method', type: '$refunds.type' },
+              amount: { $sum: '$refunds.amount' },
+              count: { $sum: 1 }
+            }
+          },
+          { $project: { _id: 0, method: '$_id.method', type: '$_id.type', amount: { $round: ['$amount', 2] }, count: 1 } },
+          { $sort: { method: 1, type: 1 } }
+        ],
+        byDay: [
+          { $match: { 'refunds.status': { $ne: 'failed' } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$refunds.createdAt', timezone } },
+              amount: { $sum: '$refunds.amount' },
+              count: { $sum: 1 },
+              orders: { $addToSet: '$_id' }
+            }
+          },
+          { $project: { _id: 0, date: '$_id', amount: { $round: ['$amount', 2] }, count: 1, orderCount: { $size: '$orders' } } },
+          { $sort: { date: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const byMethod = summary?.byMethod || [];
+  return {
+    totalRefunded: Math.round(byMethod.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100,
+    refundCount: byMethod.reduce((sum, entry) => sum + entry.count, 0),
+    byStatus: summary?.byStatus || [],
+    byMethod,
+    byDay: summary?.byDay || []
+  };
+};
+
 // Static method to get popular items
 orderSchema.statics.getPopularItems = async function(limit = 10, startDate, endDate) {
   const matchConditions = {
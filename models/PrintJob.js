@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Print queue for the local print agents of a branch.
+// Agents claim pending jobs, print them and report back. A job claimed by an
+// agent that never reports back is handed out again after the claim expires.
+const printJobSchema = new mongoose.Schema({
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['kitchen', 'receipt'],
+    required: true
+  },
+  // Printer or station the job is meant for; agents may filter on it
+  printer: {
+    type: String,
+    trim: true,
+    default: 'default'
+  },
+  copies: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 5
+  },
+  // 'auto' jobs are created when an order is confirmed, 'manual' ones by staff
+  source: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'printing', 'printed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  claimedBy: String,
+  claimedAt: Date,
+  printedAt: Date,
+  error: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+printJobSchema.index({ branchId: 1, status: 1, createdAt: 1 });
+// An order is printed automatically at most once per kind
+printJobSchema.index(
+  { orderId: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { source: 'auto' } }
+);
+
+module.exports = mongoose.model('PrintJob', printJobSchema);
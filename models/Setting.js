@@ -1,6 +1,43 @@
 
 // models/Setting.js
 const mongoose = require('mongoose');
+const { isOpenAt, getOpeningStatus, nextOpeningTime } = require('../utils/businessHours');
+const { resolveDeliveryArea } = require('../utils/deliveryZones');
+const { encryptSecret, reencryptSecret, needsReencryption, getActiveKeyId } = require('../utils/secretCrypto');
+
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Credentials kept encrypted at rest (see utils/secretCrypto) and never returned by the API
+const GATEWAY_SECRET_FIELDS = ['secretKey', 'webhookSecret'];
+const SECRET_PATHS = [
+  'paymentGateways.secretKey',
+  'paymentGateways.webhookSecret',
+  'emailSettings.smtpPassword',
+  'smsSettings.apiKey',
+  'smsSettings.apiSecret'
+];
+const REDACTED = '[REDACTED]';
+
+const redactFields = (target, fields) => {
+  if (!target) return;
+  fields.forEach(field => {
+    if (target[field]) target[field] = REDACTED;
+  });
+};
+
+// One opening window; closeTime at or before openTime runs past midnight
+const timeIntervalSchema = new mongoose.Schema({
+  openTime: {
+    type: String,
+    required: true,
+    match: [TIME_FORMAT, 'Please provide valid time format (HH:MM)']
+  },
+  closeTime: {
+    type: String,
+    required: true,
+    match: [TIME_FORMAT, 'Please provide valid time format (HH:MM)']
+  }
+}, { _id: false });
 
 const operatingHoursSchema = new mongoose.Schema({
   day: {
@@ -21,6 +58,32 @@ const operatingHoursSchema = new mongoose.Schema({
     type: String,
     default: '22:00',
     match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:MM)']
+  },
+  // Split shifts (e.g. 12:00-16:00 and 19:00-23:30); when set, openTime/closeTime are ignored
+  intervals: [timeIntervalSchema]
+});
+
+// Date-specific hours that replace the weekly schedule (holidays, closures, special events)
+const hoursOverrideSchema = new mongoose.Schema({
+  date: {
+    type: String, // local date in the branch timezone, YYYY-MM-DD
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Please provide valid date format (YYYY-MM-DD)']
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'closure', 'special'],
+    default: 'closure'
+  },
+  isClosed: {
+    type: Boolean,
+    default: true
+  },
+  intervals: [timeIntervalSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
   }
 });
 
@@ -44,7 +107,7 @@ const socialMediaSchema = new mongoose.Schema({
 const paymentGatewaySchema = new mongoose.Schema({
   provider: {
     type: String,
-    enum: ['stripe', 'paypal', 'square', 'razorpay'],
+    enum: ['stripe', 'paypal', 'square', 'razorpay', 'fake'], // 'fake' is a local test gateway, refused in production
     required: true
   },
   isActive: {
@@ -58,18 +121,77 @@ const paymentGatewaySchema = new mongoose.Schema({
   secretKey: {
     type: String,
     required: function() { return this.isActive; },
+    set: encryptSecret,
     select: false // Don't include in queries by default
   },
   webhookSecret: {
     type: String,
+    set: encryptSecret,
     select: false
   },
   testMode: {
     type: Boolean,
     default: true
   }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      redactFields(ret, GATEWAY_SECRET_FIELDS);
+      return ret;
+    }
+  }
 });
 
+// Who set, cleared or re-encrypted a secret; the value itself is never recorded
+const secretChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    enum: SECRET_PATHS,
+    required: true
+  },
+  provider: String, // payment gateway the secret belongs to
+  action: {
+    type: String,
+    enum: ['set', 'cleared', 'rotated'],
+    required: true
+  },
+  keyId: String, // encryption key the new value was written with
+  changedBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Delivery fee by distance from the branch, covering [fromKm, toKm)
+const distanceBandSchema = new mongoose.Schema({
+  fromKm: {
+    type: Number,
+    required: true,
+    min: [0, 'Band start cannot be negative']
+  },
+  toKm: {
+    type: Number, // open-ended when not set
+    validate: {
+      validator: function(value) {
+        return value === undefined || value === null || value > this.fromKm;
+      },
+      message: 'Band end must be greater than its start'
+    }
+  },
+  fee: {
+    type: Number,
+    required: true,
+    min: [0, 'Delivery fee cannot be negative']
+  }
+}, { _id: false });
+
 const deliveryZoneSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -98,6 +220,11 @@ const deliveryZoneSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Zones are matched in ascending order, so overlapping zones resolve predictably
+  sortOrder: {
+    type: Number,
+    default: 0
   }
 });
 
@@ -139,6 +266,14 @@ const taxSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Items of this tax class pay the tax; '' applies it to every item
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]{0,40}$/, 'Tax class may only contain letters, digits, - and _ (max 40)'],
+    default: ''
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -204,6 +339,7 @@ const settingSchema = new mongoose.Schema({
   
   // Operating Hours
   operatingHours: [operatingHoursSchema],
+  hoursOverrides: [hoursOverrideSchema],
   timezone: {
     type: String,
     default: 'America/New_York'
@@ -303,6 +439,8 @@ const settingSchema = new mongoose.Schema({
       default: 10,
       min: [1, 'Delivery radius must be at least 1 km']
     },
+    // Used when the address is not inside a delivery zone
+    distanceBands: [distanceBandSchema],
     estimatedDeliveryTime: {
       type: Number, // in minutes
       default: 45,
@@ -340,6 +478,81 @@ const settingSchema = new mongoose.Schema({
   
   // Tax Settings
   taxSettings: [taxSettingsSchema],
+  // Tax class of items whose item and category have none
+  defaultTaxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]{0,40}$/, 'Tax class may only contain letters, digits, - and _ (max 40)'],
+    default: ''
+  },
+
+  // Latest secret changes, newest last (capped, see recordSecretChange)
+  secretChanges: {
+    type: [secretChangeSchema],
+    select: false
+  },
+
+  // Legal data printed on invoices
+  legalInfo: {
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'Legal name cannot exceed 150 characters']
+    },
+    taxId: {
+      type: String, // NIF / CIF / VAT number
+      trim: true,
+      uppercase: true,
+      maxlength: [20, 'Tax ID cannot exceed 20 characters']
+    },
+    // Prepended to the invoice series when several branches share a tax ID
+    invoicePrefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{0,10}$/, 'Invoice prefix may only contain letters and digits (max 10)']
+    },
+    registryDetails: {
+      type: String, // e.g. commercial registry entry
+      trim: true,
+      maxlength: [300, 'Registry details cannot exceed 300 characters']
+    },
+    invoiceFooter: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Invoice footer cannot exceed 500 characters']
+    }
+  },
+
+  // Thermal printing (kitchen tickets and customer receipts)
+  printSettings: {
+    autoPrintOnConfirm: {
+      type: Boolean,
+      default: true
+    },
+    printReceiptOnConfirm: {
+      type: Boolean,
+      default: false
+    },
+    kitchenCopies: {
+      type: Number,
+      default: 1,
+      min: [0, 'Copies cannot be negative'],
+      max: [5, 'At most 5 copies can be printed']
+    },
+    receiptCopies: {
+      type: Number,
+      default: 1,
+      min: [0, 'Copies cannot be negative'],
+      max: [5, 'At most 5 copies can be printed']
+    },
+    paperWidth: {
+      type: Number, // characters per line: 48 for 80mm, 32 for 58mm paper
+      enum: [32, 42, 48],
+      default: 48
+    }
+  },
   
   // Notification Settings
   notifications: notificationSettingsSchema,
@@ -402,6 +615,7 @@ const settingSchema = new mongoose.Schema({
     smtpUser: String,
     smtpPassword: {
       type: String,
+      set: encryptSecret,
       select: false
     },
     fromEmail: {
@@ -419,10 +633,12 @@ const settingSchema = new mongoose.Schema({
     },
     apiKey: {
       type: String,
+      set: encryptSecret,
       select: false
     },
     apiSecret: {
       type: String,
+      set: encryptSecret,
       select: false
     },
     fromNumber: String
@@ -450,10 +666,20 @@ const settingSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      (ret.paymentGateways || []).forEach(gateway => redactFields(gateway, GATEWAY_SECRET_FIELDS));
+      redactFields(ret.emailSettings, ['smtpPassword']);
+      redactFields(ret.smsSettings, ['apiKey', 'apiSecret']);
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
+const MAX_SECRET_CHANGES = 100;
+
 // Default operating hours
 settingSchema.pre('save', function(next) {
   if (!this.operatingHours || this.operatingHours.length === 0) {
@@ -476,36 +702,77 @@ settingSchema.virtual('fullAddress').get(function() {
   return `${this.address.street}, ${this.address.city}, ${this.address.state} ${this.address.zipCode}, ${this.address.country}`;
 });
 
+// Opening hours are read in the branch timezone: routes pass
+// resolveTimezone(branchDoc, settings) to the methods below, since the
+// setting's own timezone is only a fallback for branches without one
 
-// Virtual for current operating status
-settingSchema.virtual('isCurrentlyOpen').get(function() {
-  const now = new Date();
-const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-const currentTime = now.toTimeString().slice(0, 5);
-  const todayHours = this.operatingHours.find(hours => hours.day === currentDay);
-  
-  if (!todayHours || !todayHours.isOpen) return false;
-  
-  return currentTime >= todayHours.openTime && currentTime <= todayHours.closeTime;
-});
+// Method to check if the branch is open at a given instant
+settingSchema.methods.isOpenAt = function(date = new Date(), timezone = this.timezone) {
+  return isOpenAt(this, date, timezone);
+};
+
+// Method to get the next time the branch opens
+settingSchema.methods.nextOpeningTime = function(from = new Date(), timezone = this.timezone) {
+  return nextOpeningTime(this, from, timezone);
+};
+
+// Method to get the open/closed state and when it next changes
+settingSchema.methods.getOpeningStatus = function(from = new Date(), timezone = this.timezone) {
+  return getOpeningStatus(this, from, timezone);
+};
 
 // Method to get active payment gateway
 settingSchema.methods.getActivePaymentGateway = function() {
   return this.paymentGateways.find(gateway => gateway.isActive);
 };
 
+// Method to append an entry to the secret audit trail (secretChanges must be selected)
+settingSchema.methods.recordSecretChange = function(change) {
+  this.secretChanges.push(change);
+  if (this.secretChanges.length > MAX_SECRET_CHANGES) {
+    this.secretChanges.splice(0, this.secretChanges.length - MAX_SECRET_CHANGES);
+  }
+};
+
+// Method to rewrite every stored secret under the active encryption key
+// (secret fields must be selected); returns the paths that were rewritten
+settingSchema.methods.reencryptSecrets = function(changedBy) {
+  const rotated = [];
+  const rotate = (target, field, path, provider) => {
+    if (!needsReencryption(target[field])) return;
+    target[field] = reencryptSecret(target[field]);
+    rotated.push({ path, provider });
+  };
+
+  (this.paymentGateways || []).forEach(gateway => {
+    GATEWAY_SECRET_FIELDS.forEach(field => rotate(gateway, field, `paymentGateways.${field}`, gateway.provider));
+  });
+  if (this.emailSettings) rotate(this.emailSettings, 'smtpPassword', 'emailSettings.smtpPassword');
+  if (this.smsSettings) {
+    rotate(this.smsSettings, 'apiKey', 'smsSettings.apiKey');
+    rotate(this.smsSettings, 'apiSecret', 'smsSettings.apiSecret');
+  }
+
+  rotated.forEach(({ path, provider }) => this.recordSecretChange({
+    path,
+    provider,
+    action: 'rotated',
+    keyId: getActiveKeyId(),
+    changedBy
+  }));
+  return rotated;
+};
+
 // Method to check if delivery is available to coordinates
-settingSchema.methods.isDeliveryAvailable = function(lat, lng) {
+settingSchema.methods.isDeliveryAvailable = function(lat, lng, branchDoc) {
   if (!this.deliverySettings.isDeliveryEnabled) return false;
-  
-  // Simple radius check (you might want to implement more complex zone checking)
-  const restaurantLat = this.address.latitude;
-  const restaurantLng = this.address.longitude;
-  
-  if (!restaurantLat || !restaurantLng) return true; // Allow if coordinates not set
-  
-  const distance = this.calculateDistance(restaurantLat, restaurantLng, lat, lng);
-  return distance <= this.deliverySettings.deliveryRadius;
+
+  return this.resolveDeliveryArea(lat, lng, branchDoc).canDeliver;
+};
+
+// Method to resolve the delivery zone (or radius fallback) for coordinates
+settingSchema.methods.resolveDeliveryArea = function(lat, lng, branchDoc) {
+  return resolveDeliveryArea({ settings: this, branchDoc, latitude: lat, longitude: lng });
 };
 
 // Helper method to calculate distance between two points
@@ -520,6 +787,10 @@ settingSchema.methods.calculateDistance = function(lat1, lng1, lat2, lng2) {
   return R * c;
 };
 
+// Selection that includes every encrypted field and the audit trail
+settingSchema.statics.SECRET_SELECT = SECRET_PATHS.map(path => `+${path}`).concat('+secretChanges').join(' ');
+settingSchema.statics.SECRET_PATHS = SECRET_PATHS;
+
 // Indexes
 settingSchema.index({ 'address.city': 1 });
 settingSchema.index({ 'deliveryZones.isActive': 1 });
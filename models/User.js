@@ -89,7 +89,7 @@ phone: {
   addresses: [addressSchema],
   role: {
     type: String,
-    enum: ['user', 'admin', 'manager', 'super_admin', 'branch_admin', 'staff', 'superadmin'],
+    enum: ['user', 'admin', 'manager', 'super_admin', 'branch_admin', 'staff', 'driver', 'superadmin'],
     default: 'user'
   },
   isActive: {
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const OfferRedemption = require('./OfferRedemption');
 
 const offerSchema = new mongoose.Schema({
   branchId: {
@@ -244,29 +245,80 @@ offerSchema.index({ platforms: 1 });
 offerSchema.index({ 'claimedDevices.deviceId': 1 }); // NEW: Index for device lookups
 offerSchema.index({ isOneTimePerDevice: 1 });
 
+// Redemptions live in the OfferRedemption collection. The embedded
+// claimedDevices / usageHistory arrays are no longer written and are only
+// read for records created before the move.
+
+// Static method to load a device's / user's redemptions for a list of offers,
+// so hasDeviceClaimed and canUserUse can stay synchronous
+offerSchema.statics.loadRedemptionState = async function(offers, { userId = null, deviceId = null } = {}) {
+  const list = Array.isArray(offers) ? offers : [offers];
+  const docs = list.filter(offer => offer && offer.$locals);
+  if (docs.length === 0 || (!userId && !deviceId)) return offers;
+
+  const or = [];
+  if (deviceId) or.push({ claimedDeviceId: deviceId });
+  if (userId) or.push({ userId, userSlot: { $exists: true } });
+
+  const redemptions = await OfferRedemption.find({
+    offerId: { $in: docs.map(offer => offer._id) },
+    status: 'active',
+    $or: or
+  }).select('offerId claimedDeviceId userId userSlot').lean();
+
+  docs.forEach(offer => {
+    const own = redemptions.filter(r => r.offerId.toString() === offer._id.toString());
+    offer.$locals.redemptions = {
+      deviceId,
+      userId: userId ? userId.toString() : null,
+      deviceClaimed: Boolean(deviceId) && own.some(r => r.claimedDeviceId === deviceId),
+      userUsageCount: userId
+        ? own.filter(r => r.userId && r.userId.toString() === userId.toString() && r.userSlot !== undefined).length
+        : 0
+    };
+  });
+
+  return offers;
+};
+
 // Method to check if device has already claimed this offer
 offerSchema.methods.hasDeviceClaimed = function(deviceId) {
   if (!this.isOneTimePerDevice) return false;
+  const loaded = this.$locals?.redemptions;
+  if (loaded && loaded.deviceId === deviceId && loaded.deviceClaimed) return true;
   const claimedDevices = Array.isArray(this.claimedDevices) ? this.claimedDevices : [];
   return claimedDevices.some(claim => claim && claim.deviceId === deviceId);
 };
 
 // Method to mark device as claimed
-offerSchema.methods.claimByDevice = function(deviceId, userId = null) {
+offerSchema.methods.claimByDevice = async function(deviceId, userId = null, orderId = null) {
   if (!this.isOneTimePerDevice) return this;
   
-  // Check if already claimed
+  // Check legacy claims; new claims are guarded by the unique index below
   if (this.hasDeviceClaimed(deviceId)) {
     throw new Error('This device has already claimed this offer');
   }
   
-  this.claimedDevices.push({
-    deviceId,
-    userId,
-    claimedAt: new Date()
-  });
+  try {
+    await OfferRedemption.create({
+      offerId: this._id,
+      branchId: this.branchId,
+      userId,
+      orderId,
+      deviceId,
+      claimedDeviceId: deviceId,
+      countsTowardUsage: false
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const claimed = new Error('This device has already claimed this offer');
+      claimed.statusCode = 400;
+      throw claimed;
+    }
+    throw error;
+  }
   
-  return this.save();
+  return this;
 };
 
 // Method to check if offer is valid for platform
@@ -285,28 +337,93 @@ offerSchema.methods.canUserUse = function(userId, deviceId = null) {
     return false;
   }
   
+  return this.getUserUsageCount(userId) < this.userUsageLimit;
+};
+
+// Method to count a user's redemptions (legacy embedded history + loaded redemptions)
+offerSchema.methods.getUserUsageCount = function(userId) {
   const usageHistory = Array.isArray(this.usageHistory) ? this.usageHistory : [];
   
-  const userUsage = usageHistory.filter(usage => 
-    usage.user.toString() === userId.toString()
+  const legacyUsage = usageHistory.filter(usage => 
+    usage.user && usage.user.toString() === userId.toString()
   ).length;
   
-  return userUsage < this.userUsageLimit;
+  const loaded = this.$locals?.redemptions;
+  const redemptionUsage = loaded && loaded.userId === userId.toString() ? loaded.userUsageCount : 0;
+  
+  return legacyUsage + redemptionUsage;
+};
+
+// Method to check every coupon restriction that does not depend on the cart.
+// Returns a machine-readable code so the apps can show a specific message.
+offerSchema.methods.checkCouponEligibility = function({ branchId, userId, platform, deviceId = null }) {
+  const now = new Date();
+  const reject = (code, reason) => ({ eligible: false, code, reason });
+
+  if (!this.isActive) {
+    return reject('COUPON_INACTIVE', 'This coupon is no longer active');
+  }
+
+  if (branchId && Array.isArray(this.branches) && this.branches.length > 0 &&
+      !this.branches.some(id => id.toString() === branchId.toString())) {
+    return reject('COUPON_BRANCH_NOT_ELIGIBLE', 'This coupon is not valid at this branch');
+  }
+
+  if (now < this.startDate) {
+    return reject('COUPON_NOT_STARTED', 'This coupon is not active yet');
+  }
+
+  if (now > this.endDate) {
+    return reject('COUPON_EXPIRED', 'This coupon has expired');
+  }
+
+  if (this.usageLimit !== null && this.usageCount >= this.usageLimit) {
+    return reject('COUPON_USAGE_LIMIT_REACHED', 'This coupon has reached its usage limit');
+  }
+
+  if (!this.isValidForPlatform(platform)) {
+    return reject('COUPON_PLATFORM_NOT_ELIGIBLE', 'This coupon is not valid on this platform');
+  }
+
+  if (this.isOneTimePerDevice) {
+    if (!deviceId) {
+      return reject('COUPON_DEVICE_REQUIRED', 'This coupon can only be redeemed from the mobile app');
+    }
+    if (this.hasDeviceClaimed(deviceId)) {
+      return reject('COUPON_DEVICE_ALREADY_CLAIMED', 'This device has already claimed this offer');
+    }
+  }
+
+  if (!this.canUserUse(userId, deviceId)) {
+    return reject('COUPON_USER_LIMIT_REACHED', 'You have already used this coupon');
+  }
+
+  return { eligible: true };
 };
 
 // Method to calculate discount for an order
+// orderDetails.deliveryFee is the server-computed fee a free-delivery offer waives
 offerSchema.methods.calculateDiscount = function(orderDetails) {
-  const { subtotal, items, deliveryType } = orderDetails;
+  const { subtotal, items, deliveryType, deliveryFee = 0 } = orderDetails;
   
   if (subtotal < this.minOrderAmount) {
-    return { valid: false, reason: `Minimum order amount is $${this.minOrderAmount}` };
+    return {
+      valid: false,
+      code: 'COUPON_MIN_ORDER_NOT_MET',
+      reason: `Minimum order amount is $${this.minOrderAmount}`
+    };
   }
   
   if (this.deliveryTypes.length > 0 && !this.deliveryTypes.includes(deliveryType)) {
-    return { valid: false, reason: 'Offer not valid for this delivery type' };
+    return {
+      valid: false,
+      code: 'COUPON_DELIVERY_TYPE_NOT_ELIGIBLE',
+      reason: 'Offer not valid for this delivery type'
+    };
   }
   
   let discount = 0;
+  let deliveryFeeWaived = 0;
   
   switch (this.type) {
     case 'percentage':
@@ -321,7 +438,15 @@ offerSchema.methods.calculateDiscount = function(orderDetails) {
       break;
       
     case 'free-delivery':
-      discount = 2.99;
+      if (deliveryType !== 'delivery') {
+        return {
+          valid: false,
+          code: 'COUPON_DELIVERY_TYPE_NOT_ELIGIBLE',
+          reason: 'Free delivery only applies to delivery orders'
+        };
+      }
+      deliveryFeeWaived = Math.round(deliveryFee * 100) / 100;
+      discount = deliveryFeeWaived;
       break;
       
     case 'buy-one-get-one':
@@ -342,33 +467,136 @@ offerSchema.methods.calculateDiscount = function(orderDetails) {
   
   return {
     valid: true,
-    discount: Math.round(discount * 100) / 100
+    discount: Math.round(discount * 100) / 100,
+    deliveryFeeWaived
   };
 };
 
-// Method to apply offer to user with platform and device tracking
-offerSchema.methods.applyToUser = async function(userId, orderId, discountAmount, platform, deviceId = null) {
-  this.usageHistory.push({
-    user: userId,
-    order: orderId,
+// Method to redeem the offer for an order.
+// The global limit is a conditional $inc on usageCount; the per-user and
+// per-device limits are unique indexes on OfferRedemption. Every step either
+// succeeds or is rolled back, so concurrent checkouts cannot exceed a limit.
+// Resolves to { success, redemption } or { success: false, code, reason }.
+offerSchema.methods.redeem = async function({ userId, orderId = null, discountAmount = 0, platform, deviceId = null }) {
+  const now = new Date();
+
+  const counted = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      isActive: true,
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  ).select('usageCount userUsageLimit isOneTimePerDevice');
+
+  if (!counted) {
+    return { success: false, code: 'COUPON_USAGE_LIMIT_REACHED', reason: 'This coupon is no longer available' };
+  }
+
+  const releaseCount = () => this.constructor.updateOne(
+    { _id: this._id, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+
+  const redemptionData = {
+    offerId: this._id,
+    branchId: this.branchId,
+    userId,
+    orderId,
     deviceId,
     discountAmount,
-    platform: platform || 'web',
-    usedAt: new Date()
-  });
-  
-  this.usageCount += 1;
-  
-  // Mark device as claimed if one-time offer
-  if (this.isOneTimePerDevice && deviceId && !this.hasDeviceClaimed(deviceId)) {
-    this.claimedDevices.push({
-      deviceId,
-      userId,
-      claimedAt: new Date()
-    });
+    platform: platform === 'mobile' ? 'mobile' : 'web',
+    redeemedAt: now
+  };
+  if (counted.isOneTimePerDevice && deviceId) {
+    redemptionData.claimedDeviceId = deviceId;
   }
-  
-  return this.save();
+
+  // No per-user limit: a single insert, only the device index can reject it
+  const userLimit = counted.userUsageLimit;
+  const slots = [];
+  if (userLimit === null || userLimit === undefined) {
+    slots.push(undefined);
+  } else {
+    // Legacy embedded usages permanently occupy the lowest slots
+    const legacyUsage = (this.usageHistory || []).filter(usage =>
+      usage.user && usage.user.toString() === userId.toString()
+    ).length;
+    for (let slot = legacyUsage; slot < userLimit; slot++) slots.push(slot);
+  }
+
+  for (const slot of slots) {
+    try {
+      const redemption = await OfferRedemption.create(
+        slot === undefined ? redemptionData : { ...redemptionData, userSlot: slot }
+      );
+      return { success: true, redemption };
+    } catch (error) {
+      if (error.code !== 11000) {
+        await releaseCount();
+        throw error;
+      }
+      if (error.keyPattern && error.keyPattern.claimedDeviceId) {
+        await releaseCount();
+        return {
+          success: false,
+          code: 'COUPON_DEVICE_ALREADY_CLAIMED',
+          reason: 'This device has already claimed this offer'
+        };
+      }
+      // Slot taken by a concurrent or earlier redemption — try the next one
+    }
+  }
+
+  await releaseCount();
+  return { success: false, code: 'COUPON_USER_LIMIT_REACHED', reason: 'You have already used this coupon' };
+};
+
+// Method to apply offer to user with platform and device tracking
+offerSchema.methods.applyToUser = async function(userId, orderId, discountAmount, platform, deviceId = null) {
+  const result = await this.redeem({ userId, orderId, discountAmount, platform, deviceId });
+  if (!result.success) {
+    throw new Error(result.reason);
+  }
+  return result.redemption;
+};
+
+// Static method to reverse every active redemption of an order (e.g. on cancellation).
+// Frees the user slot and device claim and gives the global usage back.
+offerSchema.statics.reverseOrderRedemptions = async function(orderId, reason = 'order-cancelled') {
+  const redemptions = await OfferRedemption.find({ orderId, status: 'active' }).select('_id');
+  let reversed = 0;
+
+  for (const { _id } of redemptions) {
+    const redemption = await OfferRedemption.findOneAndUpdate(
+      { _id, status: 'active' },
+      { $set: { status: 'reversed', reversedAt: new Date(), reversalReason: reason } },
+      { new: true }
+    );
+    if (!redemption) continue; // reversed concurrently
+
+    if (redemption.countsTowardUsage) {
+      await this.updateOne(
+        { _id: redemption.offerId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+      );
+    }
+    reversed += 1;
+  }
+
+  // Orders redeemed before the OfferRedemption collection existed
+  const legacy = await this.updateMany(
+    { 'usageHistory.order': orderId },
+    { $inc: { usageCount: -1 }, $pull: { usageHistory: { order: orderId } } }
+  );
+
+  return reversed + (legacy.modifiedCount || 0);
 };
 
 // Static method to find valid offers for user with platform and device filter
@@ -403,6 +631,7 @@ offerSchema.statics.findValidOffersForUser = function(branchId, userId, orderDet
   return this.find(query)
     .populate('appliedToCategories appliedToItems excludedItems')
     .sort({ priority: -1, createdAt: -1 })
+    .then(offers => this.loadRedemptionState(offers, { userId, deviceId }))
     .then(offers => {
       // Filter out offers where device has already claimed (if one-time per device)
       if (deviceId) {
@@ -437,8 +666,10 @@ offerSchema.statics.findByCouponCode = function(branchId, code, platform, device
     ];
   }
 
-  return this.findOne(query).then(offer => {
+  return this.findOne(query).then(async offer => {
     if (!offer) return null;
+
+    await this.loadRedemptionState(offer, { deviceId });
     
     // Check device restriction
     if (offer.isOneTimePerDevice && deviceId && offer.hasDeviceClaimed(deviceId)) {
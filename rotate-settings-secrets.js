@@ -0,0 +1,73 @@
+/**
+ * rotate-settings-secrets.js
+ *
+ * Re-encrypts the secrets stored in every branch's settings (payment gateway
+ * keys, SMTP password, SMS credentials) with the active encryption key, and
+ * encrypts values that were saved in plaintext before encryption existed.
+ *
+ * Rotating the master key:
+ *   1. Put the new key first in SETTINGS_ENCRYPTION_KEYS, keeping the old one:
+ *        SETTINGS_ENCRYPTION_KEYS=k2:<new base64 key>,k1:<old base64 key>
+ *   2. Deploy, then run: node rotate-settings-secrets.js
+ *   3. Remove the old key from SETTINGS_ENCRYPTION_KEYS.
+ *
+ * Generate a key with:
+ *   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ *
+ * NOTE: Safe to run multiple times; values already under the active key are skipped.
+ */
+
+/* eslint-disable no-console */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Setting = require('./models/Setting');
+const { getActiveKeyId } = require('./utils/secretCrypto');
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set');
+    process.exit(1);
+  }
+  if (!getActiveKeyId()) {
+    console.error('❌ SETTINGS_ENCRYPTION_KEYS is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 30000,
+  });
+  console.log(`✅ MongoDB connected, encrypting with key "${getActiveKeyId()}"`);
+
+  let failed = false;
+  try {
+    const settingsList = await Setting.find({}).select(Setting.SECRET_SELECT);
+    let total = 0;
+
+    for (const settings of settingsList) {
+      try {
+        const rotated = settings.reencryptSecrets({ role: 'system' });
+        if (rotated.length === 0) continue;
+
+        await settings.save();
+        total += rotated.length;
+        console.log(`🔐 Branch ${settings.branchId}: ${rotated.map(entry => entry.path).join(', ')}`);
+      } catch (err) {
+        failed = true;
+        console.error(`❌ Branch ${settings.branchId}: ${err.message}`);
+      }
+    }
+
+    console.log(`\n🎉 ${total} secret(s) re-encrypted across ${settingsList.length} settings document(s)`);
+  } catch (err) {
+    failed = true;
+    console.error('❌ Rotation failed:', err);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
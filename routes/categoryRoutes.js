@@ -6,9 +6,14 @@ const { auth, authorize } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
 const { detectLanguage, localizeResponse } = require('../middleware/languageMiddleware');
 const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { resolveTimezone } = require('../utils/businessHours');
+const { annotateMenuAvailability } = require('../utils/menuSchedule');
 
 const router = express.Router();
 
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
 // Apply language middleware to all routes
 router.use(detectLanguage);
 router.use(localizeResponse);
@@ -21,6 +26,9 @@ router.get('/', attachBranchToRequest, resolveBranchContext, asyncHandler(async
     .populate('itemsCount')
     .sort({ sortOrder: 1, 'name.en': 1 });
 
+  // Whether each category's menu window is open now, in the branch timezone
+  annotateMenuAvailability(categories, { timezone: resolveTimezone(req.branchDoc) });
+
   // Response will be automatically localized by middleware
   res.json({
     success: true,
@@ -79,6 +87,8 @@ router.get('/:id', [
     });
   }
 
+  annotateMenuAvailability([category], { timezone: resolveTimezone(req.branchDoc) });
+
   res.json({
     success: true,
     category,
@@ -105,7 +115,14 @@ router.post('/', [
   body('description.ar').optional().trim(),
   body('description.fr').optional().trim(), // Added French
   body('icon').optional().trim(),
-  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be non-negative')
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be non-negative'),
+  body('kitchenStation').optional().trim().isLength({ max: 40 }).withMessage('Kitchen station cannot exceed 40 characters'),
+  body('taxClass').optional().trim().toLowerCase().matches(/^[a-z0-9_-]{0,40}$/).withMessage('Tax class may only contain letters, digits, - and _ (max 40)'),
+  body('menuSchedule').optional().isArray().withMessage('menuSchedule must be an array'),
+  body('menuSchedule.*.days').isArray({ min: 1 }).withMessage('A menu window needs at least one day'),
+  body('menuSchedule.*.days.*').isIn(WEEKDAYS).withMessage('Invalid day in menu window'),
+  body('menuSchedule.*.startTime').matches(TIME_FORMAT).withMessage('startTime must be HH:MM'),
+  body('menuSchedule.*.endTime').matches(TIME_FORMAT).withMessage('endTime must be HH:MM')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -145,7 +162,14 @@ router.put('/:id', [
   body('description.ar').optional().trim(),
   body('description.fr').optional().trim(), // Added French
   body('icon').optional().trim(),
-  body('sortOrder').optional().isInt({ min: 0 })
+  body('sortOrder').optional().isInt({ min: 0 }),
+  body('kitchenStation').optional().trim().isLength({ max: 40 }).withMessage('Kitchen station cannot exceed 40 characters'),
+  body('taxClass').optional().trim().toLowerCase().matches(/^[a-z0-9_-]{0,40}$/).withMessage('Tax class may only contain letters, digits, - and _ (max 40)'),
+  body('menuSchedule').optional().isArray().withMessage('menuSchedule must be an array'),
+  body('menuSchedule.*.days').isArray({ min: 1 }).withMessage('A menu window needs at least one day'),
+  body('menuSchedule.*.days.*').isIn(WEEKDAYS).withMessage('Invalid day in menu window'),
+  body('menuSchedule.*.startTime').matches(TIME_FORMAT).withMessage('startTime must be HH:MM'),
+  body('menuSchedule.*.endTime').matches(TIME_FORMAT).withMessage('endTime must be HH:MM')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -191,7 +215,7 @@ router.put('/:id', [
   }
   
   // Handle other fields
-  const simpleFields = ['icon', 'imageUrl', 'isActive', 'sortOrder'];
+  const simpleFields = ['icon', 'imageUrl', 'isActive', 'sortOrder', 'kitchenStation', 'taxClass', 'menuSchedule'];
   simpleFields.forEach(field => {
     if (req.body[field] !== undefined) {
       updateData[field] = req.body[field];
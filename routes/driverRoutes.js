@@ -0,0 +1,326 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { ACTIVE_DELIVERY_STATUSES, checkTransition } = require('../utils/orderStatusMachine');
+const { buildTrackingUpdate } = require('../utils/orderLifecycle');
+const { sendOrderStatusNotification } = require('../utils/notificationService');
+const { validateCoordinates } = require('../utils/locationUtils');
+const { estimateDriverEta } = require('../utils/driverEta');
+const { ORDER_EVENT_TYPES, publishOrderEvent, latestTrackingUpdate } = require('../utils/orderEvents');
+
+const router = express.Router();
+
+const driverContext = [auth, attachBranchToRequest, resolveBranchContext, authorize('driver')];
+
+const currentUserId = (req) => (req.user._id || req.user.id).toString();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Order assigned to the current driver, or a 404 response
+const findAssignedOrder = async (req, res) => {
+  const order = await Order.findOne({
+    _id: req.params.id,
+    branchId: req.branchId,
+    deliveryAgent: currentUserId(req)
+  });
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found or not assigned to you'
+    });
+  }
+  return order;
+};
+
+/**
+ * Move an assigned order to `status` on behalf of the driver. The write only
+ * applies if the order is still in the status it was read with and still
+ * assigned to this driver, so a concurrent reassignment or cancellation wins.
+ */
+const applyDriverTransition = async (req, res, order, status, message, extraSet = {}) => {
+  const transition = checkTransition(order, status, req.user.role);
+  if (!transition.allowed) {
+    res.status(transition.code === 'STATUS_TRANSITION_FORBIDDEN' ? 403 : 409).json({
+      success: false,
+      code: transition.code,
+      message: transition.reason,
+      currentStatus: order.status,
+      allowedStatuses: transition.allowedStatuses
+    });
+    return null;
+  }
+
+  const location = validateCoordinates(req.body.latitude, req.body.longitude)
+    ? { latitude: req.body.latitude, longitude: req.body.longitude }
+    : undefined;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, deliveryAgent: order.deliveryAgent },
+    {
+      $set: { status, ...extraSet },
+      $push: {
+        trackingUpdates: {
+          ...buildTrackingUpdate(status, message, { user: currentUserId(req), role: req.user.role }),
+          location
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    res.status(409).json({
+      success: false,
+      code: 'ORDER_CHANGED',
+      message: 'The order was updated by someone else. Please refresh and try again.'
+    });
+    return null;
+  }
+
+  publishOrderEvent(ORDER_EVENT_TYPES.STATUS, updated, { trackingUpdate: latestTrackingUpdate(updated) });
+
+  try {
+    await sendOrderStatusNotification(updated.userId.toString(), updated, status);
+  } catch (error) {
+    console.error('Driver update notification failed:', error.message);
+  }
+
+  return updated;
+};
+
+// @desc    List the branch's drivers with their active delivery count
+// @route   GET /api/v1/drivers
+// @access  Private (Admin/Manager only)
+router.get('/', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager')
+], asyncHandler(async (req, res) => {
+  const [drivers, activeCounts] = await Promise.all([
+    User.find({ branchId: req.branchId, role: 'driver', isActive: true })
+      .select('firstName lastName phone email')
+      .sort({ firstName: 1 })
+      .lean(),
+    Order.aggregate([
+      {
+        $match: {
+          branchId: req.branchId,
+          deliveryAgent: { $ne: null },
+          status: { $in: ACTIVE_DELIVERY_STATUSES }
+        }
+      },
+      { $group: { _id: '$deliveryAgent', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countByDriver = Object.fromEntries(activeCounts.map(entry => [entry._id.toString(), entry.count]));
+
+  res.json({
+    success: true,
+    drivers: drivers.map(driver => ({
+      ...driver,
+      activeDeliveries: countByDriver[driver._id.toString()] || 0
+    }))
+  });
+}));
+
+// @desc    Get the current driver's active deliveries
+// @route   GET /api/v1/drivers/me/orders
+// @access  Private (Driver only)
+router.get('/me/orders', driverContext, asyncHandler(async (req, res) => {
+  const orders = await Order.find({
+    branchId: req.branchId,
+    deliveryAgent: currentUserId(req),
+    status: { $in: ACTIVE_DELIVERY_STATUSES }
+  })
+    .select('orderNumber status deliveryAddress total paymentMethod codPaymentType specialInstructions estimatedDeliveryTime scheduledFor driverAssignment createdAt')
+    .populate('userId', 'firstName lastName phone')
+    .sort({ estimatedDeliveryTime: 1 });
+
+  res.json({
+    success: true,
+    count: orders.length,
+    orders
+  });
+}));
+
+// @desc    Accept an assigned delivery
+// @route   PATCH /api/v1/drivers/me/orders/:id/accept
+// @access  Private (Driver only)
+router.patch('/me/orders/:id/accept', [
+  ...driverContext,
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  if (!ACTIVE_DELIVERY_STATUSES.includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      code: 'DELIVERY_NOT_ACTIVE',
+      message: `Order is ${order.status} and can no longer be accepted`
+    });
+  }
+
+  if (order.driverAssignment?.acceptedAt) {
+    return res.json({
+      success: true,
+      message: 'Delivery already accepted',
+      driverAssignment: order.driverAssignment
+    });
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, deliveryAgent: order.deliveryAgent },
+    {
+      $set: { 'driverAssignment.acceptedAt': new Date() },
+      $push: {
+        trackingUpdates: buildTrackingUpdate(order.status, 'Driver accepted the delivery', {
+          user: currentUserId(req),
+          role: req.user.role
+        })
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      code: 'ORDER_CHANGED',
+      message: 'The order was reassigned. Please refresh and try again.'
+    });
+  }
+
+  publishOrderEvent(ORDER_EVENT_TYPES.TRACKING, updated, { trackingUpdate: latestTrackingUpdate(updated) });
+
+  res.json({
+    success: true,
+    message: 'Delivery accepted',
+    driverAssignment: updated.driverAssignment
+  });
+}));
+
+// @desc    Mark an assigned delivery as picked up from the branch
+// @route   PATCH /api/v1/drivers/me/orders/:id/picked-up
+// @access  Private (Driver only)
+router.patch('/me/orders/:id/picked-up', [
+  ...driverContext,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).toFloat()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  const now = new Date();
+  const updated = await applyDriverTransition(req, res, order, 'out-for-delivery', 'Driver picked up the order', {
+    'driverAssignment.pickedUpAt': now,
+    // Picking up implies the driver took the job
+    'driverAssignment.acceptedAt': order.driverAssignment?.acceptedAt || now
+  });
+  if (!updated) return;
+
+  res.json({
+    success: true,
+    message: 'Order marked as picked up',
+    order: {
+      id: updated._id,
+      status: updated.status,
+      driverAssignment: updated.driverAssignment
+    }
+  });
+}));
+
+// @desc    Mark an assigned delivery as delivered
+// @route   PATCH /api/v1/drivers/me/orders/:id/delivered
+// @access  Private (Driver only)
+router.patch('/me/orders/:id/delivered', [
+  ...driverContext,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).toFloat()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  const now = new Date();
+  const updated = await applyDriverTransition(req, res, order, 'delivered', 'Order delivered by driver', {
+    'driverAssignment.deliveredAt': now,
+    actualDeliveryTime: now
+  });
+  if (!updated) return;
+
+  res.json({
+    success: true,
+    message: 'Order marked as delivered',
+    order: {
+      id: updated._id,
+      status: updated.status,
+      actualDeliveryTime: updated.actualDeliveryTime
+    }
+  });
+}));
+
+// @desc    Report the driver's GPS position for all their active deliveries
+// @route   POST /api/v1/drivers/me/location
+// @access  Private (Driver only)
+router.post('/me/location', [
+  ...driverContext,
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required').toFloat(),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required').toFloat(),
+  body('heading').optional().isFloat({ min: 0, max: 360 }).toFloat(),
+  body('speed').optional().isFloat({ min: 0 }).toFloat(),
+  body('accuracy').optional().isFloat({ min: 0 }).toFloat()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { latitude, longitude, heading, speed, accuracy } = req.body;
+  const driverLocation = { latitude, longitude, heading, speed, accuracy, updatedAt: new Date() };
+
+  const activeFilter = {
+    branchId: req.branchId,
+    deliveryAgent: currentUserId(req),
+    status: { $in: ACTIVE_DELIVERY_STATUSES }
+  };
+
+  const result = await Order.updateMany(activeFilter, { $set: { driverLocation } });
+
+  // Push the new position and ETA to anyone following these orders
+  const orders = await Order.find(activeFilter)
+    .select('orderNumber status deliveryType branchId userId deliveryAgent deliveryAddress driverLocation preparationTime releasedAt createdAt');
+  orders.forEach(order => {
+    publishOrderEvent(ORDER_EVENT_TYPES.DRIVER_LOCATION, order, {
+      driverTracking: estimateDriverEta({ order, branchDoc: req.branchDoc })
+    });
+  });
+
+  res.json({
+    success: true,
+    message: 'Location updated',
+    ordersUpdated: result.modifiedCount
+  });
+}));
+
+module.exports = router;
@@ -1,20 +1,70 @@
 const express = require('express');
 const { query, body, param, validationResult } = require('express-validator');
 const { FoodItem, Category } = require('../models/Category');
+const Ingredient = require('../models/Ingredient');
 const { auth, authorize, optionalAuth } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
 const { detectLanguage, localizeResponse } = require('../middleware/languageMiddleware');
 const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { resolveTimezone } = require('../utils/businessHours');
+const { getMenuAvailability, annotateMenuAvailability } = require('../utils/menuSchedule');
+const { adjustStock, refreshDishAvailability } = require('../utils/stockService');
 
 const router = express.Router();
 
-// @desc    Get all food items
-// @route   GET /api/v1/food-items
-// @access  Public
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
 
 router.use(detectLanguage);
 router.use(localizeResponse);
 
+// Menu windows are evaluated on the branch's wall clock
+const menuOptions = (req) => ({ timezone: resolveTimezone(req.branchDoc) });
+
+// Off the menu: items whose availableUntil date has passed for good,
+// inventory-tracked items that sold out and items missing ingredients
+const onMenuFilter = () => ({
+  $and: [
+    { $or: [{ availableUntil: null }, { availableUntil: { $gte: new Date() } }] },
+    { $or: [{ trackInventory: { $ne: true } }, { stockQuantity: { $gt: 0 } }] },
+    { $or: [{ availablePortions: null }, { availablePortions: { $gt: 0 } }] }
+  ]
+});
+
+// Ingredient ids in a recipe and in the recipes of modifier options, on every level
+const collectRecipeIngredients = (recipe = [], groups = []) => [
+  ...recipe.map(line => String(line.ingredient)),
+  ...groups.flatMap(group => (group.options || []).flatMap(option =>
+    collectRecipeIngredients(option.recipe, option.modifierGroups)))
+];
+
+// Recipes may only use the branch's own ingredients; returns the ids that are not
+const findForeignIngredients = async (branchId, recipe, modifierGroups) => {
+  const ids = [...new Set(collectRecipeIngredients(recipe, modifierGroups))];
+  if (!ids.length) return [];
+  const known = await Ingredient.find({ _id: { $in: ids }, branchId }).select('_id').lean();
+  const knownIds = new Set(known.map(ingredient => ingredient._id.toString()));
+  return ids.filter(id => !knownIds.has(id));
+};
+
+// Recompute the portions an item's recipe allows and set them on the document
+const refreshPortions = async (item) => {
+  await refreshDishAvailability(item.branchId, { foodItems: [item._id] });
+  const { availablePortions } = await FoodItem.findById(item._id).select('availablePortions').lean();
+  item.availablePortions = availablePortions;
+};
+
+const recipeValidators = [
+  body('recipe').optional().isArray().withMessage('recipe must be an array'),
+  body('recipe.*.ingredient').isMongoId().withMessage('Invalid ingredient ID in recipe'),
+  body('recipe.*.quantity').isFloat({ gt: 0 }).withMessage('Recipe quantities must be positive').toFloat()
+];
+
+// @desc    Get all food items; each carries its menuAvailability, and
+//          availableNow=true leaves out items outside their menu window
+// @route   GET /api/v1/food-items
+// @access  Public
+
 router.get('/', [
   attachBranchToRequest,
   resolveBranchContext,
@@ -28,7 +78,8 @@ router.get('/', [
   query('priceMin').optional().isFloat({ min: 0 }),
   query('priceMax').optional().isFloat({ min: 0 }),
   query('rating').optional().isFloat({ min: 0, max: 5 }),
-  query('sortBy').optional().isIn(['relevance', 'price-low', 'price-high', 'rating', 'popular', 'newest'])
+  query('sortBy').optional().isIn(['relevance', 'price-low', 'price-high', 'rating', 'popular', 'newest']),
+  query('availableNow').optional().isBoolean()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -50,11 +101,12 @@ router.get('/', [
     priceMin,
     priceMax,
     rating,
-    sortBy = 'relevance'
+    sortBy = 'relevance',
+    availableNow
   } = req.query;
 
   const skip = (page - 1) * limit;
-  let query = { isActive: true, branchId: req.branchId };
+  let query = { isActive: true, branchId: req.branchId, ...onMenuFilter() };
 
   // Apply filters
   if (category) query.category = category;
@@ -105,17 +157,33 @@ router.get('/', [
       sortOptions = { 'rating.average': -1 };
   }
 
-  // Execute query and count in parallel for better performance
-  const [items, totalItems] = await Promise.all([
-    FoodItem.find(query)
-      .populate('category', 'name icon imageUrl')
+  let items;
+  let totalItems;
+  if (availableNow === 'true') {
+    // Menu windows depend on the branch clock, so filter before paginating
+    const candidates = await FoodItem.find(query)
+      .populate('category', 'name icon imageUrl menuSchedule')
       .sort(sortOptions)
-      .limit(parseInt(limit))
-      .skip(skip)
       .select('-reviews')
-      .lean(),
-    FoodItem.countDocuments(query)
-  ]);
+      .lean();
+    const onMenu = annotateMenuAvailability(candidates, menuOptions(req))
+      .filter(item => item.menuAvailability.available);
+    totalItems = onMenu.length;
+    items = onMenu.slice(skip, skip + parseInt(limit));
+  } else {
+    // Execute query and count in parallel for better performance
+    [items, totalItems] = await Promise.all([
+      FoodItem.find(query)
+        .populate('category', 'name icon imageUrl menuSchedule')
+        .sort(sortOptions)
+        .limit(parseInt(limit))
+        .skip(skip)
+        .select('-reviews')
+        .lean(),
+      FoodItem.countDocuments(query)
+    ]);
+    annotateMenuAvailability(items, menuOptions(req));
+  }
 
   const totalPages = Math.ceil(totalItems / limit);
 
@@ -241,7 +309,7 @@ router.get('/getallitems', [
   // Execute query and count in parallel for better performance
   const [items, totalItems] = await Promise.all([
     FoodItem.find(query)
-      .populate('category', 'name icon')
+      .populate('category', 'name icon menuSchedule')
       .sort(sortOptions)
       .limit(parseInt(limit))
       .skip(skip)
@@ -249,6 +317,7 @@ router.get('/getallitems', [
       .lean(),
     FoodItem.countDocuments(query)
   ]);
+  annotateMenuAvailability(items, menuOptions(req));
 
   const totalPages = Math.ceil(totalItems / limit);
 
@@ -272,10 +341,12 @@ router.get('/featured', [
 ], asyncHandler(async (req, res) => {
   const { limit = 6 } = req.query;
 
-  const items = await FoodItem.find({ isFeatured: true, isActive: true, branchId: req.branchId })
-    .populate('category', 'name icon')
+  // Only promote what can be ordered right now
+  const items = (await FoodItem.find({ isFeatured: true, isActive: true, branchId: req.branchId, ...onMenuFilter() })
+    .populate('category', 'name icon menuSchedule')
     .sort({ createdAt: -1 })
-    .limit(parseInt(limit));
+    .limit(parseInt(limit)))
+    .filter(item => getMenuAvailability(item, menuOptions(req)).available);
 
   res.json({
     success: true,
@@ -295,10 +366,11 @@ router.get('/popular', [
 ], asyncHandler(async (req, res) => {
   const { limit = 10 } = req.query;
 
-  const items = await FoodItem.find({ isActive: true, branchId: req.branchId })
-    .populate('category', 'name icon')
+  const items = (await FoodItem.find({ isActive: true, branchId: req.branchId, ...onMenuFilter() })
+    .populate('category', 'name icon menuSchedule')
     .sort({ totalSold: -1, 'rating.average': -1 })
-    .limit(parseInt(limit));
+    .limit(parseInt(limit)))
+    .filter(item => getMenuAvailability(item, menuOptions(req)).available);
 
   res.json({
     success: true,
@@ -326,7 +398,7 @@ router.get('/:id', [
   }
 
   const item = await FoodItem.findOne({ _id: req.params.id, branchId: req.branchId })
-    .populate('category', 'name icon')
+    .populate('category', 'name icon menuSchedule')
     .populate({
       path: 'reviews.user',
       select: 'firstName lastName avatar'
@@ -346,6 +418,8 @@ router.get('/:id', [
     });
   }
 
+  annotateMenuAvailability([item], menuOptions(req));
+
   res.json({
     success: true,
     language: req.language,
@@ -425,7 +499,18 @@ router.post('/', [
   body('description.fr').optional().trim(), // Added French
   body('price').isFloat({ min: 0 }).withMessage('Price must be non-negative'),
   body('imageUrl').isURL().withMessage('Valid image URL is required'),
-  body('category').isMongoId().withMessage('Valid category ID is required')
+  body('category').isMongoId().withMessage('Valid category ID is required'),
+  body('taxClass').optional().trim().toLowerCase().matches(/^[a-z0-9_-]{0,40}$/).withMessage('Tax class may only contain letters, digits, - and _ (max 40)'),
+  body('trackInventory').optional().isBoolean().withMessage('trackInventory must be boolean').toBoolean(),
+  body('costPrice').optional().isFloat({ min: 0 }).withMessage('Cost price must be non-negative').toFloat(),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer').toInt(),
+  body('modifierGroups').optional().isArray().withMessage('modifierGroups must be an array'),
+  body('menuSchedule').optional().isArray().withMessage('menuSchedule must be an array'),
+  body('menuSchedule.*.days').isArray({ min: 1 }).withMessage('A menu window needs at least one day'),
+  body('menuSchedule.*.days.*').isIn(WEEKDAYS).withMessage('Invalid day in menu window'),
+  body('menuSchedule.*.startTime').matches(TIME_FORMAT).withMessage('startTime must be HH:MM'),
+  body('menuSchedule.*.endTime').matches(TIME_FORMAT).withMessage('endTime must be HH:MM'),
+  ...recipeValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -444,7 +529,32 @@ router.post('/', [
     });
   }
 
-  const item = await FoodItem.create({ ...req.body, branchId: req.branchId });
+  const unknownIngredients = await findForeignIngredients(req.branchId, req.body.recipe, req.body.modifierGroups);
+  if (unknownIngredients.length) {
+    return res.status(400).json({
+      success: false,
+      code: 'INGREDIENT_NOT_FOUND',
+      message: 'Recipes use ingredients that do not exist in this branch',
+      ingredients: unknownIngredients
+    });
+  }
+
+  const { stockQuantity, availablePortions, ...fields } = req.body;
+  const item = await FoodItem.create({ ...fields, branchId: req.branchId });
+
+  // The opening stock is the item's first ledger entry
+  if (stockQuantity > 0) {
+    await adjustStock(item._id, req.branchId, {
+      type: 'restock',
+      quantity: stockQuantity,
+      reason: 'Opening stock',
+      actor: { user: req.user._id || req.user.id, role: req.user.role }
+    });
+    item.stockQuantity = stockQuantity;
+  }
+  if (item.recipe.length) {
+    await refreshPortions(item);
+  }
   await item.populate('category', 'name icon');
 
   res.status(201).json({
@@ -479,7 +589,18 @@ router.put('/:id', [
   body('description.fr').optional().trim(), // Added French
   body('price').optional().isFloat({ min: 0 }),
   body('imageUrl').optional().isURL(),
-  body('category').optional().isMongoId()
+  body('category').optional().isMongoId(),
+  body('taxClass').optional().trim().toLowerCase().matches(/^[a-z0-9_-]{0,40}$/).withMessage('Tax class may only contain letters, digits, - and _ (max 40)'),
+  body('trackInventory').optional().isBoolean().withMessage('trackInventory must be boolean').toBoolean(),
+  body('costPrice').optional().isFloat({ min: 0 }).withMessage('Cost price must be non-negative').toFloat(),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer').toInt(),
+  body('modifierGroups').optional().isArray().withMessage('modifierGroups must be an array'),
+  body('menuSchedule').optional().isArray().withMessage('menuSchedule must be an array'),
+  body('menuSchedule.*.days').isArray({ min: 1 }).withMessage('A menu window needs at least one day'),
+  body('menuSchedule.*.days.*').isIn(WEEKDAYS).withMessage('Invalid day in menu window'),
+  body('menuSchedule.*.startTime').matches(TIME_FORMAT).withMessage('startTime must be HH:MM'),
+  body('menuSchedule.*.endTime').matches(TIME_FORMAT).withMessage('endTime must be HH:MM'),
+  ...recipeValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -509,6 +630,16 @@ router.put('/:id', [
     }
   }
 
+  const unknownIngredients = await findForeignIngredients(req.branchId, req.body.recipe, req.body.modifierGroups);
+  if (unknownIngredients.length) {
+    return res.status(400).json({
+      success: false,
+      code: 'INGREDIENT_NOT_FOUND',
+      message: 'Recipes use ingredients that do not exist in this branch',
+      ingredients: unknownIngredients
+    });
+  }
+
   // Build update object with proper multilingual structure
   const updateData = {};
   
@@ -539,9 +670,9 @@ router.put('/:id', [
     'price', 'originalPrice', 'imageUrl', 'images', 'category',
     'isVeg', 'isVegan', 'isGlutenFree', 'isNutFree', 'spiceLevel',
     'isFeatured', 'isPopular', 'isActive', 'isAvailable',
-    'preparationTime', 'stockQuantity', 'lowStockAlert',
-    'sku', 'barcode', 'servingSize', 'weight',
-    'availableFrom', 'availableUntil', 'nutrition', 'allergens'
+    'preparationTime', 'trackInventory', 'lowStockAlert', 'costPrice',
+    'sku', 'barcode', 'servingSize', 'weight', 'taxClass',
+    'availableFrom', 'availableUntil', 'menuSchedule', 'nutrition', 'allergens', 'recipe'
   ];
   
   simpleFields.forEach(field => {
@@ -567,6 +698,11 @@ router.put('/:id', [
     updateData.ingredients = req.body.ingredients;
   }
   
+  // Send back the _id of existing groups and options: orders reference them by id
+  if (req.body.modifierGroups) {
+    updateData.modifierGroups = req.body.modifierGroups;
+  }
+  
   if (req.body.tags) {
     updateData.tags = req.body.tags;
   }
@@ -581,6 +717,22 @@ router.put('/:id', [
     { new: true, runValidators: true }
   ).populate('category', 'name icon');
 
+  // A new stock count goes through the inventory ledger as an adjustment
+  if (req.body.stockQuantity !== undefined && req.body.stockQuantity !== item.stockQuantity) {
+    const { item: counted } = await adjustStock(item._id, req.branchId, {
+      type: 'adjustment',
+      setTo: req.body.stockQuantity,
+      reason: 'Stock count updated with the item',
+      actor: { user: req.user._id || req.user.id, role: req.user.role }
+    });
+    item.stockQuantity = counted.stockQuantity;
+  }
+
+  // The portions the ingredients allow follow the new recipe
+  if (req.body.recipe !== undefined) {
+    await refreshPortions(item);
+  }
+
   res.json({
     success: true,
     message: 'Food item updated successfully',
@@ -615,7 +767,9 @@ router.delete('/:id', [
 }));
 
 
-// @desc    Update stock for food item
+// @desc    Restock, write off or correct the stock of a food item; every change
+//          is recorded in the inventory ledger. `operation` add|subtract moves the
+//          stock by `quantity`, `setTo` records a stock count instead.
 // @route   PATCH /api/v1/food-items/:id/stock
 // @access  Private (Admin/Manager only)
 router.patch('/:id/stock', [
@@ -624,8 +778,15 @@ router.patch('/:id/stock', [
   resolveBranchContext,
   authorize('admin', 'manager'),
   param('id').isMongoId().withMessage('Invalid food item ID'),
-  body('quantity').isInt().withMessage('Quantity must be an integer'),
-  body('operation').isIn(['add', 'subtract']).withMessage('Operation must be add or subtract')
+  body('setTo').optional().isInt({ min: 0 }).withMessage('setTo must be a non-negative integer').toInt(),
+  body('quantity').if(body('setTo').not().exists()).isInt().withMessage('Quantity must be an integer').toInt(),
+  body('operation').if(body('setTo').not().exists()).isIn(['add', 'subtract']).withMessage('Operation must be add or subtract'),
+  body('type').optional().isIn(['restock', 'waste', 'adjustment']).withMessage('Type must be restock, waste or adjustment'),
+  body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters'),
+  body().custom(value => !(value.type === 'waste' && value.operation !== 'subtract'))
+    .withMessage('Waste takes stock out: use operation subtract'),
+  body().custom(value => !(value.type === 'restock' && value.operation !== 'add'))
+    .withMessage('A restock adds stock: use operation add')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -636,24 +797,33 @@ router.patch('/:id/stock', [
     });
   }
 
-  const { quantity, operation } = req.body;
+  const { quantity, operation, setTo, reason } = req.body;
+  const type = req.body.type || (setTo === undefined && operation === 'add' ? 'restock' : 'adjustment');
 
-  const item = await FoodItem.findOne({ _id: req.params.id, branchId: req.branchId });
+  try {
+    const { item, movement } = await adjustStock(req.params.id, req.branchId, {
+      type,
+      quantity: setTo === undefined ? (operation === 'add' ? 1 : -1) * Math.abs(quantity) : undefined,
+      setTo,
+      reason,
+      actor: { user: req.user._id || req.user.id, role: req.user.role }
+    });
 
-  if (!item) {
-    return res.status(404).json({
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      stockQuantity: item.stockQuantity,
+      movement
+    });
+  } catch (error) {
+    if (typeof error.code !== 'string') throw error;
+    res.status(error.statusCode || 400).json({
       success: false,
-      message: 'Food item not found'
+      code: error.code,
+      message: error.message,
+      available: error.available
     });
   }
-
-  await item.updateStock(Math.abs(quantity), operation);
-
-  res.json({
-    success: true,
-    message: 'Stock updated successfully',
-    stockQuantity: item.stockQuantity
-  });
 }));
 
 module.exports = router
\ No newline at end of file
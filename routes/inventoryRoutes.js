@@ -0,0 +1,376 @@
+const express = require('express');
+const { query, body, param, validationResult } = require('express-validator');
+const InventoryMovement = require('../models/InventoryMovement');
+const Ingredient = require('../models/Ingredient');
+const { FoodItem } = require('../models/Category');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { adjustIngredientStock } = require('../utils/stockService');
+
+const router = express.Router();
+
+const branchContext = [auth, attachBranchToRequest, resolveBranchContext];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const periodValidators = [
+  query('startDate').optional().isISO8601().withMessage('startDate must be a date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a date')
+];
+
+// Requested period, the last 30 days by default
+const resolvePeriod = ({ startDate, endDate }) => ({
+  startDate: startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+  endDate: endDate ? new Date(endDate) : new Date()
+});
+
+const actorOf = (req) => ({ user: req.user._id || req.user.id, role: req.user.role });
+
+// Ingredient fields staff edit directly; the stock level goes through the ledger
+const INGREDIENT_FIELDS = ['name', 'sku', 'unit', 'lowStockAlert', 'parLevel', 'packSize', 'costPerUnit', 'supplier', 'isActive'];
+
+const ingredientValidators = (required) => [
+  (required ? body('name') : body('name').optional()).trim().notEmpty().withMessage('Ingredient name is required'),
+  body('sku').optional().trim(),
+  body('unit').optional().isIn(Ingredient.INGREDIENT_UNITS).withMessage(`Unit must be one of ${Ingredient.INGREDIENT_UNITS.join(', ')}`),
+  body('stockQuantity').optional().isFloat({ min: 0 }).withMessage('Stock quantity must be non-negative').toFloat(),
+  body('lowStockAlert').optional().isFloat({ min: 0 }).withMessage('Low stock alert must be non-negative').toFloat(),
+  body('parLevel').optional().isFloat({ min: 0 }).withMessage('Par level must be non-negative').toFloat(),
+  body('packSize').optional().isFloat({ gt: 0 }).withMessage('Pack size must be positive').toFloat(),
+  body('costPerUnit').optional().isFloat({ min: 0 }).withMessage('Cost must be non-negative').toFloat(),
+  body('supplier.name').optional().trim(),
+  body('supplier.email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid supplier email').normalizeEmail(),
+  body('supplier.leadTimeDays').optional().isInt({ min: 0 }).withMessage('Lead time must be a non-negative integer').toInt(),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+// Where recipes reference ingredients: the item's own recipe and its modifier
+// options, down to the deepest nesting modifier groups allow (3 levels)
+const RECIPE_PATHS = ['recipe.ingredient', ...[1, 2, 3].map(depth =>
+  `${'modifierGroups.options.'.repeat(depth)}recipe.ingredient`)];
+
+const sendStockError = (res, error) => {
+  if (typeof error.code !== 'string') throw error;
+  res.status(error.statusCode || 400).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    available: error.available
+  });
+};
+
+// @desc    Stock history: inventory ledger of the branch, newest first
+// @route   GET /api/v1/inventory/movements?foodItem=&ingredient=&type=&startDate=&endDate=&page=&limit=
+// @access  Private (Admin/Manager only)
+router.get('/movements', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  query('foodItem').optional().isMongoId().withMessage('Invalid food item ID'),
+  query('ingredient').optional().isMongoId().withMessage('Invalid ingredient ID'),
+  query('type').optional().isIn(InventoryMovement.MOVEMENT_TYPES).withMessage('Invalid movement type'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ...periodValidators
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { foodItem, ingredient, type, page = 1, limit = 50 } = req.query;
+  const filter = { branchId: req.branchId };
+  if (foodItem) filter.foodItem = foodItem;
+  if (ingredient) filter.ingredient = ingredient;
+  if (type) filter.type = type;
+  if (req.query.startDate || req.query.endDate) {
+    const { startDate, endDate } = resolvePeriod(req.query);
+    filter.createdAt = { $gte: startDate, $lte: endDate };
+  }
+
+  const [movements, total] = await Promise.all([
+    InventoryMovement.find(filter)
+      .populate('foodItem', 'name sku')
+      .populate('ingredient', 'name sku unit')
+      .populate('createdBy.user', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    InventoryMovement.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: movements.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    movements
+  });
+}));
+
+// @desc    Stock movements of a period by type (sales, waste, restocks...) and by item
+// @route   GET /api/v1/inventory/report?startDate=&endDate=
+// @access  Private (Admin only)
+router.get('/report', [
+  ...branchContext,
+  authorize('admin'),
+  ...periodValidators
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { startDate, endDate } = resolvePeriod(req.query);
+  const summary = await InventoryMovement.getMovementSummary(req.branchId, startDate, endDate);
+
+  res.json({
+    success: true,
+    startDate,
+    endDate,
+    ...summary
+  });
+}));
+
+// @desc    Value of the stock on hand: tracked items at cost and at menu price,
+//          ingredients at cost
+// @route   GET /api/v1/inventory/valuation
+// @access  Private (Admin only)
+router.get('/valuation', [
+  ...branchContext,
+  authorize('admin')
+], asyncHandler(async (req, res) => {
+  const [{ items, totals }, ingredients] = await Promise.all([
+    FoodItem.getStockValuation(req.branchId),
+    Ingredient.getStockValuation(req.branchId)
+  ]);
+
+  res.json({
+    success: true,
+    currency: req.branchDoc?.currency || 'EUR',
+    generatedAt: new Date(),
+    totals,
+    count: items.length,
+    items,
+    ingredients
+  });
+}));
+
+// @desc    What to order from each supplier to bring ingredients back to par level
+// @route   GET /api/v1/inventory/purchase-suggestions
+// @access  Private (Admin/Manager only)
+router.get('/purchase-suggestions', [
+  ...branchContext,
+  authorize('admin', 'manager')
+], asyncHandler(async (req, res) => {
+  const suggestions = await Ingredient.getPurchaseSuggestions(req.branchId);
+
+  res.json({
+    success: true,
+    currency: req.branchDoc?.currency || 'EUR',
+    generatedAt: new Date(),
+    estimatedCost: Math.round(suggestions.reduce((sum, order) => sum + order.estimatedCost, 0) * 100) / 100,
+    count: suggestions.length,
+    suggestions
+  });
+}));
+
+// @desc    Ingredients of the branch; lowStock=true keeps those at or below their alert level
+// @route   GET /api/v1/inventory/ingredients?search=&lowStock=&includeInactive=
+// @access  Private (Admin/Manager only)
+router.get('/ingredients', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  query('search').optional().trim(),
+  query('lowStock').optional().isBoolean().toBoolean(),
+  query('includeInactive').optional().isBoolean().toBoolean()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { search, lowStock, includeInactive } = req.query;
+  const filter = { branchId: req.branchId };
+  if (!includeInactive) filter.isActive = true;
+  if (lowStock) filter.$expr = { $lte: ['$stockQuantity', '$lowStockAlert'] };
+  if (search) {
+    filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const ingredients = await Ingredient.find(filter).sort({ name: 1 }).lean();
+
+  res.json({
+    success: true,
+    count: ingredients.length,
+    ingredients
+  });
+}));
+
+// @desc    Create an ingredient; an opening stockQuantity is recorded as a restock
+// @route   POST /api/v1/inventory/ingredients
+// @access  Private (Admin/Manager only)
+router.post('/ingredients', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  ...ingredientValidators(true)
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const fields = {};
+  INGREDIENT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  });
+  const ingredient = await Ingredient.create({ ...fields, branchId: req.branchId });
+
+  if (req.body.stockQuantity > 0) {
+    const { ingredient: stocked } = await adjustIngredientStock(ingredient._id, req.branchId, {
+      type: 'restock',
+      quantity: req.body.stockQuantity,
+      reason: 'Opening stock',
+      actor: actorOf(req)
+    });
+    ingredient.stockQuantity = stocked.stockQuantity;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Ingredient created successfully',
+    ingredient
+  });
+}));
+
+// @desc    Update an ingredient; a new stockQuantity is recorded as a stock count
+// @route   PUT /api/v1/inventory/ingredients/:id
+// @access  Private (Admin/Manager only)
+router.put('/ingredients/:id', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid ingredient ID'),
+  ...ingredientValidators(false)
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const updateData = {};
+  INGREDIENT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  });
+
+  const ingredient = await Ingredient.findOneAndUpdate(
+    { _id: req.params.id, branchId: req.branchId },
+    updateData,
+    { new: true, runValidators: true }
+  );
+  if (!ingredient) {
+    return res.status(404).json({
+      success: false,
+      code: 'INGREDIENT_NOT_FOUND',
+      message: 'Ingredient not found'
+    });
+  }
+
+  if (req.body.stockQuantity !== undefined && req.body.stockQuantity !== ingredient.stockQuantity) {
+    const { ingredient: counted } = await adjustIngredientStock(ingredient._id, req.branchId, {
+      type: 'adjustment',
+      setTo: req.body.stockQuantity,
+      reason: 'Stock count updated with the ingredient',
+      actor: actorOf(req)
+    });
+    ingredient.stockQuantity = counted.stockQuantity;
+  }
+
+  res.json({
+    success: true,
+    message: 'Ingredient updated successfully',
+    ingredient
+  });
+}));
+
+// @desc    Delete an ingredient no recipe uses any more
+// @route   DELETE /api/v1/inventory/ingredients/:id
+// @access  Private (Admin only)
+router.delete('/ingredients/:id', [
+  ...branchContext,
+  authorize('admin'),
+  param('id').isMongoId().withMessage('Invalid ingredient ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const ingredient = await Ingredient.findOne({ _id: req.params.id, branchId: req.branchId });
+  if (!ingredient) {
+    return res.status(404).json({
+      success: false,
+      code: 'INGREDIENT_NOT_FOUND',
+      message: 'Ingredient not found'
+    });
+  }
+
+  const usedBy = await FoodItem.find({
+    branchId: req.branchId,
+    $or: RECIPE_PATHS.map(path => ({ [path]: ingredient._id }))
+  }).select('name').lean();
+  if (usedBy.length) {
+    return res.status(409).json({
+      success: false,
+      code: 'INGREDIENT_IN_USE',
+      message: 'Remove the ingredient from these recipes first, or deactivate it',
+      foodItems: usedBy.map(item => ({ _id: item._id, name: item.name?.en }))
+    });
+  }
+
+  await ingredient.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Ingredient deleted successfully'
+  });
+}));
+
+// @desc    Restock, write off or correct an ingredient (in its unit); every change
+//          is recorded in the inventory ledger. `operation` add|subtract moves the
+//          stock by `quantity`, `setTo` records a stock count instead.
+// @route   PATCH /api/v1/inventory/ingredients/:id/stock
+// @access  Private (Admin/Manager only)
+router.patch('/ingredients/:id/stock', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid ingredient ID'),
+  body('setTo').optional().isFloat({ min: 0 }).withMessage('setTo must be non-negative').toFloat(),
+  body('quantity').if(body('setTo').not().exists()).isFloat({ gt: 0 }).withMessage('Quantity must be positive').toFloat(),
+  body('operation').if(body('setTo').not().exists()).isIn(['add', 'subtract']).withMessage('Operation must be add or subtract'),
+  body('type').optional().isIn(['restock', 'waste', 'adjustment']).withMessage('Type must be restock, waste or adjustment'),
+  body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters'),
+  body().custom(value => !(value.type === 'waste' && value.operation !== 'subtract'))
+    .withMessage('Waste takes stock out: use operation subtract'),
+  body().custom(value => !(value.type === 'restock' && value.operation !== 'add'))
+    .withMessage('A restock adds stock: use operation add')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { quantity, operation, setTo, reason } = req.body;
+  const type = req.body.type || (setTo === undefined && operation === 'add' ? 'restock' : 'adjustment');
+
+  try {
+    const { ingredient, movement } = await adjustIngredientStock(req.params.id, req.branchId, {
+      type,
+      quantity: setTo === undefined ? (operation === 'add' ? 1 : -1) * quantity : undefined,
+      setTo,
+      reason,
+      actor: actorOf(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      stockQuantity: ingredient.stockQuantity,
+      unit: ingredient.unit,
+      movement
+    });
+  } catch (error) {
+    sendStockError(res, error);
+  }
+}));
+
+module.exports = router;
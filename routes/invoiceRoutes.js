@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { isSuperAdmin, canLoginAnyBranch, roleSatisfies } = require('../utils/roles');
+const { issueInvoiceForOrder, rectifyInvoice, getRectifiableAmount } = require('../utils/invoiceService');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceRenderer');
+
+const router = express.Router();
+
+const branchContext = [auth, attachBranchToRequest, resolveBranchContext];
+
+const isBranchStaff = (role) =>
+  isSuperAdmin(role) || canLoginAnyBranch(role) || roleSatisfies(role, 'branch_admin', 'staff');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Invoice of the branch that the user may see: staff see all of them,
+// customers only those of their own orders
+const findVisibleInvoice = async (req) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, branchId: req.branchId });
+  if (!invoice || isBranchStaff(req.user.role)) return invoice;
+
+  const order = await Order.findById(invoice.orderId).select('userId').lean();
+  const currentUserId = (req.user._id || req.user.id).toString();
+  return order?.userId?.toString() === currentUserId ? invoice : null;
+};
+
+const invoiceNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Invoice not found'
+});
+
+// @desc    List the branch's invoices
+// @route   GET /api/v1/invoices?type=&fiscalYear=&from=&to=&page=&limit=
+// @access  Private (Admin/Manager only)
+router.get('/', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  query('type').optional().isIn(['simplified', 'rectifying']).withMessage('type must be simplified or rectifying'),
+  query('fiscalYear').optional().isInt({ min: 2000, max: 2100 }).toInt(),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { type, fiscalYear, from, to, page = 1, limit = 50 } = req.query;
+  const filter = { branchId: req.branchId };
+  if (type) filter.type = type;
+  if (fiscalYear) filter.fiscalYear = fiscalYear;
+  if (from || to) {
+    filter.issuedAt = {};
+    if (from) filter.issuedAt.$gte = from;
+    if (to) filter.issuedAt.$lte = to;
+  }
+
+  const [invoices, total] = await Promise.all([
+    Invoice.find(filter)
+      .select('-lines')
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Invoice.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: invoices.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    invoices
+  });
+}));
+
+// @desc    Invoices of an order
+// @route   GET /api/v1/invoices/orders/:orderId
+// @access  Private (order owner or branch staff)
+router.get('/orders/:orderId', [
+  ...branchContext,
+  param('orderId').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await Order.findOne({ _id: req.params.orderId, branchId: req.branchId }).select('userId').lean();
+  const currentUserId = (req.user._id || req.user.id).toString();
+  if (!order || (!isBranchStaff(req.user.role) && order.userId?.toString() !== currentUserId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const invoices = await Invoice.find({ orderId: order._id }).sort({ issuedAt: 1 }).lean();
+
+  res.json({
+    success: true,
+    count: invoices.length,
+    invoices
+  });
+}));
+
+// @desc    Issue the simplified invoice of an order now (e.g. paid at the counter)
+// @route   POST /api/v1/invoices/orders/:orderId
+// @access  Private (Admin/Manager only)
+router.post('/orders/:orderId', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  param('orderId').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await Order.findOne({ _id: req.params.orderId, branchId: req.branchId }).select('_id').lean();
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    const { invoice, created } = await issueInvoiceForOrder(order._id, {
+      issuedBy: { user: req.user._id || req.user.id, role: req.user.role }
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Invoice issued' : 'Order already invoiced',
+      invoice
+    });
+  } catch (error) {
+    if (error.code !== 'ORDER_NOT_INVOICEABLE') throw error;
+    res.status(error.statusCode).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+}));
+
+// @desc    Get an invoice
+// @route   GET /api/v1/invoices/:id
+// @access  Private (order owner or branch staff)
+router.get('/:id', [
+  ...branchContext,
+  param('id').isMongoId().withMessage('Invalid invoice ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const invoice = await findVisibleInvoice(req);
+  if (!invoice) return invoiceNotFound(res);
+
+  res.json({
+    success: true,
+    invoice,
+    rectifiableAmount: invoice.type === 'simplified' ? await getRectifiableAmount(invoice) : undefined
+  });
+}));
+
+// @desc    Render an invoice as HTML
+// @route   GET /api/v1/invoices/:id/html
+// @access  Private (order owner or branch staff)
+router.get('/:id/html', [
+  ...branchContext,
+  param('id').isMongoId().withMessage('Invalid invoice ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const invoice = await findVisibleInvoice(req);
+  if (!invoice) return invoiceNotFound(res);
+
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res.send(renderInvoiceHtml(invoice));
+}));
+
+// @desc    Render an invoice as PDF
+// @route   GET /api/v1/invoices/:id/pdf
+// @access  Private (order owner or branch staff)
+router.get('/:id/pdf', [
+  ...branchContext,
+  param('id').isMongoId().withMessage('Invalid invoice ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const invoice = await findVisibleInvoice(req);
+  if (!invoice) return invoiceNotFound(res);
+
+  const pdf = await renderInvoicePdf(invoice);
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+  res.send(pdf);
+}));
+
+// @desc    Issue a rectifying invoice for all or part of an invoice
+// @route   POST /api/v1/invoices/:id/rectify
+// @access  Private (Admin only)
+router.post('/:id/rectify', [
+  ...branchContext,
+  authorize('admin'),
+  param('id').isMongoId().withMessage('Invalid invoice ID'),
+  body('reason').trim().notEmpty().withMessage('reason is required').isLength({ max: 300 }),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be greater than 0').toFloat()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const invoice = await Invoice.findOne({ _id: req.params.id, branchId: req.branchId });
+  if (!invoice) return invoiceNotFound(res);
+
+  try {
+    const rectifying = await rectifyInvoice(invoice, {
+      reason: req.body.reason,
+      amount: req.body.amount,
+      issuedBy: { user: req.user._id || req.user.id, role: req.user.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rectifying invoice issued',
+      invoice: rectifying
+    });
+  } catch (error) {
+    if (!error.code || typeof error.code !== 'string') throw error;
+    res.status(error.statusCode || 400).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      remaining: error.remaining
+    });
+  }
+}));
+
+module.exports = router;
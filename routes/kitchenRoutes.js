@@ -0,0 +1,200 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { checkTransition } = require('../utils/orderStatusMachine');
+const { buildTrackingUpdate } = require('../utils/orderLifecycle');
+const { sendOrderStatusNotification } = require('../utils/notificationService');
+const { ORDER_EVENT_TYPES, publishOrderEvent, latestTrackingUpdate } = require('../utils/orderEvents');
+const { KITCHEN_STATUSES, buildKitchenTicket, groupTicketLines } = require('../utils/kitchenDisplay');
+
+const router = express.Router();
+
+// Statuses in which lines can still be bumped
+const BUMPABLE_STATUSES = ['confirmed', 'preparing'];
+
+const kitchenContext = [auth, attachBranchToRequest, resolveBranchContext, authorize('admin', 'manager')];
+
+/**
+ * Move a kitchen order to `status` if it is still in the status it was read with.
+ * Returns the updated order, or null when the move is not allowed or someone
+ * else changed the order first.
+ */
+const moveKitchenOrder = async (req, order, status, message) => {
+  if (!checkTransition(order, status, req.user.role).allowed) return null;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status },
+      $push: {
+        trackingUpdates: buildTrackingUpdate(status, message, {
+          user: req.user._id || req.user.id,
+          role: req.user.role
+        })
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  publishOrderEvent(ORDER_EVENT_TYPES.STATUS, updated, { trackingUpdate: latestTrackingUpdate(updated) });
+  try {
+    await sendOrderStatusNotification(updated.userId.toString(), updated, status);
+  } catch (error) {
+    console.error('Kitchen status notification failed:', error.message);
+  }
+  return updated;
+};
+
+// @desc    Get active kitchen orders as KDS tickets, optionally grouped
+// @route   GET /api/v1/kitchen/orders
+// @access  Private (Admin/Manager only)
+router.get('/orders', [
+  ...kitchenContext,
+  query('groupBy').optional().isIn(['station', 'category']).withMessage('groupBy must be station or category'),
+  query('station').optional().trim().toLowerCase(),
+  query('status').optional().isIn(KITCHEN_STATUSES).withMessage('Invalid kitchen status')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { groupBy, station, status } = req.query;
+
+  const orders = await Order.find({
+    branchId: req.branchId,
+    status: status || { $in: KITCHEN_STATUSES }
+  })
+    .select('orderNumber status deliveryType items specialInstructions preparationTime scheduledFor releasedAt createdAt')
+    .populate({
+      path: 'items.foodItem',
+      select: 'name category',
+      populate: { path: 'category', select: 'name kitchenStation' }
+    })
+    .sort({ createdAt: 1 });
+
+  const now = new Date();
+  let tickets = orders.map(order => buildKitchenTicket(order, req.language, now));
+
+  // A station screen only shows its own lines
+  if (station) {
+    tickets = tickets
+      .map(ticket => ({ ...ticket, lines: ticket.lines.filter(line => line.station === station) }))
+      .filter(ticket => ticket.lines.length > 0);
+  }
+
+  // Oldest first, but tickets that are already ready go last
+  tickets.sort((a, b) => (a.status === 'ready') - (b.status === 'ready') || a.timing.startedAt - b.timing.startedAt);
+
+  res.json({
+    success: true,
+    count: tickets.length,
+    summary: {
+      rush: tickets.filter(ticket => ticket.timing.isRush).length,
+      late: tickets.filter(ticket => ticket.timing.isLate).length
+    },
+    tickets,
+    groups: groupBy ? groupTicketLines(tickets, groupBy) : undefined
+  });
+}));
+
+// @desc    Bump (or un-bump) a line item as done; the order moves to ready once every line is bumped
+// @route   PATCH /api/v1/kitchen/orders/:id/items/:itemId/bump
+// @access  Private (Admin/Manager only)
+router.patch('/orders/:id/items/:itemId/bump', [
+  ...kitchenContext,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  body('bumped').optional().isBoolean().withMessage('bumped must be a boolean').toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const bumped = req.body.bumped !== false;
+
+  const order = await Order.findOne({ _id: req.params.id, branchId: req.branchId })
+    .select('status deliveryType items._id');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (!order.items.some(item => item._id.toString() === req.params.itemId)) {
+    return res.status(404).json({
+      success: false,
+      code: 'ITEM_NOT_FOUND',
+      message: 'Item not found on this order'
+    });
+  }
+
+  if (!BUMPABLE_STATUSES.includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      code: 'ORDER_NOT_IN_KITCHEN',
+      message: `Items of a ${order.status} order cannot be ${bumped ? 'bumped' : 'recalled'}`,
+      currentStatus: order.status
+    });
+  }
+
+  const update = bumped
+    ? { $set: { 'items.$.bumpedAt': new Date(), 'items.$.bumpedBy': req.user._id || req.user.id } }
+    : { $unset: { 'items.$.bumpedAt': '', 'items.$.bumpedBy': '' } };
+
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: BUMPABLE_STATUSES }, 'items._id': req.params.itemId },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      code: 'ORDER_CHANGED',
+      message: 'The order was updated by someone else. Please refresh and try again.'
+    });
+  }
+
+  publishOrderEvent(ORDER_EVENT_TYPES.ITEM_BUMPED, updated, { itemId: req.params.itemId, bumped });
+
+  // The first bump starts the order; the last one finishes it
+  if (bumped && updated.status === 'confirmed') {
+    updated = await moveKitchenOrder(req, updated, 'preparing', 'Kitchen started preparing the order') || updated;
+  }
+
+  const allBumped = updated.items.every(item => item.bumpedAt);
+  if (allBumped && updated.status === 'preparing') {
+    updated = await moveKitchenOrder(req, updated, 'ready', 'All items bumped by the kitchen') || updated;
+  }
+
+  res.json({
+    success: true,
+    message: bumped ? 'Item bumped' : 'Item recalled',
+    order: {
+      id: updated._id,
+      status: updated.status,
+      progress: {
+        bumped: updated.items.filter(item => item.bumpedAt).length,
+        total: updated.items.length
+      }
+    }
+  });
+}));
+
+module.exports = router;
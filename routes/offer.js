@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const Offer = require('../models/offer');
+const OfferRedemption = require('../models/OfferRedemption');
 const { FoodItem } = require('../models/Category');
 const { auth, authorize, optionalAuth } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
@@ -81,6 +82,8 @@ router.get('/', [
     .skip(skip)
     .select('-usageHistory');
 
+  await Offer.loadRedemptionState(offers, { deviceId });
+
   // Filter out offers already claimed by this device (if deviceId provided)
   let filteredOffers = offers;
   if (deviceId) {
@@ -162,6 +165,8 @@ router.get('/:id/can-claim', [
     });
   }
 
+  await Offer.loadRedemptionState(offer, { deviceId });
+
   const canClaim = !offer.isOneTimePerDevice || !offer.hasDeviceClaimed(deviceId);
   const isAlreadyClaimed = offer.isOneTimePerDevice && offer.hasDeviceClaimed(deviceId);
 
@@ -209,6 +214,8 @@ router.post('/:id/claim', [
     });
   }
 
+  await Offer.loadRedemptionState(offer, { deviceId });
+
   if (!offer.isValid) {
     return res.status(400).json({
       success: false,
@@ -276,6 +283,7 @@ router.get('/items-with-offers', [
   }
 
   const activeOffers = await Offer.find(offerQuery).populate('appliedToItems');
+  await Offer.loadRedemptionState(activeOffers, { deviceId });
 
   // Filter out offers claimed by this device (if one-time per device)
   const availableOffers = deviceId 
@@ -411,25 +419,41 @@ router.get('/device-claims', [
   const { deviceId } = req.query;
 
   try {
-    // Find all offers where this device has claimed
-    const offers = await Offer.find({
+    // Active claims for this device, plus claims recorded on the offer before redemptions moved out
+    const redemptions = await OfferRedemption.find({
+      branchId: req.branchId,
+      claimedDeviceId: deviceId,
+      status: 'active'
+    }).populate('offerId', '_id title type').lean();
+
+    const legacyOffers = await Offer.find({
       branchId: req.branchId,
       'claimedDevices.deviceId': deviceId
     }).select('_id title type claimedDevices');
 
+    const claimedOffers = redemptions
+      .filter(redemption => redemption.offerId)
+      .map(redemption => ({
+        offerId: redemption.offerId._id,
+        offerTitle: redemption.offerId.title,
+        offerType: redemption.offerId.type,
+        claimedAt: redemption.redeemedAt,
+        userId: redemption.userId
+      }));
+
     // Extract claim info for this device
-    const claimedOffers = offers.map(offer => {
+    legacyOffers.forEach(offer => {
       const deviceClaim = offer.claimedDevices.find(
         claim => claim.deviceId === deviceId
       );
 
-      return {
+      claimedOffers.push({
         offerId: offer._id,
         offerTitle: offer.title,
         offerType: offer.type,
         claimedAt: deviceClaim?.claimedAt,
         userId: deviceClaim?.userId
-      };
+      });
     });
 
     res.json({
@@ -478,6 +502,8 @@ router.post('/:id/claim-with-order', [
     });
   }
 
+  await Offer.loadRedemptionState(offer, { deviceId });
+
   if (!offer.isOneTimePerDevice) {
     return res.status(400).json({
       success: false,
@@ -493,20 +519,8 @@ router.post('/:id/claim-with-order', [
   }
 
   try {
-    // Mark device as claimed
-    await offer.claimByDevice(deviceId, req.user.id);
-
-    // Add to usage history
-    offer.usageHistory.push({
-      user: req.user.id,
-      order: orderId,
-      deviceId,
-      discountAmount: 0, // Will be calculated from order
-      platform: req.body.platform || 'mobile',
-      usedAt: new Date()
-    });
-
-    await offer.save();
+    // Mark device as claimed for this order
+    await offer.claimByDevice(deviceId, req.user.id, orderId);
 
     res.json({
       success: true,
@@ -708,6 +722,7 @@ router.get('/:id', [
   
   // Add device claim status if deviceId provided
   if (deviceId) {
+    await Offer.loadRedemptionState(offer, { deviceId });
     offerObj.isClaimedByDevice = offer.isOneTimePerDevice ? offer.hasDeviceClaimed(deviceId) : false;
     offerObj.canClaim = !offerObj.isClaimedByDevice && offer.isValid;
   }
@@ -1,7 +1,10 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const FirstOrderDevice = require('../models/FirstOrderDevice');
+const Setting = require('../models/Setting');
+const Offer = require('../models/offer');
 
 const { FoodItem } = require('../models/Category');
 const User = require('../models/User');
@@ -11,11 +14,49 @@ const asyncHandler = require('../middleware/asyncHandler');
 const Branch = require('../models/Branch');
 const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
 const router = express.Router();
-const { sendOrderStatusNotification, sendNewOrderNotification } = require('../utils/notificationService');
+const {
+  sendOrderStatusNotification,
+  sendNewOrderNotification,
+  sendDeliveryAssignmentNotification
+} = require('../utils/notificationService');
 const {
   sendNotificationToDevice,
 } = require("../utils/firebaseAdmin");
 const { sendNotificationToTopic } = require('../utils/firebaseAdmin');
+const { priceOrder, comparePricing } = require('../utils/pricingService');
+const {
+  ORDER_STATUSES,
+  DELIVERY_TYPES,
+  ACTIVE_DELIVERY_STATUSES,
+  ONLINE_PAYMENT_METHODS,
+  getAllowedNextStatuses,
+  checkTransition,
+  isAwaitingPayment
+} = require('../utils/orderStatusMachine');
+const { getPaymentGateway } = require('../utils/paymentGateway');
+const { loadPaymentSettings, ensurePaymentIntent } = require('../utils/paymentService');
+const { reserveStock, returnStock } = require('../utils/stockService');
+const {
+  SYSTEM_ACTOR,
+  releaseCancelledOrder,
+  buildTrackingUpdate
+} = require('../utils/orderLifecycle');
+const { resolveTimezone, validateScheduleSlot } = require('../utils/businessHours');
+const { evaluateCheckout } = require('../utils/checkoutGuard');
+const { validateCoordinates } = require('../utils/locationUtils');
+const {
+  resolveDeliveryArea,
+  resolveUnlocatedDeliveryArea,
+  describeOutOfArea
+} = require('../utils/deliveryZones');
+const { estimateDriverEta } = require('../utils/driverEta');
+const { isDriver, isSuperAdmin, canLoginAnyBranch, roleSatisfies } = require('../utils/roles');
+const {
+  ORDER_EVENT_TYPES,
+  publishOrderEvent,
+  latestTrackingUpdate,
+  openOrderEventStream
+} = require('../utils/orderEvents');
 
 const normalizeStringValue = (value) => {
   if (value === null || value === undefined) return value;
@@ -42,6 +83,7 @@ const normalizeDeliveryType = (value) => {
   const raw = normalizeStringValue(value);
   const lower = (raw || '').toLowerCase();
   if (lower === 'takeaway') return 'pickup';
+  if (['shop', 'in-store', 'instore', 'dine-in', 'dinein'].includes(lower)) return 'in-shop';
   return raw;
 };
 
@@ -105,22 +147,14 @@ router.get("/test-notify", async (req, res) => {
   }
 });
 
-// @desc    Create new order
-// @route   POST /api/v1/orders
-// @access  Private
-// Update your POST /api/v1/orders route
-// Update your POST /api/v1/orders route validation
-// @desc    Create new order
-// @route   POST /api/v1/orders
-// @access  Private
-router.post('/', [
-  auth,
-  attachBranchToRequest,
-  resolveBranchContext,
+// Back-office roles that see every order of their branch
+const isBranchStaff = (role) =>
+  isSuperAdmin(role) || canLoginAnyBranch(role) || roleSatisfies(role, 'branch_admin', 'staff');
+
+// Cart validators shared by order creation and the price quote
+const orderCartValidators = [
   body('items').customSanitizer(normalizeOrderItems),
   body('deliveryType').customSanitizer(normalizeDeliveryType),
-  body('paymentMethod').customSanitizer(normalizePaymentMethod),
-  body('codPaymentType').optional().customSanitizer(normalizeCodPaymentType),
   body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
   body('items.*.foodItem').custom((foodItem) => {
     const id = foodItem?.id || foodItem?._id || foodItem;
@@ -130,10 +164,239 @@ router.post('/', [
     return true;
   }),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('deliveryType').isIn(['delivery', 'pickup']).withMessage('Invalid delivery type'),
+  body('items.*.modifiers').optional().isArray().withMessage('Item modifiers must be an array'),
+  body('deliveryType').isIn(DELIVERY_TYPES).withMessage('Invalid delivery type'),
+  body('branchId').optional().isMongoId().withMessage('Invalid branch ID'),
+  body('couponCode').optional({ values: 'falsy' }).isString().withMessage('Invalid coupon code').trim().toUpperCase(),
+  body('scheduledFor').optional({ values: 'falsy' }).isISO8601().withMessage('Scheduled time must be a valid date').toDate(),
+];
+
+// Check a requested scheduled slot; returns { code, message } or null when valid / not scheduled
+const checkScheduledSlot = (req, settings) => {
+  const { scheduledFor, deliveryType } = req.body;
+  if (!scheduledFor) return null;
+
+  // The slot must leave room to prepare (and deliver) the order
+  const leadTimeMinutes = Order.schema.path('preparationTime').defaultValue +
+    (deliveryType === 'delivery' ? Order.schema.path('deliveryTime').defaultValue : 0);
+
+  const slot = validateScheduleSlot({
+    scheduledFor,
+    settings,
+    timezone: resolveTimezone(req.branchDoc, settings),
+    leadTimeMinutes
+  });
+
+  return slot.valid ? null : { code: slot.code, message: slot.reason };
+};
+
+// Branch-level checkout rules (open, maintenance, fulfilment type, order amount)
+const checkCheckoutGuard = (req, settings, pricing, deliveryArea) => evaluateCheckout({
+  settings,
+  timezone: resolveTimezone(req.branchDoc, settings),
+  deliveryType: req.body.deliveryType,
+  subtotal: pricing.subtotal,
+  scheduledFor: req.body.scheduledFor,
+  deliveryArea
+}).errors;
+
+// Delivery zone (or radius fallback) for the delivery address; null when not
+// resolvable, i.e. no address, or no coordinates for a branch with zones
+const getDeliveryArea = (req, settings) => {
+  const { deliveryType, deliveryAddress } = req.body;
+  if (deliveryType !== 'delivery' || !deliveryAddress) return null;
+
+  const latitude = Number(deliveryAddress.latitude);
+  const longitude = Number(deliveryAddress.longitude);
+  if (!validateCoordinates(latitude, longitude)) return resolveUnlocatedDeliveryArea(settings);
+
+  return resolveDeliveryArea({ settings, branchDoc: req.branchDoc, latitude, longitude });
+};
+
+// Load everything needed to price the cart in req.body and run the pricing engine.
+// Shared by order creation and the quote endpoint so both always agree.
+const buildOrderPricing = async (req) => {
+  const { items, deliveryType, platform, deviceId, applyFirstOrderDiscount, couponCode } = req.body;
+  const branchId = req.branchId;
+  const userId = req.user._id || req.user.id;
+
+  // Process cart items - fetch all food items in one query (prevents N+1)
+  const itemIds = items.map(item => item.foodItem?.id || item.foodItem);
+  const [foodItems, settings] = await Promise.all([
+    FoodItem.find({ _id: { $in: itemIds }, branchId }).populate('category', 'taxClass menuSchedule'),
+    Setting.findOne({ branchId }).select('taxSettings defaultTaxClass deliverySettings pickupSettings firstOrderDiscountSettings orderSettings operatingHours hoursOverrides timezone maintenanceMode deliveryZones address')
+  ]);
+  const foodItemMap = Object.fromEntries(foodItems.map(f => [f._id.toString(), f]));
+
+  // First-order mobile discount — always validated server-side, never trusted from client
+  let firstOrderDiscountPercentage = 0;
+
+  if (applyFirstOrderDiscount === true && platform === 'mobile' && deviceId) {
+    // Global setting check
+    const discountEnabled = settings?.firstOrderDiscountSettings?.isEnabled !== false;
+
+    // Account check: user hasn't already used this discount
+    const userDoc = await User.findById(userId).select('firstOrderDiscount');
+    const accountUnused = !userDoc?.firstOrderDiscount?.used;
+
+    // Account check: user has no previous non-cancelled orders
+    const priorOrderCount = await Order.countDocuments({
+      userId,
+      branchId,
+      status: { $nin: ['cancelled'] }
+    });
+
+    // Device check: this device hasn't used the discount before
+    const deviceUsed = await FirstOrderDevice.findOne({ deviceId, branchId });
+
+    if (discountEnabled && accountUnused && priorOrderCount === 0 && !deviceUsed) {
+      firstOrderDiscountPercentage = settings?.firstOrderDiscountSettings?.discountPercentage ?? 20;
+    }
+  }
+
+  // Coupon — looked up and checked server-side, the discount is never taken from the client
+  let offer = null;
+  let couponError = null;
+
+  if (couponCode) {
+    offer = await Offer.findOne({ branchId, couponCode })
+      .sort({ isActive: -1, priority: -1, createdAt: -1 });
+
+    if (!offer) {
+      couponError = { code: 'COUPON_NOT_FOUND', message: 'Invalid coupon code' };
+    } else {
+      await Offer.loadRedemptionState(offer, { userId, deviceId });
+      const eligibility = offer.checkCouponEligibility({ branchId, userId, platform, deviceId });
+      if (!eligibility.eligible) {
+        couponError = { code: eligibility.code, message: eligibility.reason };
+        offer = null;
+      }
+    }
+  }
+
+  // Rebuild every line and total from the database — client amounts are only compared
+  // The matched delivery zone supplies the delivery fee
+  const deliveryArea = getDeliveryArea(req, settings);
+
+  const pricing = priceOrder({
+    items,
+    foodItemMap,
+    settings,
+    deliveryType,
+    offer,
+    firstOrderDiscountPercentage,
+    deliveryArea,
+    // Scheduled orders must be on the menu when they are served
+    menuTime: req.body.scheduledFor || new Date(),
+    timezone: resolveTimezone(req.branchDoc, settings)
+  });
+
+  if (pricing.offerError) {
+    couponError = pricing.offerError;
+    offer = null;
+  }
+
+  return { pricing, foodItemMap, settings, firstOrderDiscountPercentage, offer, couponError, deliveryArea };
+};
+
+// @desc    Price a cart without placing the order
+// @route   POST /api/v1/orders/quote
+// @access  Private
+router.post('/quote', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  ...orderCartValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { deliveryType, deliveryAddress } = req.body;
+  const { pricing, settings, firstOrderDiscountPercentage, couponError, deliveryArea } = await buildOrderPricing(req);
+  const quoteErrors = [...checkCheckoutGuard(req, settings, pricing, deliveryArea), ...pricing.errors];
+
+  if (couponError) {
+    quoteErrors.push(couponError);
+  }
+
+  const scheduleError = checkScheduledSlot(req, settings);
+  if (scheduleError) {
+    quoteErrors.push(scheduleError);
+  }
+
+  // Same zone check as POST /addresses/validate, so checkout needs one call
+  let delivery = null;
+  if (deliveryType === 'delivery') {
+    delivery = { isDeliveryEnabled: settings?.deliverySettings?.isDeliveryEnabled !== false };
+
+    if (!deliveryAddress) {
+      quoteErrors.push({ code: 'ADDRESS_REQUIRED', message: 'Delivery address is required for delivery orders' });
+    } else if (!deliveryArea) {
+      quoteErrors.push({ code: 'ADDRESS_COORDINATES_REQUIRED', message: 'Delivery address needs valid coordinates to be matched to a delivery zone' });
+    } else {
+      Object.assign(delivery, {
+        distance: deliveryArea.distance,
+        maxDistance: deliveryArea.maxDistance,
+        canDeliver: deliveryArea.canDeliver,
+        zone: deliveryArea.zone,
+        estimatedDeliveryTime: deliveryArea.estimatedDeliveryTime
+      });
+
+      if (!deliveryArea.canDeliver) {
+        quoteErrors.push({ code: 'OUT_OF_DELIVERY_RANGE', message: describeOutOfArea(deliveryArea) });
+      }
+    }
+  }
+
+  res.json({
+    success: true,
+    valid: quoteErrors.length === 0,
+    quote: {
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      offer: pricing.offer,
+      coupon: req.body.couponCode ? {
+        code: req.body.couponCode,
+        applied: Boolean(pricing.offer),
+        reason: couponError?.code
+      } : null,
+      firstOrderDiscount: {
+        applied: pricing.firstOrderDiscount > 0,
+        percentage: firstOrderDiscountPercentage,
+        amount: pricing.firstOrderDiscount
+      },
+      discount: pricing.discount,
+      deliveryFee: pricing.deliveryFee,
+      deliveryFeeBreakdown: pricing.deliveryFeeBreakdown,
+      taxLines: pricing.taxLines,
+      tax: pricing.tax,
+      total: pricing.total
+    },
+    delivery,
+    scheduledFor: req.body.scheduledFor || null,
+    errors: quoteErrors,
+    warnings: pricing.warnings
+  });
+}));
+
+// @desc    Create new order
+// @route   POST /api/v1/orders
+// @access  Private
+router.post('/', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  ...orderCartValidators,
+  body('paymentMethod').customSanitizer(normalizePaymentMethod),
+  body('codPaymentType').optional().customSanitizer(normalizeCodPaymentType),
   body('paymentMethod').isIn(['cash-on-delivery','cashOnDelivery', 'card','shop', 'paypal', 'stripe']).withMessage('Invalid payment method'),
   body('codPaymentType').optional().isIn(['cash', 'card']).withMessage('Invalid COD payment type'),
-  body('branchId').optional().isMongoId().withMessage('Invalid branch ID'),
   body('deliveryFee').optional().isFloat({ min: 0 }).withMessage('Delivery fee must be a positive number'),
   body('subtotal').isFloat({ min: 0 }).withMessage('Subtotal must be a positive number'),
   body('total').isFloat({ min: 0 }).withMessage('Total must be a positive number'),
@@ -155,14 +418,13 @@ const {
     branchId,
     deliveryAddress,
     specialInstructions,
-    couponCode,
     deliveryFee: clientDeliveryFee,
     subtotal: clientSubtotal,
     tax: clientTax,
     total: clientTotal,
     platform,
     deviceId,
-    applyFirstOrderDiscount
+    scheduledFor
   } = req.body;
 
   // Validate COD payment type for cash-on-delivery orders
@@ -173,6 +435,19 @@ const {
     });
   }
 
+  // Card orders are paid through the branch's payment gateway
+  let paymentSettings = null;
+  if (ONLINE_PAYMENT_METHODS.includes(paymentMethod)) {
+    paymentSettings = await loadPaymentSettings(req.branchId);
+    if (!getPaymentGateway(paymentSettings)) {
+      return res.status(400).json({
+        success: false,
+        code: 'PAYMENT_GATEWAY_UNAVAILABLE',
+        message: 'Online payment is not available for this branch'
+      });
+    }
+  }
+
   // Validate delivery address for delivery orders
   if (deliveryType === 'delivery' && !deliveryAddress) {
     return res.status(400).json({
@@ -185,104 +460,149 @@ const {
   // Any provided body.branchId is treated as optional metadata only.
   const effectiveBranchId = req.branchId;
 
-  // Process cart items - fetch all food items in one query (prevents N+1)
-  const itemIds = items.map(item => item.foodItem?.id || item.foodItem);
-  const foodItems = await FoodItem.find({ _id: { $in: itemIds }, branchId: req.branchId });
-  const foodItemMap = Object.fromEntries(foodItems.map(f => [f._id.toString(), f]));
-
-  let processedItems = [];
-  let calculatedSubtotal = 0;
+  const { pricing, settings, offer, couponError, deliveryArea } = await buildOrderPricing(req);
 
-  for (const item of items) {
-    const foodItemId = (item.foodItem?.id || item.foodItem).toString();
-    const foodItem = foodItemMap[foodItemId];
+  const guardErrors = checkCheckoutGuard(req, settings, pricing, deliveryArea);
+  if (guardErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: guardErrors[0].code,
+      message: guardErrors[0].message,
+      errors: guardErrors
+    });
+  }
 
-    if (!foodItem || !foodItem.isActive) {
+  if (deliveryType === 'delivery') {
+    if (!deliveryArea) {
       return res.status(400).json({
         success: false,
-        message: `Food item ${foodItemId} is not available`
+        code: 'ADDRESS_COORDINATES_REQUIRED',
+        message: 'Delivery address needs valid coordinates to be matched to a delivery zone'
       });
     }
 
-    // IMPORTANT: Use unitPrice and totalPrice from frontend
-    // Frontend already calculated these including meal size, extras, addons
-    const unitPrice = item.unitPrice;
-    const totalPrice = item.totalPrice;
+    if (!deliveryArea.canDeliver) {
+      return res.status(400).json({
+        success: false,
+        code: 'OUT_OF_DELIVERY_RANGE',
+        message: describeOutOfArea(deliveryArea),
+        distance: deliveryArea.distance
+      });
+    }
+  }
 
-    processedItems.push({
-      foodItem: foodItem._id,
-      quantity: item.quantity,
-      selectedMealSize: item.selectedMealSize,
-      selectedExtras: item.selectedExtras || [],
-      selectedAddons: item.selectedAddons || [],
-      specialInstructions: item.specialInstructions,
-      unitPrice,
-      totalPrice
+  if (pricing.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: pricing.errors[0].code,
+      message: pricing.errors[0].message,
+      errors: pricing.errors
     });
-
-    calculatedSubtotal += totalPrice;
   }
 
-  // Update stock for all items in parallel (avoids sequential awaits)
-  await Promise.all(
-    items.map(item => {
-      const foodItemId = (item.foodItem?.id || item.foodItem).toString();
-      return foodItemMap[foodItemId].updateStock(item.quantity, 'subtract');
-    })
-  );
-
-  const deliveryFee = clientDeliveryFee !== undefined ? clientDeliveryFee : 0.0;
-  const tax = clientTax !== undefined ? clientTax : 0.0;
-  const subtotal = clientSubtotal || calculatedSubtotal;
+  if (couponError) {
+    return res.status(400).json({
+      success: false,
+      code: couponError.code,
+      message: couponError.message
+    });
+  }
 
-  // First-order mobile discount — always validated server-side, never trusted from client
-  let discount = 0.0;
-  let firstOrderDiscountApplied = false;
+  const scheduleError = checkScheduledSlot(req, settings);
+  if (scheduleError) {
+    return res.status(400).json({
+      success: false,
+      code: scheduleError.code,
+      message: scheduleError.message
+    });
+  }
 
-  if (applyFirstOrderDiscount === true && platform === 'mobile' && deviceId) {
-    const userId = req.user._id || req.user.id;
+  // The first-order discount is granted server-side, so a client that did not
+  // know about it cannot be expected to send the discounted total
+  const priceDiff = comparePricing({
+    items,
+    subtotal: clientSubtotal,
+    deliveryFee: clientDeliveryFee,
+    tax: clientTax,
+    total: pricing.firstOrderDiscount > 0 ? undefined : clientTotal
+  }, pricing);
 
-    // Global setting check
-    const Setting = require('../models/Setting');
-    const settings = await Setting.findOne({ branchId: effectiveBranchId }).select('firstOrderDiscountSettings');
-    const discountEnabled = settings?.firstOrderDiscountSettings?.isEnabled !== false;
+  if (priceDiff.length > 0) {
+    return res.status(409).json({
+      success: false,
+      code: 'PRICE_MISMATCH',
+      message: 'Order prices have changed. Please review your cart and try again.',
+      priceDiff,
+      pricing: {
+        items: pricing.items,
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        deliveryFee: pricing.deliveryFee,
+        tax: pricing.tax,
+        taxLines: pricing.taxLines,
+        total: pricing.total
+      }
+    });
+  }
 
-    // Account check: user hasn't already used this discount
-    const User = require('../models/User');
-    const userDoc = await User.findById(userId).select('firstOrderDiscount');
-    const accountUnused = !userDoc?.firstOrderDiscount?.used;
+  // Allocate the order id up front so the stock reservation and the coupon
+  // redemption can reference it
+  const orderId = new mongoose.Types.ObjectId();
 
-    // Account check: user has no previous non-cancelled orders
-    const priorOrderCount = await Order.countDocuments({
-      userId,
-      branchId: effectiveBranchId,
-      status: { $nin: ['cancelled'] }
+  // Take the stock (items and recipe ingredients) first: a concurrent checkout
+  // may have bought the last units since the cart was priced
+  let reservation;
+  try {
+    reservation = await reserveStock(effectiveBranchId, pricing.items, {
+      orderId,
+      actor: { user: req.user._id || req.user.id, role: req.user.role || 'user' }
     });
+  } catch (error) {
+    if (error.code !== 'INSUFFICIENT_STOCK') throw error;
+    return res.status(409).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      items: error.items
+    });
+  }
 
-    // Device check: this device hasn't used the discount before
-    const deviceUsed = await FirstOrderDevice.findOne({ deviceId, branchId: effectiveBranchId });
+  // Redeem the coupon before anything else is written; redemption fails if a
+  // concurrent checkout used up the coupon in the meantime
+  if (offer) {
+    const redemption = await offer.redeem({
+      userId: req.user._id || req.user.id,
+      orderId,
+      discountAmount: pricing.offer.discount,
+      platform,
+      deviceId
+    });
 
-    if (discountEnabled && accountUnused && priorOrderCount === 0 && !deviceUsed) {
-      const pct = (settings?.firstOrderDiscountSettings?.discountPercentage ?? 20) / 100;
-      discount = Math.round(subtotal * pct * 100) / 100;
-      firstOrderDiscountApplied = true;
+    if (!redemption.success) {
+      await returnStock(reservation, { orderId, reason: 'order-failed' });
+      return res.status(409).json({
+        success: false,
+        code: redemption.code,
+        message: redemption.reason
+      });
     }
   }
 
-  // Use frontend's total but recalculate when first-order discount applies server-side
-  const total = firstOrderDiscountApplied
-    ? Math.round((subtotal + deliveryFee + tax - discount) * 100) / 100
-    : (clientTotal !== undefined ? clientTotal : (subtotal + deliveryFee + tax - discount));
-
+  const processedItems = pricing.items;
+  const { subtotal, deliveryFee, tax, discount, total } = pricing;
+  const firstOrderDiscountApplied = pricing.firstOrderDiscount > 0;
   // orderNumber is generated in the Order pre-save hook (timestamp + random suffix)
   const orderData = {
+    _id: orderId,
     userId: req.user._id || req.user.id,
     items: processedItems,
     subtotal,
     deliveryFee,
     tax,
     discount,
-    couponCode,
+    couponCode: offer ? offer.couponCode : undefined,
+    offer: offer ? offer._id : undefined,
+    stockReservation: { status: 'reserved', ...reservation },
     total,
     paymentMethod,
     deliveryType,
@@ -296,7 +616,50 @@ const {
     orderData.codPaymentType = codPaymentType;
   }
 
-  const order = await Order.create(orderData);
+  // The matched zone's ETA drives estimatedDeliveryTime
+  if (deliveryArea) {
+    if (deliveryArea.estimatedDeliveryTime) {
+      orderData.deliveryTime = deliveryArea.estimatedDeliveryTime;
+    }
+    if (deliveryArea.zone) {
+      orderData.deliveryZone = { zoneId: deliveryArea.zone.id, name: deliveryArea.zone.name };
+    }
+  }
+
+  if (pricing.deliveryFeeBreakdown) {
+    orderData.deliveryFeeBreakdown = pricing.deliveryFeeBreakdown;
+  }
+  orderData.taxLines = pricing.taxLines;
+
+  // Scheduled orders wait outside the kitchen queue until the release job picks them up
+  if (scheduledFor) {
+    orderData.status = 'scheduled';
+    orderData.scheduledFor = scheduledFor;
+    orderData.trackingUpdates = [
+      buildTrackingUpdate('scheduled', `Order scheduled for ${scheduledFor.toISOString()}`, {
+        user: orderData.userId,
+        role: req.user.role || 'user'
+      })
+    ];
+  } else if (settings?.orderSettings?.autoAcceptOrders && !isAwaitingPayment(orderData)) {
+    // Branches that auto-accept skip the manual confirmation step; orders paid
+    // online are accepted once the gateway reports the payment
+    orderData.status = 'confirmed';
+    orderData.trackingUpdates = [
+      buildTrackingUpdate('confirmed', 'Order accepted automatically', SYSTEM_ACTOR)
+    ];
+  }
+
+  let order;
+  try {
+    order = await Order.create(orderData);
+  } catch (error) {
+    if (offer) {
+      await Offer.reverseOrderRedemptions(orderId, 'order-failed');
+    }
+    await returnStock(reservation, { orderId, reason: 'order-failed' });
+    throw error;
+  }
 
   // Persist first-order discount usage so it cannot be reused
   if (firstOrderDiscountApplied) {
@@ -327,6 +690,24 @@ const {
     { path: 'branchId', select: 'name address phone' }
   ]);
 
+  publishOrderEvent(ORDER_EVENT_TYPES.CREATED, order, {
+    total: order.total,
+    scheduledFor: order.scheduledFor
+  });
+
+  // The client completes the payment with the intent; if the gateway is down
+  // it can retry through POST /api/v1/payments/orders/:id/intent
+  let payment;
+  let paymentError;
+  if (isAwaitingPayment(order)) {
+    try {
+      payment = await ensurePaymentIntent(order, { settings: paymentSettings });
+    } catch (error) {
+      console.error(`Payment intent for order ${order.orderNumber} failed:`, error.message);
+      paymentError = { code: error.code || 'PAYMENT_INTENT_FAILED', message: error.message };
+    }
+  }
+
   const orderUserId = order.userId._id ? order.userId._id.toString() : order.userId.toString();
 
   try {
@@ -335,7 +716,7 @@ const {
       await sendOrderStatusNotification(
         orderUserId,
         order,
-        'pending'
+        order.status
       );
       console.log('✅ Customer notification sent');
     }
@@ -432,6 +813,8 @@ const {
     success: true,
     message: 'Order created successfully',
     order: responseOrder,
+    payment,
+    paymentError,
     firstOrderDiscountApplied,
     discountAmount: firstOrderDiscountApplied ? discount : undefined
   });
@@ -448,7 +831,7 @@ router.get('/getall', [
   authorize('admin', 'manager'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('status').optional().isIn(['pending', 'confirmed', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  query('status').optional().isIn(ORDER_STATUSES).withMessage('Invalid status'),
   query('search').optional().isString().withMessage('Search must be a string')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -464,7 +847,8 @@ router.get('/getall', [
   const skip = (page - 1) * limit;
 
   let queryFilter = { branchId: req.branchId };
-  if (status) queryFilter.status = status;
+  // Scheduled orders are listed separately until they are released to the kitchen
+  queryFilter.status = status || { $ne: 'scheduled' };
 
   // Handle search - need to search in User collection for customer name
   if (search && search.trim()) {
@@ -508,19 +892,27 @@ router.get('/getall', [
     }
   }
 
+  const listPopulate = [
+    { path: 'items.foodItem', select: 'name imageUrl price' },
+    { path: 'branchId', select: 'name address phone' },
+    { path: 'userId', select: 'firstName lastName phone email' }
+  ];
+
   // Execute query and count in parallel for better performance
-  const [orders, totalOrders] = await Promise.all([
+  const [orders, totalOrders, scheduledOrders] = await Promise.all([
     Order.find(queryFilter)
-      .populate([
-        { path: 'items.foodItem', select: 'name imageUrl price' },
-        { path: 'branchId', select: 'name address phone' },
-        { path: 'userId', select: 'firstName lastName phone email' }
-      ])
+      .populate(listPopulate)
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip)
       .lean(),
-    Order.countDocuments(queryFilter)
+    Order.countDocuments(queryFilter),
+    // Upcoming scheduled orders, soonest slot first
+    Order.find({ branchId: req.branchId, status: 'scheduled' })
+      .populate(listPopulate)
+      .sort({ scheduledFor: 1 })
+      .limit(50)
+      .lean()
   ]);
 
   const totalPages = Math.ceil(totalOrders / limit);
@@ -531,7 +923,8 @@ router.get('/getall', [
     totalOrders,
     totalPages,
     currentPage: parseInt(page),
-    orders: orders.map(normalizeOrderResponse)
+    orders: orders.map(normalizeOrderResponse),
+    scheduledOrders: scheduledOrders.map(normalizeOrderResponse)
   });
 }));
 router.get('/stats', [
@@ -559,6 +952,41 @@ router.get('/stats', [
     stats
   });
 }));
+
+// @desc    Get tax collected per rate (Admin/Manager only)
+// @route   GET /api/v1/orders/stats/taxes?startDate=&endDate=
+// @access  Private (Admin/Manager only)
+router.get('/stats/taxes', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  query('startDate').optional().isISO8601().withMessage('startDate must be a date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a date')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const {
+    startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
+    endDate = new Date()
+  } = req.query;
+
+  const summary = await Order.getTaxSummary(new Date(startDate), new Date(endDate), req.branchId);
+
+  res.json({
+    success: true,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    ...summary
+  });
+}));
 // @desc    Get user orders
 // @route   GET /api/v1/orders
 // @access  Private
@@ -568,7 +996,7 @@ router.get('/', [
   resolveBranchContext,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('status').optional().isIn(['pending', 'confirmed', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status')
+  query('status').optional().isIn(ORDER_STATUSES).withMessage('Invalid status')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -671,6 +1099,27 @@ router.get('/first-order-discount/check', [
   });
 }));
 
+// @desc    Stream order events of the branch (server-sent events)
+// @route   GET /api/v1/orders/stream
+// @access  Private (staff see the whole branch, drivers their deliveries, customers their own orders)
+router.get('/stream', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext
+], (req, res) => {
+  const branchId = req.branchId.toString();
+  const currentUserId = (req.user._id || req.user.id).toString();
+  const staff = isBranchStaff(req.user.role);
+  const driver = isDriver(req.user.role);
+
+  openOrderEventStream(req, res, (event) => {
+    if (event.branchId !== branchId) return false;
+    if (staff) return true;
+    if (driver) return event.driverId === currentUserId;
+    return event.userId === currentUserId;
+  });
+});
+
 // @desc    Get single order
 // @route   GET /api/v1/orders/:id
 // @access  Private
@@ -709,9 +1158,12 @@ router.get('/:id', [
   const currentUserId = (req.user._id || req.user.id || req.user.userId)?.toString();
   
 const staffRoles = ['admin', 'manager', 'branch_admin', 'staff', 'super_admin', 'superadmin'];
+const agentId = order.deliveryAgent?._id?.toString();
+const isAssignedDriver = isDriver(req.user.role) && agentId === currentUserId;
 if (
   orderUserId !== currentUserId &&
-  !staffRoles.includes(req.user.role)
+  !staffRoles.includes(req.user.role) &&
+  !isAssignedDriver
 ) {
   return res.status(403).json({
     success: false,
@@ -719,13 +1171,121 @@ if (
   });
 }
 
+  const responseOrder = normalizeOrderResponse(order);
+
+  // Live driver position and an ETA recalculated from it
+  if (order.deliveryAgent && order.status !== 'delivered') {
+    responseOrder.driverTracking = estimateDriverEta({ order, branchDoc: req.branchDoc });
+    if (responseOrder.driverTracking) {
+      responseOrder.estimatedTimeRemaining = responseOrder.driverTracking.minutesRemaining;
+    }
+  }
+
+  res.json({
+    success: true,
+    order: responseOrder
+  });
+}));
+
+// @desc    Stream events of a single order (server-sent events)
+// @route   GET /api/v1/orders/:id/stream
+// @access  Private (order owner, branch staff or the assigned driver)
+router.get('/:id/stream', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, branchId: req.branchId })
+    .select('orderNumber status deliveryType userId deliveryAgent deliveryAddress driverLocation preparationTime releasedAt createdAt estimatedDeliveryTime trackingUpdates');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const currentUserId = (req.user._id || req.user.id).toString();
+  const isOwner = order.userId.toString() === currentUserId;
+  const isAssignedDriver = isDriver(req.user.role) && order.deliveryAgent?.toString() === currentUserId;
+  if (!isOwner && !isAssignedDriver && !isBranchStaff(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this order'
+    });
+  }
+
+  const orderId = order._id.toString();
+  openOrderEventStream(req, res, (event) => event.orderId === orderId, {
+    orderId,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    deliveryType: order.deliveryType,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    trackingUpdate: latestTrackingUpdate(order),
+    driverTracking: order.deliveryAgent ? estimateDriverEta({ order, branchDoc: req.branchDoc }) : null
+  });
+}));
+
+// @desc    Get the statuses the current user can move an order to
+// @route   GET /api/v1/orders/:id/transitions
+// @access  Private (Admin/Manager only)
+router.get('/:id/transitions', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, branchId: req.branchId })
+    .select('status deliveryType');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
 
   res.json({
     success: true,
-    order: normalizeOrderResponse(order)
+    orderId: order._id,
+    deliveryType: order.deliveryType,
+    currentStatus: order.status,
+    allowedStatuses: getAllowedNextStatuses(order, req.user.role)
   });
 }));
 
+// 409 for a conditional status write that lost to a concurrent change
+const respondOrderChanged = async (res, order) => {
+  const current = await Order.findById(order._id).select('status').lean();
+  return res.status(409).json({
+    success: false,
+    code: 'ORDER_CHANGED',
+    message: 'The order was updated by someone else. Please refresh and try again.',
+    currentStatus: current?.status
+  });
+};
+
 // @desc    Update order status
 // @route   PATCH /api/v1/orders/:id/status
 // @access  Private (Admin/Manager only)
@@ -735,7 +1295,7 @@ router.patch('/:id/status', [
   resolveBranchContext,
   authorize('admin', 'manager'),
   param('id').isMongoId().withMessage('Invalid order ID'),
-  body('status').isIn(['pending', 'confirmed', 'preparing', 'pickup', 'ready', 'shop', 'driverpickup', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
   body('message').optional().trim()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -758,26 +1318,58 @@ router.patch('/:id/status', [
     });
   }
 
-  // Explicitly set the status FIRST
-  order.status = status;
+  const transition = checkTransition(order, status, req.user.role);
+  if (!transition.allowed) {
+    return res.status(transition.code === 'STATUS_TRANSITION_FORBIDDEN' ? 403 : 409).json({
+      success: false,
+      code: transition.code,
+      message: transition.reason,
+      currentStatus: order.status,
+      allowedStatuses: transition.allowedStatuses
+    });
+  }
 
-  // Add tracking update
-  order.addTrackingUpdate(
-    status,
-    message || `Order status updated to ${status}`,
-    null
-  );
+  const set = { status };
+
+  if (status === 'cancelled') {
+    set.cancellation = {
+      reason: message || 'Cancelled by staff',
+      cancelledBy: 'admin',
+      cancelledAt: new Date()
+    };
+  }
 
   // Set actual delivery time if delivered
   if (status === 'delivered' && !order.actualDeliveryTime) {
-    order.actualDeliveryTime = new Date();
+    set.actualDeliveryTime = new Date();
   }
 
-  // Mark status as modified to ensure it's saved
-  order.markModified('status');
-  
-  // Save the order after all updates
-  await order.save();
+  // Conditional on the status checked above, so an order a job or another
+  // staff member changed in the meantime is not overwritten
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, branchId: req.branchId, status: order.status },
+    {
+      $set: set,
+      $push: {
+        trackingUpdates: buildTrackingUpdate(
+          status,
+          message || `Order status updated to ${status}`,
+          { user: req.user._id || req.user.id, role: req.user.role }
+        )
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return respondOrderChanged(res, order);
+  }
+
+  if (status === 'cancelled') {
+    await releaseCancelledOrder(updated);
+  }
+
+  publishOrderEvent(ORDER_EVENT_TYPES.STATUS, updated, { trackingUpdate: latestTrackingUpdate(updated) });
 
   // Single populate query — no redundant lean check
   const orderDoc = await Order.findOne({ _id: req.params.id, branchId: req.branchId })
@@ -808,6 +1400,132 @@ router.patch('/:id/status', [
   });
 }));
 
+// @desc    Assign or reassign the delivery driver of an order
+// @route   PATCH /api/v1/orders/:id/driver
+// @access  Private (Admin/Manager only)
+router.patch('/:id/driver', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('driverId').isMongoId().withMessage('Invalid driver ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, branchId: req.branchId });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (order.deliveryType !== 'delivery') {
+    return res.status(400).json({
+      success: false,
+      code: 'NOT_A_DELIVERY_ORDER',
+      message: 'Drivers can only be assigned to delivery orders'
+    });
+  }
+
+  if (!ACTIVE_DELIVERY_STATUSES.includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      code: 'DELIVERY_NOT_ACTIVE',
+      message: `A driver cannot be assigned to a ${order.status} order`,
+      currentStatus: order.status
+    });
+  }
+
+  const driver = await User.findOne({
+    _id: req.body.driverId,
+    branchId: req.branchId,
+    role: 'driver',
+    isActive: true
+  }).select('firstName lastName phone fcmToken');
+
+  if (!driver) {
+    return res.status(404).json({
+      success: false,
+      code: 'DRIVER_NOT_FOUND',
+      message: 'Driver not found in this branch'
+    });
+  }
+
+  const previousDriverId = order.deliveryAgent?.toString();
+  if (previousDriverId === driver._id.toString()) {
+    return res.json({
+      success: true,
+      message: 'Driver already assigned',
+      order: { id: order._id, deliveryAgent: driver._id, driverAssignment: order.driverAssignment }
+    });
+  }
+
+  const driverName = `${driver.firstName} ${driver.lastName}`.trim();
+
+  // Conditional on the status and driver read above so a concurrent change is not overwritten
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, deliveryAgent: order.deliveryAgent || null },
+    {
+      $set: {
+        deliveryAgent: driver._id,
+        driverAssignment: { assignedAt: new Date(), assignedBy: req.user._id || req.user.id }
+      },
+      $unset: { driverLocation: '' },
+      $push: {
+        trackingUpdates: buildTrackingUpdate(
+          order.status,
+          previousDriverId ? `Order reassigned to ${driverName}` : `Driver ${driverName} assigned`,
+          { user: req.user._id || req.user.id, role: req.user.role }
+        )
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      code: 'ORDER_CHANGED',
+      message: 'The order was updated by someone else. Please refresh and try again.'
+    });
+  }
+
+  publishOrderEvent(ORDER_EVENT_TYPES.TRACKING, updated, {
+    trackingUpdate: latestTrackingUpdate(updated),
+    driver: { _id: driver._id, firstName: driver.firstName, lastName: driver.lastName }
+  });
+
+  try {
+    await sendDeliveryAssignmentNotification(driver, updated);
+  } catch (err) {
+    console.error('Driver assignment notification failed:', err);
+  }
+
+  res.json({
+    success: true,
+    message: previousDriverId ? 'Driver reassigned successfully' : 'Driver assigned successfully',
+    order: {
+      id: updated._id,
+      status: updated.status,
+      deliveryAgent: { _id: driver._id, firstName: driver.firstName, lastName: driver.lastName, phone: driver.phone },
+      driverAssignment: updated.driverAssignment
+    }
+  });
+}));
+
+// Statuses in which the customer can still cancel their own order
+const CUSTOMER_CANCELLABLE_STATUSES = ['scheduled', 'pending'];
+
 // @desc    Cancel order
 // @route   PATCH /api/v1/orders/:id/cancel
 // @access  Private
@@ -839,31 +1557,63 @@ router.patch('/:id/cancel', [
     return res.status(403).json({ success: false, message: 'Not authorized' });
   }
 
-  if (['delivered', 'cancelled', 'refunded'].includes(order.status)) {
-    return res.status(400).json({ success: false, message: 'Order cannot be cancelled' });
+  // Staff follow the per-role transition rules; customers may only withdraw an
+  // order the kitchen has not accepted yet
+  if (isAdmin) {
+    const transition = checkTransition(order, 'cancelled', req.user.role);
+    if (!transition.allowed) {
+      return res.status(transition.code === 'STATUS_TRANSITION_FORBIDDEN' ? 403 : 409).json({
+        success: false,
+        code: transition.code,
+        message: transition.reason,
+        currentStatus: order.status,
+        allowedStatuses: transition.allowedStatuses
+      });
+    }
+  } else if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      code: 'ORDER_NOT_CANCELLABLE',
+      message: 'The restaurant has already accepted this order; please contact the branch to cancel it',
+      currentStatus: order.status
+    });
   }
 
   const cancelledBy = isAdmin ? 'admin' : 'customer';
 
-  // Apply cancellation logic (no save yet)
-  order.cancelOrder(reason, cancelledBy);
+  // Conditional on the status checked above: stock and payment are only
+  // released by whoever actually cancelled the order
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, branchId: req.branchId, status: order.status },
+    {
+      $set: {
+        status: 'cancelled',
+        cancellation: { reason, cancelledBy, cancelledAt: new Date() }
+      },
+      $push: {
+        trackingUpdates: buildTrackingUpdate(
+          'cancelled',
+          `Order cancelled by ${cancelledBy}: ${reason}`,
+          { user: currentUserId, role: req.user.role || 'user' }
+        )
+      }
+    },
+    { new: true }
+  );
 
-  // Restore stock
-  for (const item of order.items) {
-    const foodItem = await FoodItem.findOne({ _id: item.foodItem, branchId: req.branchId });
-    if (foodItem) {
-      await foodItem.updateStock(item.quantity, 'add');
-    }
+  if (!cancelled) {
+    return respondOrderChanged(res, order);
   }
 
-  // SINGLE SAVE — ONLY HERE!
-  await order.save();
+  const { refund, refundError } = await releaseCancelledOrder(cancelled);
+
+  publishOrderEvent(ORDER_EVENT_TYPES.STATUS, cancelled, { trackingUpdate: latestTrackingUpdate(cancelled) });
 
   // Send notification
   try {
     await sendOrderStatusNotification(
-      order.userId.toString(),
-      order,
+      cancelled.userId.toString(),
+      cancelled,
       'cancelled',
       { title: 'Order Cancelled', body: reason }
     );
@@ -875,10 +1625,12 @@ router.patch('/:id/cancel', [
     success: true,
     message: 'Order cancelled successfully',
     order: {
-      id: order._id,
-      status: order.status,
-      cancellation: order.cancellation
-    }
+      id: cancelled._id,
+      status: cancelled.status,
+      cancellation: cancelled.cancellation
+    },
+    refund,
+    refundError
   });
 }));
 
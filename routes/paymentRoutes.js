@@ -0,0 +1,119 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { auth } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { isSuperAdmin, canLoginAnyBranch, roleSatisfies } = require('../utils/roles');
+const { SUPPORTED_PROVIDERS, getPaymentGateway } = require('../utils/paymentGateway');
+const { loadPaymentSettings, ensurePaymentIntent, applyPaymentEvent } = require('../utils/paymentService');
+
+const router = express.Router();
+
+const isBranchStaff = (role) =>
+  isSuperAdmin(role) || canLoginAnyBranch(role) || roleSatisfies(role, 'branch_admin', 'staff');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Payment errors carry a machine-readable code; anything else is unexpected
+const sendPaymentError = (res, error) => {
+  if (typeof error.code !== 'string') throw error;
+  res.status(error.statusCode || 400).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    // Items that sold out while a failed payment was being retried
+    items: error.items
+  });
+};
+
+// @desc    Get (or create) the payment intent of an order, e.g. to retry a payment
+// @route   POST /api/v1/payments/orders/:id/intent
+// @access  Private (order owner or branch staff)
+router.post('/orders/:id/intent', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await Order.findOne({ _id: req.params.id, branchId: req.branchId });
+  const currentUserId = (req.user._id || req.user.id).toString();
+  if (!order || (!isBranchStaff(req.user.role) && order.userId.toString() !== currentUserId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    const payment = await ensurePaymentIntent(order);
+    res.json({
+      success: true,
+      paymentStatus: order.paymentStatus,
+      payment
+    });
+  } catch (error) {
+    sendPaymentError(res, error);
+  }
+}));
+
+// @desc    Receive payment gateway webhooks (signed with the gateway's webhookSecret)
+// @route   POST /api/v1/payments/webhooks/:provider/:branchId
+// @access  Public (signature verified)
+router.post('/webhooks/:provider/:branchId', [
+  param('provider').isIn(SUPPORTED_PROVIDERS).withMessage('Unsupported payment provider'),
+  param('branchId').isMongoId().withMessage('Invalid branch ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { provider, branchId } = req.params;
+
+  // Signatures cover the exact bytes sent, captured by the JSON body parser
+  if (!req.rawBody) {
+    return res.status(400).json({
+      success: false,
+      code: 'WEBHOOK_PAYLOAD_INVALID',
+      message: 'Webhook body must be JSON'
+    });
+  }
+
+  const settings = await loadPaymentSettings(branchId);
+  const gateway = getPaymentGateway(settings, { provider, includeInactive: true });
+  if (!gateway) {
+    return res.status(404).json({
+      success: false,
+      code: 'PAYMENT_GATEWAY_UNAVAILABLE',
+      message: 'Payment gateway not configured for this branch'
+    });
+  }
+
+  let event;
+  try {
+    event = gateway.parseWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    return sendPaymentError(res, error);
+  }
+
+  const result = await applyPaymentEvent(event, { branchId, provider, settings });
+
+  // Acknowledge every verified event so the gateway stops retrying it
+  res.json({
+    success: true,
+    received: true,
+    eventId: event.id,
+    ...result
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const PrintJob = require('../models/PrintJob');
+const Setting = require('../models/Setting');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { PAPER_WIDTHS, DEFAULT_PAPER_WIDTH, renderOrderTicket } = require('../utils/receiptRenderer');
+const { MAX_ATTEMPTS, loadPrintableOrder, renderPrintJob, claimPrintJobs } = require('../utils/printQueue');
+
+const router = express.Router();
+
+const TICKET_KINDS = ['kitchen', 'receipt'];
+const TICKET_FORMATS = ['escpos', 'text', 'html'];
+
+// Print agents sign in with a staff account of their branch
+const staffContext = [auth, attachBranchToRequest, resolveBranchContext, authorize('admin', 'manager')];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @desc    Render an order as a kitchen ticket or customer receipt
+// @route   GET /api/v1/print/orders/:id?kind=kitchen|receipt&format=escpos|text|html
+// @access  Private (Admin/Manager only)
+router.get('/orders/:id', [
+  ...staffContext,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  query('kind').optional().isIn(TICKET_KINDS).withMessage('kind must be kitchen or receipt'),
+  query('format').optional().isIn(TICKET_FORMATS).withMessage('format must be escpos, text or html'),
+  query('width').optional().isIn(PAPER_WIDTHS.map(String)).withMessage(`width must be one of ${PAPER_WIDTHS.join(', ')}`).toInt()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { kind = 'receipt', format = 'text', width } = req.query;
+
+  const [order, settings] = await Promise.all([
+    loadPrintableOrder(req.params.id, req.branchId),
+    width ? null : Setting.findOne({ branchId: req.branchId }).select('printSettings').lean()
+  ]);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const ticket = renderOrderTicket(order, {
+    kind,
+    format,
+    branch: req.branchDoc,
+    width: width || settings?.printSettings?.paperWidth || DEFAULT_PAPER_WIDTH
+  });
+
+  res.set('Content-Type', ticket.contentType);
+  if (format === 'escpos') {
+    res.set('Content-Disposition', `attachment; filename="${kind}-${order.orderNumber}.bin"`);
+  }
+  res.send(ticket.body);
+}));
+
+// @desc    Queue a ticket of an order for the branch's print agents
+// @route   POST /api/v1/print/orders/:id/jobs
+// @access  Private (Admin/Manager only)
+router.post('/orders/:id/jobs', [
+  ...staffContext,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('kind').isIn(TICKET_KINDS).withMessage('kind must be kitchen or receipt'),
+  body('copies').optional().isInt({ min: 1, max: 5 }).withMessage('copies must be between 1 and 5').toInt(),
+  body('printer').optional().trim().isLength({ min: 1, max: 40 })
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await loadPrintableOrder(req.params.id, req.branchId);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const job = await PrintJob.create({
+    branchId: req.branchId,
+    orderId: order._id,
+    kind: req.body.kind,
+    copies: req.body.copies || 1,
+    printer: req.body.printer,
+    source: 'manual',
+    requestedBy: req.user._id || req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Print job queued',
+    job
+  });
+}));
+
+// @desc    List the branch's print jobs
+// @route   GET /api/v1/print/jobs
+// @access  Private (Admin/Manager only)
+router.get('/jobs', [
+  ...staffContext,
+  query('status').optional().isIn(['pending', 'printing', 'printed', 'failed']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const filter = { branchId: req.branchId };
+  if (req.query.status) filter.status = req.query.status;
+
+  const jobs = await PrintJob.find(filter)
+    .populate('orderId', 'orderNumber status')
+    .sort({ createdAt: -1 })
+    .limit(req.query.limit || 50);
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    jobs
+  });
+}));
+
+// @desc    Claim pending print jobs with their rendered tickets (print agent polling)
+// @route   POST /api/v1/print/jobs/claim
+// @access  Private (Admin/Manager only)
+router.post('/jobs/claim', [
+  ...staffContext,
+  body('agentId').trim().notEmpty().withMessage('agentId is required').isLength({ max: 80 }),
+  body('printer').optional().trim().isLength({ min: 1, max: 40 }),
+  body('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
+  body('format').optional().isIn(TICKET_FORMATS).withMessage('format must be escpos, text or html'),
+  body('width').optional().isIn(PAPER_WIDTHS).withMessage(`width must be one of ${PAPER_WIDTHS.join(', ')}`).toInt()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { agentId, printer, limit, format = 'escpos', width } = req.body;
+  const jobs = await claimPrintJobs({ branchId: req.branchId, agentId, printer, limit });
+
+  const rendered = [];
+  for (const job of jobs) {
+    const ticket = await renderPrintJob(job, { format, width });
+    if (!ticket) {
+      // The order no longer exists; nothing left to print
+      job.status = 'failed';
+      job.error = 'Order not found';
+      await job.save();
+      continue;
+    }
+
+    rendered.push({
+      _id: job._id,
+      orderId: job.orderId,
+      kind: job.kind,
+      printer: job.printer,
+      copies: job.copies,
+      attempts: job.attempts,
+      format,
+      contentType: ticket.contentType,
+      // ESC/POS is binary, so every payload is sent base64-encoded
+      payload: Buffer.from(ticket.body).toString('base64')
+    });
+  }
+
+  res.json({
+    success: true,
+    count: rendered.length,
+    jobs: rendered
+  });
+}));
+
+// @desc    Report the result of a claimed print job
+// @route   PATCH /api/v1/print/jobs/:jobId
+// @access  Private (Admin/Manager only)
+router.patch('/jobs/:jobId', [
+  ...staffContext,
+  param('jobId').isMongoId().withMessage('Invalid job ID'),
+  body('agentId').trim().notEmpty().withMessage('agentId is required'),
+  body('status').isIn(['printed', 'failed']).withMessage('status must be printed or failed'),
+  body('error').optional().trim().isLength({ max: 500 })
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { agentId, status, error } = req.body;
+
+  // Only the agent holding the claim may report
+  const claim = { _id: req.params.jobId, branchId: req.branchId, status: 'printing', claimedBy: agentId };
+  const claimed = await PrintJob.findOne(claim).select('attempts');
+
+  let update;
+  if (status === 'printed') {
+    update = { $set: { status: 'printed', printedAt: new Date() }, $unset: { error: '' } };
+  } else {
+    // Failed jobs go back to the queue until they run out of attempts
+    update = {
+      $set: { status: claimed?.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', error: error || 'Print failed' },
+      $unset: { claimedBy: '', claimedAt: '' }
+    };
+  }
+
+  const job = claimed && await PrintJob.findOneAndUpdate(claim, update, { new: true });
+
+  if (!job) {
+    return res.status(409).json({
+      success: false,
+      code: 'PRINT_JOB_NOT_CLAIMED',
+      message: 'Print job not found or not claimed by this agent'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: job.status === 'printed' ? 'Print job completed'
+      : job.status === 'failed' ? 'Print job failed' : 'Print job returned to the queue',
+    job
+  });
+}));
+
+module.exports = router;
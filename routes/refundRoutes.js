@@ -0,0 +1,143 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { roundMoney } = require('../utils/pricingService');
+const { isRefundable, getRefundableAmount, issueRefund } = require('../utils/refundService');
+
+const router = express.Router();
+
+const branchContext = [auth, attachBranchToRequest, resolveBranchContext];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const orderNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Order not found'
+});
+
+// @desc    Refunds issued by the branch in a period, by outcome, method and day
+// @route   GET /api/v1/refunds/report?startDate=&endDate=
+// @access  Private (Admin/Manager only)
+router.get('/report', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  query('startDate').optional().isISO8601().withMessage('startDate must be a date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a date')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const {
+    startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
+    endDate = new Date()
+  } = req.query;
+
+  const summary = await Order.getRefundSummary(
+    new Date(startDate),
+    new Date(endDate),
+    req.branchId,
+    req.branchDoc?.timezone || 'UTC'
+  );
+
+  res.json({
+    success: true,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    ...summary
+  });
+}));
+
+// @desc    Refund ledger of an order
+// @route   GET /api/v1/refunds/orders/:id
+// @access  Private (Admin/Manager only)
+router.get('/orders/:id', [
+  ...branchContext,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await Order.findOne({ _id: req.params.id, branchId: req.branchId })
+    .select('orderNumber status paymentMethod paymentStatus total refundedAmount refunds items._id items.quantity items.refundedQuantity')
+    .populate('refunds.createdBy.user', 'firstName lastName');
+  if (!order) return orderNotFound(res);
+
+  res.json({
+    success: true,
+    orderNumber: order.orderNumber,
+    paymentStatus: order.paymentStatus,
+    total: order.total,
+    refundedAmount: roundMoney(order.refundedAmount),
+    refundableAmount: isRefundable(order) ? getRefundableAmount(order) : 0,
+    items: order.items.map(item => ({
+      itemId: item._id,
+      quantity: item.quantity,
+      refundedQuantity: item.refundedQuantity || 0
+    })),
+    refunds: order.refunds
+  });
+}));
+
+// @desc    Refund an order in full, by amount, or by line items
+// @route   POST /api/v1/refunds/orders/:id
+// @access  Private (Admin only)
+router.post('/orders/:id', [
+  ...branchContext,
+  authorize('admin'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('reason').trim().notEmpty().withMessage('reason is required').isLength({ max: 300 }),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be greater than 0').toFloat(),
+  body('items').optional().isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+  body('items.*.itemId').isMongoId().withMessage('Invalid item ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('quantity must be at least 1').toInt(),
+  body().custom(value => !(value.amount !== undefined && value.items !== undefined))
+    .withMessage('Send either amount or items, not both')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const order = await Order.exists({ _id: req.params.id, branchId: req.branchId });
+  if (!order) return orderNotFound(res);
+
+  try {
+    const { order: refunded, refund } = await issueRefund(order._id, {
+      reason: req.body.reason,
+      amount: req.body.amount,
+      items: req.body.items,
+      actor: { user: req.user._id || req.user.id, role: req.user.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === 'succeeded' ? 'Refund issued' : 'Refund submitted to the payment gateway',
+      refund,
+      order: {
+        id: refunded._id,
+        status: refunded.status,
+        paymentStatus: refunded.paymentStatus,
+        refundedAmount: roundMoney(refunded.refundedAmount)
+      }
+    });
+  } catch (error) {
+    if (typeof error.code !== 'string') throw error;
+    res.status(error.statusCode || 400).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      remaining: error.remaining,
+      refundableQuantity: error.refundableQuantity
+    });
+  }
+}));
+
+module.exports = router;
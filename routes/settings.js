@@ -1,12 +1,140 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Setting = require('../models/Setting');
 const { auth, authorize } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
 const { attachBranchToRequest, resolveBranchContext } = require('../middleware/branchContext');
+const { resolveTimezone, getLocalTimeParts } = require('../utils/businessHours');
+const { getCheckoutAvailability } = require('../utils/checkoutGuard');
+const { getActiveKeyId, getKeyId, isEncrypted } = require('../utils/secretCrypto');
+const { SUPPORTED_PROVIDERS } = require('../utils/paymentGateway');
 
 const router = express.Router();
 
+// Fields PUT / never writes: secrets and their audit trail change only through
+// the admin-only /secrets endpoints, the branch only through its own routes
+const PROTECTED_FIELDS = ['_id', '__v', 'branchId', 'secretChanges', 'createdAt', 'updatedAt'];
+const GATEWAY_SECRET_FIELDS = ['secretKey', 'webhookSecret'];
+
+// Top-level fields a settings update may carry
+const isWritableField = (key) =>
+  !PROTECTED_FIELDS.includes(key) && Boolean(Setting.schema.path(key) || Setting.schema.pathType(key) === 'nested');
+
+// A settings update of the writable fields only, without any secret (those are
+// write-only through /secrets, and are skipped rather than re-saved so they
+// never pass the encrypting setter here). Other fields a client sends back
+// (_id, timestamps, secretChanges) are ignored, and update operators or dotted
+// paths (paymentGateways.0.secretKey) never get here: the sanitizer in server.js
+// strips those keys from every request body. Email and SMS blocks are written
+// field by field and gateways already stored are updated field by field, so
+// neither wipes the credentials. Gateways missing from the body are kept.
+const buildSettingsUpdate = async (branchId, body) => {
+  const update = {};
+  Object.keys(body).filter(isWritableField).forEach(key => {
+    update[key] = body[key];
+  });
+
+  ['emailSettings', 'smsSettings'].forEach(group => {
+    if (!update[group] || typeof update[group] !== 'object') return;
+    const fields = update[group];
+    delete update[group];
+    Object.keys(fields).forEach(field => {
+      if (!Setting.SECRET_PATHS.includes(`${group}.${field}`)) update[`${group}.${field}`] = fields[field];
+    });
+  });
+
+  if (Array.isArray(update.paymentGateways)) {
+    const gateways = update.paymentGateways.map(gateway => {
+      const fields = { ...(gateway || {}) };
+      [...GATEWAY_SECRET_FIELDS, '_id'].forEach(field => delete fields[field]);
+      return fields;
+    });
+    delete update.paymentGateways;
+
+    const existing = await Setting.findOne({ branchId }).select('paymentGateways.provider').lean();
+    if (!existing) {
+      update.paymentGateways = gateways;
+      return update;
+    }
+
+    const stored = existing.paymentGateways || [];
+    let appended = 0;
+    gateways.forEach(fields => {
+      const index = stored.findIndex(entry => entry.provider === fields.provider);
+      if (index === -1) {
+        update[`paymentGateways.${stored.length + appended}`] = fields;
+        appended++;
+        return;
+      }
+      Object.keys(fields).forEach(field => {
+        update[`paymentGateways.${index}.${field}`] = fields[field];
+      });
+    });
+  }
+
+  return update;
+};
+
+// Whether a secret is stored, and under which key, without revealing it
+const describeSecret = (value) => ({
+  isSet: Boolean(value),
+  isEncrypted: isEncrypted(value),
+  keyId: getKeyId(value) || undefined
+});
+
+const describeSecrets = (settings) => ({
+  activeKeyId: getActiveKeyId(),
+  paymentGateways: (settings.paymentGateways || []).map(gateway => ({
+    provider: gateway.provider,
+    isActive: gateway.isActive,
+    secretKey: describeSecret(gateway.secretKey),
+    webhookSecret: describeSecret(gateway.webhookSecret)
+  })),
+  emailSettings: {
+    smtpPassword: describeSecret(settings.emailSettings?.smtpPassword)
+  },
+  smsSettings: {
+    apiKey: describeSecret(settings.smsSettings?.apiKey),
+    apiSecret: describeSecret(settings.smsSettings?.apiSecret)
+  },
+  changes: (settings.secretChanges || []).slice().reverse()
+});
+
+// Secrets can only be stored once a master key is configured
+const requireEncryptionKey = (req, res, next) => {
+  if (getActiveKeyId()) return next();
+  res.status(503).json({
+    success: false,
+    code: 'ENCRYPTION_KEY_MISSING',
+    message: 'SETTINGS_ENCRYPTION_KEYS is not configured; secrets cannot be stored'
+  });
+};
+
+// Validation for a secret body field: a string sets it, null clears it
+const secretField = (field) => body(field)
+  .optional({ values: 'undefined' })
+  .custom(value => value === null || (typeof value === 'string' && value.trim().length > 0 && value.length <= 500))
+  .withMessage(`${field} must be a non-empty string (max 500 characters) or null to clear it`);
+
+// Apply the secrets present in the body to `target` and audit each change
+const applySecrets = (settings, target, fields, { pathPrefix, provider, body: values, changedBy }) => {
+  const changed = [];
+  fields.forEach(field => {
+    if (values[field] === undefined) return;
+    const cleared = values[field] === null;
+    target[field] = cleared ? undefined : values[field].trim();
+    settings.recordSecretChange({
+      path: `${pathPrefix}.${field}`,
+      provider,
+      action: cleared ? 'cleared' : 'set',
+      keyId: cleared ? undefined : getActiveKeyId(),
+      changedBy
+    });
+    changed.push(field);
+  });
+  return changed;
+};
+
 // @desc    Get restaurant settings
 // @route   GET /api/v1/settings
 // @access  Private (Admin/Manager only)
@@ -37,7 +165,10 @@ router.get('/', [
   
   res.json({
     success: true,
-    settings
+    settings: {
+      ...settings.toJSON(),
+      isCurrentlyOpen: settings.isOpenAt(new Date(), resolveTimezone(req.branchDoc, settings))
+    }
   });
 }));
 
@@ -46,7 +177,7 @@ router.get('/', [
 // @access  Public
 router.get('/public', attachBranchToRequest, resolveBranchContext, asyncHandler(async (req, res) => {
   const settings = await Setting.findOne({ branchId: req.branchId })
-    .select('-paymentGateways.secretKey -paymentGateways.webhookSecret -emailSettings.smtpPassword -smsSettings.apiSecret');
+    .select('-paymentGateways.secretKey -paymentGateways.webhookSecret -emailSettings.smtpPassword -smsSettings.apiKey -smsSettings.apiSecret');
   
   if (!settings) {
     return res.status(404).json({
@@ -55,6 +186,18 @@ router.get('/public', attachBranchToRequest, resolveBranchContext, asyncHandler(
     });
   }
   
+  const timezone = resolveTimezone(req.branchDoc, settings);
+  const openingStatus = settings.getOpeningStatus(new Date(), timezone);
+
+  // Same rules POST /orders enforces, so the apps can disable checkout up front
+  const checkout = getCheckoutAvailability(settings, timezone);
+
+  // Holidays and special hours from today on, so the apps can show them in advance
+  const today = getLocalTimeParts(new Date(), timezone).date;
+  const upcomingHoursOverrides = (settings.hoursOverrides || [])
+    .filter(override => override.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
   // Only return public information
   const publicSettings = {
     restaurantName: settings.restaurantName,
@@ -65,14 +208,28 @@ router.get('/public', attachBranchToRequest, resolveBranchContext, asyncHandler(
     contactEmail: settings.contactEmail,
     websiteUrl: settings.websiteUrl,
     operatingHours: settings.operatingHours,
-    timezone: settings.timezone,
+    hoursOverrides: upcomingHoursOverrides,
+    timezone,
     currency: settings.currency,
     deliverySettings: settings.deliverySettings,
     pickupSettings: settings.pickupSettings,
     socialMedia: settings.socialMedia,
     theme: settings.theme,
     maintenanceMode: settings.maintenanceMode,
-    isCurrentlyOpen: settings.isCurrentlyOpen,
+    isCurrentlyOpen: openingStatus.isOpen,
+    openingStatus: {
+      isOpen: openingStatus.isOpen,
+      nextChange: openingStatus.nextChange,
+      nextOpeningTime: openingStatus.nextOpeningTime,
+      closesAt: openingStatus.closesAt
+    },
+    orderSettings: {
+      minOrderAmount: checkout.minOrderAmount,
+      maxOrderAmount: checkout.maxOrderAmount,
+      allowScheduledOrders: checkout.allowScheduledOrders,
+      maxScheduleDays: settings.orderSettings?.maxScheduleDays
+    },
+    checkout,
     firstOrderDiscountSettings: settings.firstOrderDiscountSettings
   };
   
@@ -107,15 +264,16 @@ router.put('/', [
   }
 
   let settings = await Setting.findOne({ branchId: req.branchId });
+  const update = await buildSettingsUpdate(req.branchId, req.body);
   
   if (settings) {
-    settings = await Setting.findOneAndUpdate({ branchId: req.branchId }, req.body, { 
+    settings = await Setting.findOneAndUpdate({ branchId: req.branchId }, update, { 
       new: true, 
       runValidators: true,
       upsert: false
     });
   } else {
-    settings = await Setting.create({ ...req.body, branchId: req.branchId });
+    settings = await Setting.create({ ...update, branchId: req.branchId });
   }
 
   res.json({
@@ -135,8 +293,11 @@ router.put('/hours', [
   authorize('admin', 'manager'),
   body('operatingHours').isArray().withMessage('Operating hours must be an array'),
   body('operatingHours.*.day').isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']).withMessage('Invalid day'),
-  body('operatingHours.*.openTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid open time format'),
-  body('operatingHours.*.closeTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid close time format')
+  body('operatingHours.*.openTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid open time format'),
+  body('operatingHours.*.closeTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid close time format'),
+  body('operatingHours.*.intervals').optional().isArray().withMessage('Intervals must be an array'),
+  body('operatingHours.*.intervals.*.openTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid interval open time format'),
+  body('operatingHours.*.intervals.*.closeTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid interval close time format')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -160,17 +321,65 @@ router.put('/hours', [
   });
 }));
 
-// @desc    Add delivery zone
-// @route   POST /api/v1/settings/delivery-zones
+const hoursOverrideValidators = [
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .bail()
+    .custom(value => !Number.isNaN(Date.parse(`${value}T00:00:00Z`))).withMessage('Invalid date'),
+  body('type').optional().isIn(['holiday', 'closure', 'special']).withMessage('Invalid override type'),
+  body('isClosed').optional().isBoolean().withMessage('isClosed must be boolean'),
+  body('intervals').optional().isArray().withMessage('Intervals must be an array'),
+  body('intervals.*.openTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid interval open time format'),
+  body('intervals.*.closeTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid interval close time format'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  body().custom(value => value.isClosed !== false || (Array.isArray(value.intervals) && value.intervals.length > 0))
+    .withMessage('Special hours need at least one interval when the branch is not closed')
+];
+
+const pickHoursOverride = (body) => ({
+  date: body.date,
+  type: body.type || 'closure',
+  isClosed: body.isClosed !== false,
+  intervals: body.isClosed === false ? body.intervals : [],
+  reason: body.reason
+});
+
+// @desc    Get holiday / closure / special-hours overrides
+// @route   GET /api/v1/settings/hours/overrides
 // @access  Private (Admin/Manager only)
-router.post('/delivery-zones', [
+router.get('/hours/overrides', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager')
+], asyncHandler(async (req, res) => {
+  const settings = await Setting.findOne({ branchId: req.branchId }).select('hoursOverrides');
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  const hoursOverrides = [...settings.hoursOverrides].sort((a, b) => a.date.localeCompare(b.date));
+
+  res.json({
+    success: true,
+    count: hoursOverrides.length,
+    hoursOverrides
+  });
+}));
+
+// @desc    Add a holiday / closure / special-hours override
+// @route   POST /api/v1/settings/hours/overrides
+// @access  Private (Admin/Manager only)
+router.post('/hours/overrides', [
   auth,
   attachBranchToRequest,
   resolveBranchContext,
   authorize('admin', 'manager'),
-  body('name').trim().notEmpty().withMessage('Zone name is required'),
-  body('deliveryFee').isFloat({ min: 0 }).withMessage('Delivery fee must be non-negative'),
-  body('coordinates').isArray({ min: 3 }).withMessage('Coordinates must be an array with at least 3 points')
+  ...hoursOverrideValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -182,26 +391,41 @@ router.post('/delivery-zones', [
   }
 
   const settings = await Setting.findOne({ branchId: req.branchId });
-  settings.deliveryZones.push(req.body);
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  if (settings.hoursOverrides.some(override => override.date === req.body.date)) {
+    return res.status(409).json({
+      success: false,
+      message: `An override for ${req.body.date} already exists`
+    });
+  }
+
+  settings.hoursOverrides.push(pickHoursOverride(req.body));
   await settings.save();
 
   res.status(201).json({
     success: true,
-    message: 'Delivery zone added successfully',
-    deliveryZones: settings.deliveryZones
+    message: 'Hours override added successfully',
+    hoursOverride: settings.hoursOverrides[settings.hoursOverrides.length - 1]
   });
 }));
 
-// @desc    Toggle maintenance mode
-// @route   PATCH /api/v1/settings/maintenance
-// @access  Private (Admin only)
-router.patch('/maintenance', [
+// @desc    Update a holiday / closure / special-hours override
+// @route   PUT /api/v1/settings/hours/overrides/:overrideId
+// @access  Private (Admin/Manager only)
+router.put('/hours/overrides/:overrideId', [
   auth,
   attachBranchToRequest,
   resolveBranchContext,
-  authorize('admin'),
-  body('isEnabled').isBoolean().withMessage('isEnabled must be boolean'),
-  body('message').optional().trim()
+  authorize('admin', 'manager'),
+  param('overrideId').isMongoId().withMessage('Invalid override ID'),
+  ...hoursOverrideValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -212,29 +436,45 @@ router.patch('/maintenance', [
     });
   }
 
-  const settings = await Setting.findOneAndUpdate(
-    { branchId: req.branchId },
-    { 
-      'maintenanceMode.isEnabled': req.body.isEnabled,
-      ...(req.body.message && { 'maintenanceMode.message': req.body.message })
-    },
-    { new: true, runValidators: true }
+  const settings = await Setting.findOne({ branchId: req.branchId });
+  const override = settings?.hoursOverrides.id(req.params.overrideId);
+
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      message: 'Hours override not found'
+    });
+  }
+
+  const clash = settings.hoursOverrides.some(entry =>
+    entry.date === req.body.date && entry._id.toString() !== req.params.overrideId
   );
+  if (clash) {
+    return res.status(409).json({
+      success: false,
+      message: `An override for ${req.body.date} already exists`
+    });
+  }
+
+  override.set(pickHoursOverride(req.body));
+  await settings.save();
 
   res.json({
     success: true,
-    message: `Maintenance mode ${req.body.isEnabled ? 'enabled' : 'disabled'}`,
-    maintenanceMode: settings.maintenanceMode
+    message: 'Hours override updated successfully',
+    hoursOverride: override
   });
 }));
-router.patch('/delivery/toggle', [
+
+// @desc    Delete a holiday / closure / special-hours override
+// @route   DELETE /api/v1/settings/hours/overrides/:overrideId
+// @access  Private (Admin/Manager only)
+router.delete('/hours/overrides/:overrideId', [
   auth,
   attachBranchToRequest,
   resolveBranchContext,
   authorize('admin', 'manager'),
-  body('isEnabled').isBoolean().withMessage('isEnabled must be boolean'),
-  body('disabledMessage').optional().trim().isLength({ max: 200 })
-    .withMessage('Message cannot exceed 200 characters')
+  param('overrideId').isMongoId().withMessage('Invalid override ID')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -246,7 +486,58 @@ router.patch('/delivery/toggle', [
   }
 
   const settings = await Setting.findOne({ branchId: req.branchId });
-  
+  const override = settings?.hoursOverrides.id(req.params.overrideId);
+
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      message: 'Hours override not found'
+    });
+  }
+
+  override.deleteOne();
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Hours override deleted successfully'
+  });
+}));
+
+const deliveryZoneValidators = [
+  body('name').trim().notEmpty().withMessage('Zone name is required'),
+  body('deliveryFee').isFloat({ min: 0 }).withMessage('Delivery fee must be non-negative'),
+  body('coordinates').isArray({ min: 3 }).withMessage('Coordinates must be an array with at least 3 points'),
+  body('coordinates.*.lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('coordinates.*.lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('minOrderAmount').optional().isFloat({ min: 0 }).withMessage('Minimum order amount cannot be negative'),
+  body('estimatedDeliveryTime').optional().isInt({ min: 5 }).withMessage('Delivery time must be at least 5 minutes'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+const pickDeliveryZone = (body) => ({
+  name: body.name,
+  coordinates: body.coordinates.map(point => ({ lat: Number(point.lat), lng: Number(point.lng) })),
+  deliveryFee: body.deliveryFee,
+  ...(body.minOrderAmount !== undefined && { minOrderAmount: body.minOrderAmount }),
+  ...(body.estimatedDeliveryTime !== undefined && { estimatedDeliveryTime: body.estimatedDeliveryTime }),
+  ...(body.isActive !== undefined && { isActive: body.isActive })
+});
+
+const sortedZones = (settings) =>
+  [...settings.deliveryZones].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+
+// @desc    Get delivery zones
+// @route   GET /api/v1/settings/delivery-zones
+// @access  Private (Admin/Manager only)
+router.get('/delivery-zones', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager')
+], asyncHandler(async (req, res) => {
+  const settings = await Setting.findOne({ branchId: req.branchId }).select('deliveryZones');
+
   if (!settings) {
     return res.status(404).json({
       success: false,
@@ -254,37 +545,62 @@ router.patch('/delivery/toggle', [
     });
   }
 
-  // Update delivery enabled status
-  settings.deliverySettings.isDeliveryEnabled = req.body.isEnabled;
-  
-  // Update disabled message if provided
-  if (req.body.disabledMessage) {
-    settings.deliverySettings.disabledMessage = req.body.disabledMessage;
+  res.json({
+    success: true,
+    deliveryZones: sortedZones(settings)
+  });
+}));
+
+// @desc    Add delivery zone
+// @route   POST /api/v1/settings/delivery-zones
+// @access  Private (Admin/Manager only)
+router.post('/delivery-zones', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  ...deliveryZoneValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
   }
 
+  const settings = await Setting.findOne({ branchId: req.branchId });
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  // New zones are matched last
+  const lastSortOrder = settings.deliveryZones.reduce((max, zone) => Math.max(max, zone.sortOrder || 0), -1);
+  settings.deliveryZones.push({ ...pickDeliveryZone(req.body), sortOrder: lastSortOrder + 1 });
   await settings.save();
 
-  res.json({
+  res.status(201).json({
     success: true,
-    message: `Delivery service ${req.body.isEnabled ? 'enabled' : 'disabled'}`,
-    deliverySettings: settings.deliverySettings
+    message: 'Delivery zone added successfully',
+    deliveryZones: sortedZones(settings)
   });
 }));
 
-// @desc    Update delivery settings
-// @route   PATCH /api/v1/settings/delivery
+// @desc    Reorder delivery zones (first match wins)
+// @route   PATCH /api/v1/settings/delivery-zones/reorder
 // @access  Private (Admin/Manager only)
-router.patch('/delivery', [
+router.patch('/delivery-zones/reorder', [
   auth,
   attachBranchToRequest,
   resolveBranchContext,
   authorize('admin', 'manager'),
-  body('isDeliveryEnabled').optional().isBoolean(),
-  body('defaultDeliveryFee').optional().isFloat({ min: 0 }),
-  body('freeDeliveryThreshold').optional().isFloat({ min: 0 }),
-  body('deliveryRadius').optional().isFloat({ min: 1 }),
-  body('estimatedDeliveryTime').optional().isInt({ min: 10 }),
-  body('disabledMessage').optional().trim().isLength({ max: 200 })
+  body('zoneIds').isArray({ min: 1 }).withMessage('zoneIds must be a non-empty array'),
+  body('zoneIds.*').isMongoId().withMessage('Invalid zone ID')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -296,7 +612,7 @@ router.patch('/delivery', [
   }
 
   const settings = await Setting.findOne({ branchId: req.branchId });
-  
+
   if (!settings) {
     return res.status(404).json({
       success: false,
@@ -304,21 +620,693 @@ router.patch('/delivery', [
     });
   }
 
-  // Update only provided fields
-  Object.keys(req.body).forEach(key => {
-    if (req.body[key] !== undefined) {
-      settings.deliverySettings[key] = req.body[key];
-    }
+  const { zoneIds } = req.body;
+  const knownIds = settings.deliveryZones.map(zone => zone._id.toString());
+  const sameSet = zoneIds.length === knownIds.length &&
+    new Set(zoneIds).size === zoneIds.length &&
+    zoneIds.every(id => knownIds.includes(id));
+
+  if (!sameSet) {
+    return res.status(400).json({
+      success: false,
+      message: 'zoneIds must list every delivery zone exactly once'
+    });
+  }
+
+  zoneIds.forEach((id, index) => {
+    settings.deliveryZones.id(id).sortOrder = index;
+  });
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Delivery zones reordered successfully',
+    deliveryZones: sortedZones(settings)
+  });
+}));
+
+// @desc    Update delivery zone
+// @route   PUT /api/v1/settings/delivery-zones/:zoneId
+// @access  Private (Admin/Manager only)
+router.put('/delivery-zones/:zoneId', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  param('zoneId').isMongoId().withMessage('Invalid zone ID'),
+  ...deliveryZoneValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+  const zone = settings?.deliveryZones.id(req.params.zoneId);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery zone not found'
+    });
+  }
+
+  zone.set(pickDeliveryZone(req.body));
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Delivery zone updated successfully',
+    deliveryZone: zone
   });
+}));
+
+// @desc    Enable / disable delivery zone
+// @route   PATCH /api/v1/settings/delivery-zones/:zoneId/toggle
+// @access  Private (Admin/Manager only)
+router.patch('/delivery-zones/:zoneId/toggle', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  param('zoneId').isMongoId().withMessage('Invalid zone ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+  const zone = settings?.deliveryZones.id(req.params.zoneId);
 
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery zone not found'
+    });
+  }
+
+  zone.isActive = req.body.isActive !== undefined ? req.body.isActive : !zone.isActive;
   await settings.save();
 
   res.json({
     success: true,
-    message: 'Delivery settings updated successfully',
-    deliverySettings: settings.deliverySettings
+    message: `Delivery zone ${zone.isActive ? 'enabled' : 'disabled'}`,
+    deliveryZone: zone
   });
 }));
+
+// @desc    Delete delivery zone
+// @route   DELETE /api/v1/settings/delivery-zones/:zoneId
+// @access  Private (Admin/Manager only)
+router.delete('/delivery-zones/:zoneId', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  param('zoneId').isMongoId().withMessage('Invalid zone ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+  const zone = settings?.deliveryZones.id(req.params.zoneId);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery zone not found'
+    });
+  }
+
+  zone.deleteOne();
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Delivery zone deleted successfully',
+    deliveryZones: sortedZones(settings)
+  });
+}));
+
+// @desc    Toggle maintenance mode
+// @route   PATCH /api/v1/settings/maintenance
+// @access  Private (Admin only)
+router.patch('/maintenance', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin'),
+  body('isEnabled').isBoolean().withMessage('isEnabled must be boolean'),
+  body('message').optional().trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOneAndUpdate(
+    { branchId: req.branchId },
+    { 
+      'maintenanceMode.isEnabled': req.body.isEnabled,
+      ...(req.body.message && { 'maintenanceMode.message': req.body.message })
+    },
+    { new: true, runValidators: true }
+  );
+
+  res.json({
+    success: true,
+    message: `Maintenance mode ${req.body.isEnabled ? 'enabled' : 'disabled'}`,
+    maintenanceMode: settings.maintenanceMode
+  });
+}));
+router.patch('/delivery/toggle', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  body('isEnabled').isBoolean().withMessage('isEnabled must be boolean'),
+  body('disabledMessage').optional().trim().isLength({ max: 200 })
+    .withMessage('Message cannot exceed 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+  
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  // Update delivery enabled status
+  settings.deliverySettings.isDeliveryEnabled = req.body.isEnabled;
+  
+  // Update disabled message if provided
+  if (req.body.disabledMessage) {
+    settings.deliverySettings.disabledMessage = req.body.disabledMessage;
+  }
+
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: `Delivery service ${req.body.isEnabled ? 'enabled' : 'disabled'}`,
+    deliverySettings: settings.deliverySettings
+  });
+}));
+
+// @desc    Update delivery settings
+// @route   PATCH /api/v1/settings/delivery
+// @access  Private (Admin/Manager only)
+router.patch('/delivery', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  body('isDeliveryEnabled').optional().isBoolean(),
+  body('defaultDeliveryFee').optional().isFloat({ min: 0 }),
+  body('freeDeliveryThreshold').optional().isFloat({ min: 0 }),
+  body('deliveryRadius').optional().isFloat({ min: 1 }),
+  body('estimatedDeliveryTime').optional().isInt({ min: 10 }),
+  body('disabledMessage').optional().trim().isLength({ max: 200 }),
+  body('distanceBands').optional().isArray().withMessage('distanceBands must be an array'),
+  body('distanceBands.*.fromKm').isFloat({ min: 0 }).withMessage('Band start must be a non-negative number'),
+  body('distanceBands.*.toKm').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Band end must be a positive number'),
+  body('distanceBands.*.fee').isFloat({ min: 0 }).withMessage('Band fee must be non-negative')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Bands must not overlap, otherwise a distance would have two fees
+  if (req.body.distanceBands) {
+    const bands = [...req.body.distanceBands].sort((a, b) => a.fromKm - b.fromKm);
+    const overlapping = bands.some((band, index) => {
+      const next = bands[index + 1];
+      if (!next) return false;
+      return band.toKm === undefined || band.toKm === null || band.toKm > next.fromKm;
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: 'Distance bands must not overlap'
+      });
+    }
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+  
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  // Update only provided fields
+  Object.keys(req.body).forEach(key => {
+    if (req.body[key] !== undefined) {
+      settings.deliverySettings[key] = req.body[key];
+    }
+  });
+
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Delivery settings updated successfully',
+    deliverySettings: settings.deliverySettings
+  });
+}));
+// @desc    Update thermal printing settings
+// @route   PATCH /api/v1/settings/printing
+// @access  Private (Admin/Manager only)
+router.patch('/printing', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager'),
+  body('autoPrintOnConfirm').optional().isBoolean(),
+  body('printReceiptOnConfirm').optional().isBoolean(),
+  body('kitchenCopies').optional().isInt({ min: 0, max: 5 }),
+  body('receiptCopies').optional().isInt({ min: 0, max: 5 }),
+  body('paperWidth').optional().isIn([32, 42, 48]).withMessage('Paper width must be 32, 42 or 48 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  ['autoPrintOnConfirm', 'printReceiptOnConfirm', 'kitchenCopies', 'receiptCopies', 'paperWidth'].forEach(key => {
+    if (req.body[key] !== undefined) {
+      settings.printSettings[key] = req.body[key];
+    }
+  });
+
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Printing settings updated successfully',
+    printSettings: settings.printSettings
+  });
+}));
+
+const TAX_CLASS_PATTERN = /^[a-z0-9_-]{0,40}$/;
+
+// @desc    Get tax settings and the tax classes in use
+// @route   GET /api/v1/settings/taxes
+// @access  Private (Admin/Manager only)
+router.get('/taxes', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin', 'manager')
+], asyncHandler(async (req, res) => {
+  const settings = await Setting.findOne({ branchId: req.branchId }).select('taxSettings defaultTaxClass');
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    taxSettings: settings.taxSettings,
+    defaultTaxClass: settings.defaultTaxClass,
+    taxClasses: [...new Set(settings.taxSettings.map(entry => entry.taxClass).filter(Boolean))]
+  });
+}));
+
+// @desc    Replace tax settings (rates per tax class, inclusive or exclusive)
+// @route   PUT /api/v1/settings/taxes
+// @access  Private (Admin only)
+router.put('/taxes', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin'),
+  body('taxSettings').isArray({ max: 20 }).withMessage('taxSettings must be an array'),
+  body('taxSettings.*.taxName').optional().trim().isLength({ min: 1, max: 50 }),
+  body('taxSettings.*.taxRate').isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100').toFloat(),
+  body('taxSettings.*.taxType').optional().isIn(['percentage', 'fixed']).withMessage('taxType must be percentage or fixed'),
+  body('taxSettings.*.isInclusive').optional().isBoolean().toBoolean(),
+  body('taxSettings.*.isActive').optional().isBoolean().toBoolean(),
+  body('taxSettings.*.taxClass').optional().trim().toLowerCase().matches(TAX_CLASS_PATTERN)
+    .withMessage('Tax class may only contain letters, digits, - and _ (max 40)'),
+  body('defaultTaxClass').optional().trim().toLowerCase().matches(TAX_CLASS_PATTERN)
+    .withMessage('Tax class may only contain letters, digits, - and _ (max 40)')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const taxSettings = req.body.taxSettings.map(({ taxName, taxRate, taxType, isInclusive, isActive, taxClass }) =>
+    ({ taxName, taxRate, taxType, isInclusive, isActive, taxClass }));
+
+  const defaultTaxClass = req.body.defaultTaxClass;
+  const taxClasses = new Set(taxSettings.map(entry => entry.taxClass).filter(Boolean));
+  if (defaultTaxClass && !taxClasses.has(defaultTaxClass)) {
+    return res.status(400).json({
+      success: false,
+      code: 'UNKNOWN_TAX_CLASS',
+      message: `Default tax class "${defaultTaxClass}" has no tax settings`
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  settings.taxSettings = taxSettings;
+  if (defaultTaxClass !== undefined) settings.defaultTaxClass = defaultTaxClass;
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Tax settings updated successfully',
+    taxSettings: settings.taxSettings,
+    defaultTaxClass: settings.defaultTaxClass
+  });
+}));
+
+// @desc    Update the legal data printed on invoices
+// @route   PATCH /api/v1/settings/legal
+// @access  Private (Admin only)
+router.patch('/legal', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin'),
+  body('legalName').optional().trim().isLength({ max: 150 }),
+  body('taxId').optional().trim().isLength({ max: 20 }).withMessage('Tax ID cannot exceed 20 characters'),
+  body('invoicePrefix').optional().trim().matches(/^[A-Za-z0-9]{0,10}$/).withMessage('Invoice prefix may only contain letters and digits (max 10)'),
+  body('registryDetails').optional().trim().isLength({ max: 300 }),
+  body('invoiceFooter').optional().trim().isLength({ max: 500 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId });
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  ['legalName', 'taxId', 'invoicePrefix', 'registryDetails', 'invoiceFooter'].forEach(key => {
+    if (req.body[key] !== undefined) {
+      settings.legalInfo[key] = req.body[key];
+    }
+  });
+
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Legal settings updated successfully',
+    legalInfo: settings.legalInfo
+  });
+}));
+
+// @desc    Which secrets are stored (never their values) and who changed them
+// @route   GET /api/v1/settings/secrets
+// @access  Private (Admin only)
+router.get('/secrets', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin')
+], asyncHandler(async (req, res) => {
+  const settings = await Setting.findOne({ branchId: req.branchId }).select(Setting.SECRET_SELECT);
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    secrets: describeSecrets(settings)
+  });
+}));
+
+// @desc    Set or clear the secrets of a payment gateway (adds the gateway, inactive, if missing)
+// @route   PUT /api/v1/settings/secrets/payment-gateways/:provider
+// @access  Private (Admin only)
+router.put('/secrets/payment-gateways/:provider', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin'),
+  requireEncryptionKey,
+  param('provider').isIn(SUPPORTED_PROVIDERS).withMessage(`provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`),
+  secretField('secretKey'),
+  secretField('webhookSecret')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId }).select(Setting.SECRET_SELECT);
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  let gateway = settings.paymentGateways.find(entry => entry.provider === req.params.provider);
+  if (!gateway) {
+    settings.paymentGateways.push({ provider: req.params.provider, isActive: false });
+    gateway = settings.paymentGateways[settings.paymentGateways.length - 1];
+  }
+
+  const updated = applySecrets(settings, gateway, ['secretKey', 'webhookSecret'], {
+    pathPrefix: 'paymentGateways',
+    provider: gateway.provider,
+    body: req.body,
+    changedBy: { user: req.user._id || req.user.id, role: req.user.role }
+  });
+
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: updated.length ? 'Payment gateway secrets updated' : 'No secrets changed',
+    updated,
+    secrets: describeSecrets(settings)
+  });
+}));
+
+// @desc    Set or clear the SMTP password
+// @route   PUT /api/v1/settings/secrets/email
+// @access  Private (Admin only)
+router.put('/secrets/email', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin'),
+  requireEncryptionKey,
+  secretField('smtpPassword')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId }).select(Setting.SECRET_SELECT);
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  if (!settings.emailSettings) settings.emailSettings = {};
+  const updated = applySecrets(settings, settings.emailSettings, ['smtpPassword'], {
+    pathPrefix: 'emailSettings',
+    body: req.body,
+    changedBy: { user: req.user._id || req.user.id, role: req.user.role }
+  });
+
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: updated.length ? 'Email secrets updated' : 'No secrets changed',
+    updated,
+    secrets: describeSecrets(settings)
+  });
+}));
+
+// @desc    Set or clear the SMS provider credentials
+// @route   PUT /api/v1/settings/secrets/sms
+// @access  Private (Admin only)
+router.put('/secrets/sms', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin'),
+  requireEncryptionKey,
+  secretField('apiKey'),
+  secretField('apiSecret')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Setting.findOne({ branchId: req.branchId }).select(Setting.SECRET_SELECT);
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  if (!settings.smsSettings) settings.smsSettings = {};
+  const updated = applySecrets(settings, settings.smsSettings, ['apiKey', 'apiSecret'], {
+    pathPrefix: 'smsSettings',
+    body: req.body,
+    changedBy: { user: req.user._id || req.user.id, role: req.user.role }
+  });
+
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: updated.length ? 'SMS secrets updated' : 'No secrets changed',
+    updated,
+    secrets: describeSecrets(settings)
+  });
+}));
+
+// @desc    Re-encrypt the branch's secrets with the active key (after a key rotation)
+// @route   POST /api/v1/settings/secrets/rotate
+// @access  Private (Admin only)
+router.post('/secrets/rotate', [
+  auth,
+  attachBranchToRequest,
+  resolveBranchContext,
+  authorize('admin'),
+  requireEncryptionKey
+], asyncHandler(async (req, res) => {
+  const settings = await Setting.findOne({ branchId: req.branchId }).select(Setting.SECRET_SELECT);
+
+  if (!settings) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settings not found'
+    });
+  }
+
+  let rotated;
+  try {
+    rotated = settings.reencryptSecrets({ user: req.user._id || req.user.id, role: req.user.role });
+  } catch (error) {
+    if (typeof error.code !== 'string') throw error;
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  if (rotated.length) await settings.save();
+
+  res.json({
+    success: true,
+    message: `${rotated.length} secret(s) re-encrypted`,
+    rotated,
+    secrets: describeSecrets(settings)
+  });
+}));
+
 // @desc    Toggle first-order mobile discount on/off
 // @route   PATCH /api/v1/settings/first-order-discount/toggle
 // @access  Private (Admin/Manager only)
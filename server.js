@@ -31,9 +31,25 @@ const contactRoutes = require('./routes/contact');
 const imageProxyRoutes = require('./routes/imageProxyRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const branchRoutes = require('./routes/branchRoutes');
+const driverRoutes = require('./routes/driverRoutes');
+const kitchenRoutes = require('./routes/kitchenRoutes');
+
+// Import scheduled jobs
+const { startJobs, stopJobs } = require('./jobs');
+const { startAutoPrint } = require('./utils/printQueue');
+const { startInvoicing } = require('./utils/invoiceService');
+const printRoutes = require('./routes/printRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
 
 
 const app = express();
+
+// Unsubscribe automatic ticket printing and invoicing on shutdown
+let stopAutoPrint = () => {};
+let stopInvoicing = () => {};
 const fetch = require('node-fetch');
 
 app.set('trust proxy', 1);
@@ -75,9 +91,32 @@ app.use('/api/', limiter);
 app.use('/api/proxy', imageProxyRoutes);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are verified against the exact bytes received, so keep them
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Data sanitization against NoSQL injection: keys starting with $ or holding a
+// dot are dropped. The package's middleware reassigns req.query, which Express 5
+// only exposes through a getter, so its sanitize() is applied here and the
+// sanitized query is pinned on the request.
+app.use((req, res, next) => {
+  if (req.body) mongoSanitize.sanitize(req.body);
+  Object.defineProperty(req, 'query', {
+    value: mongoSanitize.sanitize(req.query),
+    writable: true,
+    configurable: true,
+    enumerable: true
+  });
+  next();
+});
+
 // Data sanitization against XSS
 app.use((req, res, next) => {
   if (req.body) {
@@ -166,6 +205,13 @@ app.use('/api/v1/banners', addCacheHeaders, bannerRoutes);
 app.use('/api/v1/settings', addCacheHeaders, setting);
 app.use('/api/v1/offer', addCacheHeaders, offers);
 app.use('/api/v1/branches', addCacheHeaders, branchRoutes);
+app.use('/api/v1/drivers', driverRoutes);
+app.use('/api/v1/kitchen', kitchenRoutes);
+app.use('/api/v1/print', printRoutes);
+app.use('/api/v1/invoices', invoiceRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/refunds', refundRoutes);
+app.use('/api/v1/inventory', inventoryRoutes);
 
 // Image proxy endpoint with caching
 const imageCache = new Map();
@@ -239,6 +285,9 @@ const connectDB = async () => {
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
     await setupIndexes();
+    startJobs();
+    stopAutoPrint = startAutoPrint();
+    stopInvoicing = startInvoicing();
 
   } catch (error) {
     console.error('Database connection failed->', error.message);
@@ -289,6 +338,33 @@ const setupIndexes = async () => {
     await db.collection('orders').createIndex({ createdAt: -1 });
     await db.collection('orders').createIndex({ branchId: 1 });
 
+    // Offer redemptions: unique indexes enforce per-user and per-device limits
+    await db.collection('offerredemptions').createIndex(
+      { offerId: 1, userId: 1, userSlot: 1 },
+      { unique: true, partialFilterExpression: { userSlot: { $exists: true }, status: 'active' } }
+    );
+    await db.collection('offerredemptions').createIndex(
+      { offerId: 1, claimedDeviceId: 1 },
+      { unique: true, partialFilterExpression: { claimedDeviceId: { $exists: true }, status: 'active' } }
+    );
+
+    // Print queue: agents poll per branch; orders auto-print once per ticket kind
+    await db.collection('printjobs').createIndex({ branchId: 1, status: 1, createdAt: 1 });
+    await db.collection('printjobs').createIndex(
+      { orderId: 1, kind: 1 },
+      { unique: true, partialFilterExpression: { source: 'auto' } }
+    );
+
+    // Invoices: gapless numbering per branch, series and fiscal year; one simplified invoice per order
+    await db.collection('invoices').createIndex(
+      { branchId: 1, series: 1, fiscalYear: 1, sequence: 1 },
+      { unique: true }
+    );
+    await db.collection('invoices').createIndex(
+      { orderId: 1 },
+      { unique: true, name: 'orderId_simplified_unique', partialFilterExpression: { type: 'simplified' } }
+    );
+
     console.log('Database indexes created successfully (with multilingual support)');
   } catch (error) {
     console.error('Error creating indexes:', error.message);
@@ -297,6 +373,9 @@ const setupIndexes = async () => {
 
 function gracefulShutdown(signal) {
   console.log(`Received ${signal}. Shutting down gracefully...`);
+  stopJobs();
+  stopAutoPrint();
+  stopInvoicing();
 
   server.close(() => {
     console.log('HTTP server closed.');
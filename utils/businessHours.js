@@ -0,0 +1,288 @@
+// Branch opening-hours engine and order scheduling rules.
+// Opening hours are stored as wall-clock "HH:MM" strings in the branch's
+// timezone. Each local day resolves to a list of intervals, taken from a
+// date-specific override (holiday, closure, special event) when one exists and
+// from the weekly schedule otherwise. Intervals that close at or before they
+// open run past midnight (19:00-02:00). Those wall-clock intervals are turned
+// into real instants in the branch timezone, so DST changes and the server's
+// own clock never affect the result.
+
+const DEFAULT_TIMEZONE = 'Europe/Madrid';
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How far ahead next opening / closing times are searched
+const LOOKAHEAD_DAYS = 14;
+
+/**
+ * Resolve the timezone a branch's hours are expressed in
+ * @param {object} [branchDoc] - Branch document
+ * @param {object} [settings] - Branch Setting document
+ * @returns {string} IANA timezone name
+ */
+const resolveTimezone = (branchDoc, settings) =>
+  branchDoc?.timezone || settings?.timezone || DEFAULT_TIMEZONE;
+
+const getZonedParts = (date, timezone) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value])
+);
+
+/**
+ * Wall-clock date, day and time of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {object} { date: 'YYYY-MM-DD', day: 'monday'..., time: 'HH:MM', minutes: minutes since midnight }
+ */
+const getLocalTimeParts = (date, timezone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(date, timezone);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+// Offset of the timezone from UTC at an instant, in milliseconds
+const getTimezoneOffset = (date, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight (may exceed a day)
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date}
+ */
+const zonedTimeToDate = (dateKey, minutes, timezone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE;
+
+  // Correct with the offset at the first guess, then once more in case that
+  // guess fell on the other side of a DST change
+  let instant = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+  instant = wallClock - getTimezoneOffset(new Date(instant), timezone);
+  return new Date(instant);
+};
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Wall-clock intervals in minutes after midnight; overnight intervals end past 1440
+const toMinuteIntervals = (intervals) => (intervals || [])
+  .filter(interval => interval && interval.openTime && interval.closeTime)
+  .map(interval => {
+    const open = toMinutes(interval.openTime);
+    let close = toMinutes(interval.closeTime);
+    if (close <= open) close += 24 * 60;
+    return { open, close };
+  });
+
+const hasOpeningHours = (settings) =>
+  Boolean(settings?.operatingHours?.length || settings?.hoursOverrides?.length);
+
+/**
+ * Resolve the opening intervals of one local date
+ * @param {object} settings - Branch Setting document
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @param {string} day - Weekday name of that date
+ * @returns {object} { intervals: [{ open, close }] in minutes, override }
+ */
+const getDaySchedule = (settings, dateKey, day) => {
+  const override = (settings?.hoursOverrides || []).find(entry => entry.date === dateKey);
+  if (override) {
+    return {
+      intervals: override.isClosed ? [] : toMinuteIntervals(override.intervals),
+      override
+    };
+  }
+
+  const weekly = (settings?.operatingHours || []).find(entry => entry.day === day);
+  if (!weekly || !weekly.isOpen) return { intervals: [], override: null };
+
+  // Split shifts use `intervals`; single-shift days keep using openTime/closeTime
+  const intervals = weekly.intervals && weekly.intervals.length > 0
+    ? weekly.intervals
+    : [{ openTime: weekly.openTime, closeTime: weekly.closeTime }];
+
+  return { intervals: toMinuteIntervals(intervals), override: null };
+};
+
+/**
+ * Opening periods as real instants, merged and sorted
+ * @param {object} settings - Branch Setting document
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} from - Start of the window
+ * @param {number} days - Length of the window in days
+ * @returns {Array} [{ start: Date, end: Date }]
+ */
+const getOpenPeriods = (settings, timezone, from, days) => {
+  const startKey = getLocalTimeParts(from, timezone).date;
+  const [year, month, day] = startKey.split('-').map(Number);
+  const periods = [];
+
+  // Start a day early so an overnight interval from yesterday is included
+  for (let offset = -1; offset <= days; offset++) {
+    const localDay = new Date(Date.UTC(year, month - 1, day + offset));
+    const dateKey = localDay.toISOString().slice(0, 10);
+    const { intervals } = getDaySchedule(settings, dateKey, DAYS[localDay.getUTCDay()]);
+
+    intervals.forEach(({ open, close }) => {
+      periods.push({
+        start: zonedTimeToDate(dateKey, open, timezone),
+        end: zonedTimeToDate(dateKey, close, timezone)
+      });
+    });
+  }
+
+  periods.sort((a, b) => a.start - b.start);
+
+  // Merge touching or overlapping periods (e.g. 12:00-16:00 and 16:00-23:00)
+  return periods.reduce((merged, period) => {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      if (period.end > last.end) last.end = period.end;
+    } else {
+      merged.push({ ...period });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Check whether the branch is open at a given instant
+ * @param {object} settings - Branch Setting document
+ * @param {Date} date - Instant to check
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+const isOpenAt = (settings, date = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  // No hours configured means no restriction
+  if (!hasOpeningHours(settings)) return true;
+
+  return getOpenPeriods(settings, timezone, date, 1)
+    .some(period => period.start <= date && date < period.end);
+};
+
+/**
+ * Open/closed state and the next time it changes
+ * @param {object} settings - Branch Setting document
+ * @param {Date} [from] - Instant to evaluate (defaults to now)
+ * @param {string} timezone - IANA timezone name
+ * @returns {object} { isOpen, nextChange: { type: 'open'|'close', at } | null, nextOpeningTime, closesAt }
+ */
+const getOpeningStatus = (settings, from = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  if (!hasOpeningHours(settings)) {
+    return { isOpen: true, nextChange: null, nextOpeningTime: null, closesAt: null };
+  }
+
+  const periods = getOpenPeriods(settings, timezone, from, LOOKAHEAD_DAYS);
+  const current = periods.find(period => period.start <= from && from < period.end);
+  const next = periods.find(period => period.start > from);
+
+  if (current) {
+    return {
+      isOpen: true,
+      nextChange: { type: 'close', at: current.end },
+      // Next session after the current one closes
+      nextOpeningTime: next ? next.start : null,
+      closesAt: current.end
+    };
+  }
+
+  return {
+    isOpen: false,
+    nextChange: next ? { type: 'open', at: next.start } : null,
+    nextOpeningTime: next ? next.start : null,
+    closesAt: null
+  };
+};
+
+/**
+ * Next time the branch opens after an instant
+ * (when open, the start of the session after the current one)
+ * @param {object} settings - Branch Setting document
+ * @param {Date} [from] - Instant to search from (defaults to now)
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date|null} Null when no hours are configured or nothing opens within the lookahead
+ */
+const nextOpeningTime = (settings, from = new Date(), timezone = DEFAULT_TIMEZONE) =>
+  getOpeningStatus(settings, from, timezone).nextOpeningTime;
+
+/**
+ * Validate a requested scheduled-order slot against the branch settings
+ * @param {object} params
+ * @param {Date} params.scheduledFor - Requested delivery / pickup time
+ * @param {object} [params.settings] - Branch Setting document
+ * @param {string} params.timezone - IANA timezone of the branch
+ * @param {number} params.leadTimeMinutes - Minimum minutes between now and the slot
+ * @param {Date} [params.now] - Current time (defaults to now)
+ * @returns {object} { valid: true } or { valid: false, code, reason }
+ */
+const validateScheduleSlot = ({ scheduledFor, settings, timezone, leadTimeMinutes, now = new Date() }) => {
+  const orderSettings = settings?.orderSettings || {};
+
+  if (orderSettings.allowScheduledOrders === false) {
+    return { valid: false, code: 'SCHEDULING_DISABLED', reason: 'This branch does not accept scheduled orders' };
+  }
+
+  const earliest = new Date(now.getTime() + leadTimeMinutes * MINUTE);
+  if (scheduledFor < earliest) {
+    return {
+      valid: false,
+      code: 'SCHEDULE_TOO_SOON',
+      reason: `Scheduled time must be at least ${leadTimeMinutes} minutes from now`
+    };
+  }
+
+  const maxScheduleDays = orderSettings.maxScheduleDays || 7;
+  const latest = new Date(now.getTime() + maxScheduleDays * DAY);
+  if (scheduledFor > latest) {
+    return {
+      valid: false,
+      code: 'SCHEDULE_TOO_FAR',
+      reason: `Orders can be scheduled at most ${maxScheduleDays} days ahead`
+    };
+  }
+
+  if (!isOpenAt(settings, scheduledFor, timezone)) {
+    return {
+      valid: false,
+      code: 'SCHEDULE_OUTSIDE_HOURS',
+      reason: 'Scheduled time is outside the branch opening hours'
+    };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  getLocalTimeParts,
+  zonedTimeToDate,
+  getDaySchedule,
+  isOpenAt,
+  getOpeningStatus,
+  nextOpeningTime,
+  validateScheduleSlot
+};
@@ -0,0 +1,113 @@
+// Checkout guard: branch-level rules an order must pass before it is accepted.
+// Shared by order creation, the quote endpoint and the public settings so the
+// apps can show the same reason the server would reject an order with.
+const { getOpeningStatus } = require('./businessHours');
+const { roundMoney } = require('./pricingService');
+
+/**
+ * Evaluate the checkout rules for a branch
+ * @param {object} params
+ * @param {object} [params.settings] - Branch Setting document (no document means no restrictions)
+ * @param {string} params.timezone - IANA timezone of the branch
+ * @param {string} [params.deliveryType] - Fulfilment type; skips the fulfilment check when omitted
+ * @param {number} [params.subtotal] - Order subtotal; skips the amount checks when omitted
+ * @param {Date} [params.scheduledFor] - Scheduled slot; the slot itself is checked by validateScheduleSlot
+ * @param {object} [params.deliveryArea] - Result of resolveDeliveryArea for delivery orders
+ * @param {Date} [params.now] - Current time (defaults to now)
+ * @returns {object} { allowed, errors: [{ code, message }] }
+ */
+const evaluateCheckout = ({ settings, timezone, deliveryType, subtotal, scheduledFor, deliveryArea, now = new Date() }) => {
+  const errors = [];
+  if (!settings) return { allowed: true, errors };
+
+  if (settings.maintenanceMode?.isEnabled) {
+    errors.push({
+      code: 'BRANCH_IN_MAINTENANCE',
+      message: settings.maintenanceMode.message || 'We are currently under maintenance. Please check back later.'
+    });
+  }
+
+  // Scheduled orders may be placed while closed as long as the slot is in opening hours
+  if (!scheduledFor) {
+    const opening = getOpeningStatus(settings, now, timezone);
+    if (!opening.isOpen) {
+      errors.push({
+        code: 'BRANCH_CLOSED',
+        message: 'The restaurant is currently closed',
+        nextOpeningTime: opening.nextOpeningTime
+      });
+    }
+  }
+
+  if (deliveryType === 'delivery' && settings.deliverySettings?.isDeliveryEnabled === false) {
+    errors.push({ code: 'DELIVERY_DISABLED', message: 'Delivery is currently unavailable' });
+  }
+
+  if (deliveryType === 'pickup' && settings.pickupSettings?.isPickupEnabled === false) {
+    errors.push({ code: 'PICKUP_DISABLED', message: 'Pickup is currently unavailable' });
+  }
+
+  if (subtotal !== undefined) {
+    const { minOrderAmount, maxOrderAmount } = settings.orderSettings || {};
+
+    if (minOrderAmount > 0 && roundMoney(subtotal) < minOrderAmount) {
+      errors.push({
+        code: 'ORDER_BELOW_MINIMUM',
+        message: `Minimum order amount is ${minOrderAmount.toFixed(2)}`,
+        minOrderAmount,
+        shortfall: roundMoney(minOrderAmount - subtotal)
+      });
+    }
+
+    if (maxOrderAmount > 0 && roundMoney(subtotal) > maxOrderAmount) {
+      errors.push({
+        code: 'ORDER_ABOVE_MAXIMUM',
+        message: `Maximum order amount is ${maxOrderAmount.toFixed(2)}`,
+        maxOrderAmount
+      });
+    }
+
+    // Delivery zones can ask for a higher minimum than the branch
+    const zoneMinimum = deliveryType === 'delivery' ? deliveryArea?.minOrderAmount : 0;
+    if (zoneMinimum > 0 && roundMoney(subtotal) < zoneMinimum) {
+      errors.push({
+        code: 'ZONE_MIN_ORDER_NOT_MET',
+        message: `Minimum order amount for ${deliveryArea.zone?.name || 'this area'} is ${zoneMinimum.toFixed(2)}`,
+        minOrderAmount: zoneMinimum,
+        shortfall: roundMoney(zoneMinimum - subtotal)
+      });
+    }
+  }
+
+  return { allowed: errors.length === 0, errors };
+};
+
+/**
+ * Summarise what customers can order right now, for the public settings
+ * @param {object} settings - Branch Setting document
+ * @param {string} timezone - IANA timezone of the branch
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {object} Ordering availability per fulfilment type plus the blocking reasons
+ */
+const getCheckoutAvailability = (settings, timezone, now = new Date()) => {
+  const general = evaluateCheckout({ settings, timezone, now });
+  const delivery = evaluateCheckout({ settings, timezone, deliveryType: 'delivery', now });
+  const pickup = evaluateCheckout({ settings, timezone, deliveryType: 'pickup', now });
+
+  return {
+    canOrder: general.allowed,
+    isOpen: !general.errors.some(error => error.code === 'BRANCH_CLOSED'),
+    isInMaintenance: Boolean(settings?.maintenanceMode?.isEnabled),
+    delivery: delivery.allowed,
+    pickup: pickup.allowed,
+    allowScheduledOrders: settings?.orderSettings?.allowScheduledOrders !== false,
+    minOrderAmount: settings?.orderSettings?.minOrderAmount || 0,
+    maxOrderAmount: settings?.orderSettings?.maxOrderAmount || null,
+    errors: general.errors
+  };
+};
+
+module.exports = {
+  evaluateCheckout,
+  getCheckoutAvailability
+};
@@ -0,0 +1,119 @@
+// Delivery area resolution.
+// Branches that configured delivery zones deliver only inside those polygons,
+// and the first matching active zone (in sortOrder) supplies the delivery fee,
+// minimum order and ETA. Branches without zones fall back to a straight-line
+// radius (deliverySettings.deliveryRadius) around the branch, priced by
+// calculateDeliveryFee from the distance bands. Addresses saved without
+// coordinates can only be checked against the radius, and only taken on trust.
+const { calculateDistance, getBranchCoordinates } = require('./locationUtils');
+
+const DEFAULT_DELIVERY_RADIUS = 10; // km, matches the Setting schema default
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {object} point - { lat, lng }
+ * @param {Array} polygon - Vertices [{ lat, lng }], first vertex not repeated at the end
+ * @returns {boolean}
+ */
+const isPointInPolygon = (point, polygon) => {
+  if (!polygon || polygon.length < 3) return false;
+
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Active zones in the order they are matched
+const getActiveZones = (settings) => (settings?.deliveryZones || [])
+  .filter(zone => zone.isActive !== false && zone.coordinates?.length >= 3)
+  .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+
+/**
+ * Work out whether and how a location can be delivered to
+ * @param {object} params
+ * @param {object} [params.settings] - Branch Setting document
+ * @param {object} [params.branchDoc] - Branch document (for its coordinates)
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @returns {object} { canDeliver, method: 'zone'|'radius', distance, maxDistance, zone,
+ *   deliveryFee (zones only), minOrderAmount, estimatedDeliveryTime }
+ */
+const resolveDeliveryArea = ({ settings, branchDoc, latitude, longitude }) => {
+  const shop = getBranchCoordinates(branchDoc, settings);
+  const distance = Number(calculateDistance(shop.lat, shop.lng, latitude, longitude).toFixed(1));
+  const zones = getActiveZones(settings);
+
+  if (zones.length > 0) {
+    const zone = zones.find(candidate => isPointInPolygon({ lat: latitude, lng: longitude }, candidate.coordinates));
+
+    if (!zone) {
+      return { canDeliver: false, method: 'zone', distance, maxDistance: null, zone: null };
+    }
+
+    return {
+      canDeliver: true,
+      method: 'zone',
+      distance,
+      maxDistance: null,
+      zone: { id: zone._id, name: zone.name },
+      deliveryFee: zone.deliveryFee,
+      minOrderAmount: zone.minOrderAmount || 0,
+      estimatedDeliveryTime: zone.estimatedDeliveryTime
+    };
+  }
+
+  const deliverySettings = settings?.deliverySettings || {};
+  const maxDistance = deliverySettings.deliveryRadius || DEFAULT_DELIVERY_RADIUS;
+
+  return {
+    canDeliver: distance <= maxDistance,
+    method: 'radius',
+    distance,
+    maxDistance,
+    zone: null,
+    minOrderAmount: 0,
+    estimatedDeliveryTime: deliverySettings.estimatedDeliveryTime
+  };
+};
+
+/**
+ * Delivery area for an address without coordinates. A radius branch takes it
+ * at its default delivery fee, as before delivery areas were checked; a branch
+ * that delivers to zones cannot place it, so null is returned.
+ * @param {object} [settings] - Branch Setting document
+ * @returns {object|null} Same shape as resolveDeliveryArea with `distance: null`
+ */
+const resolveUnlocatedDeliveryArea = (settings) => {
+  if (getActiveZones(settings).length > 0) return null;
+
+  const deliverySettings = settings?.deliverySettings || {};
+  return {
+    canDeliver: true,
+    method: 'radius',
+    distance: null,
+    maxDistance: deliverySettings.deliveryRadius || DEFAULT_DELIVERY_RADIUS,
+    zone: null,
+    minOrderAmount: 0,
+    estimatedDeliveryTime: deliverySettings.estimatedDeliveryTime
+  };
+};
+
+// Customer-facing reason for an address outside the delivery area
+const describeOutOfArea = (area) => (area.method === 'radius'
+  ? `Address is beyond our ${area.maxDistance}km delivery range`
+  : 'Address is outside our delivery area');
+
+module.exports = {
+  DEFAULT_DELIVERY_RADIUS,
+  isPointInPolygon,
+  getActiveZones,
+  resolveDeliveryArea,
+  resolveUnlocatedDeliveryArea,
+  describeOutOfArea
+};
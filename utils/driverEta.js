@@ -0,0 +1,74 @@
+// Live ETA for delivery orders, recalculated from the assigned driver's last
+// reported position. Distances are straight-line, so they are stretched by a
+// road factor and driven at an average urban speed.
+const { calculateDistance, getBranchCoordinates } = require('./locationUtils');
+
+const AVERAGE_DRIVER_SPEED_KMH = 25;
+const ROAD_FACTOR = 1.3;
+const STALE_LOCATION_MINUTES = 10; // positions older than this are flagged as stale
+
+const MINUTE = 60 * 1000;
+
+// Minutes to drive a straight-line distance
+const travelMinutes = (distanceKm) => (distanceKm * ROAD_FACTOR / AVERAGE_DRIVER_SPEED_KMH) * 60;
+
+const hasCoordinates = (point) => point && point.latitude != null && point.longitude != null;
+
+/**
+ * Estimate when the driver reaches the customer
+ * @param {object} params
+ * @param {object} params.order - Order document (deliveryAddress, driverLocation, status, timings)
+ * @param {object} [params.branchDoc] - Branch document (for its coordinates)
+ * @param {object} [params.settings] - Branch Setting document (coordinate fallback)
+ * @param {Date} [params.now] - Current time (defaults to now)
+ * @returns {object|null} { location, isStale, distanceKm, minutesRemaining, estimatedArrival },
+ *   or null when there is no driver position or customer coordinates
+ */
+const estimateDriverEta = ({ order, branchDoc, settings, now = new Date() }) => {
+  const location = order.driverLocation;
+  const destination = order.deliveryAddress;
+  if (order.deliveryType !== 'delivery' || !hasCoordinates(location) || !hasCoordinates(destination)) {
+    return null;
+  }
+
+  const toCustomer = calculateDistance(location.latitude, location.longitude, destination.latitude, destination.longitude);
+  let distanceKm = toCustomer;
+  let minutes = travelMinutes(toCustomer);
+
+  // Not picked up yet: the driver still has to reach the branch and wait for the food
+  if (!['out-for-delivery', 'delivered'].includes(order.status)) {
+    const shop = getBranchCoordinates(branchDoc, settings);
+    const toBranch = calculateDistance(location.latitude, location.longitude, shop.lat, shop.lng);
+    const branchToCustomer = calculateDistance(shop.lat, shop.lng, destination.latitude, destination.longitude);
+
+    const kitchenStart = order.releasedAt || order.createdAt || now;
+    const readyAt = ['ready', 'driverpickup'].includes(order.status)
+      ? now
+      : new Date(new Date(kitchenStart).getTime() + (order.preparationTime || 0) * MINUTE);
+    const waitForFood = Math.max(0, (readyAt - now) / MINUTE);
+
+    distanceKm = toBranch + branchToCustomer;
+    minutes = Math.max(travelMinutes(toBranch), waitForFood) + travelMinutes(branchToCustomer);
+  }
+
+  const minutesRemaining = order.status === 'delivered' ? 0 : Math.ceil(minutes);
+  const reportedAt = location.updatedAt ? new Date(location.updatedAt) : null;
+
+  return {
+    location: {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      heading: location.heading,
+      updatedAt: reportedAt
+    },
+    isStale: !reportedAt || now - reportedAt > STALE_LOCATION_MINUTES * MINUTE,
+    distanceKm: Number(distanceKm.toFixed(1)),
+    minutesRemaining,
+    estimatedArrival: new Date(now.getTime() + minutesRemaining * MINUTE)
+  };
+};
+
+module.exports = {
+  AVERAGE_DRIVER_SPEED_KMH,
+  estimateDriverEta
+};
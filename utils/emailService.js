@@ -440,7 +440,68 @@ ${process.env.APP_NAME || 'Saborly'}
   }
 };
 
+/**
+ * Send a low-stock alert to branch staff
+ * @param {string[]} recipients - Staff email addresses
+ * @param {string} branchName - Branch the items belong to
+ * @param {Array} items - [{ name, stockAfter, lowStockAlert, unit }] (unit for ingredients)
+ */
+const sendLowStockAlertEmail = async (recipients, branchName, items) => {
+  const transporter = createTransporter();
+
+  const rows = items.map(item => `
+            <tr>
+              <td style="padding: 8px 12px; border-bottom: 1px solid #eee;">${item.name}</td>
+              <td style="padding: 8px 12px; border-bottom: 1px solid #eee; text-align: right; color: ${item.stockAfter <= 0 ? '#c0392b' : '#e67e22'};">
+                ${item.stockAfter <= 0 ? 'Out of stock' : `${item.stockAfter}${item.unit ? ` ${item.unit}` : ''}`}
+              </td>
+              <td style="padding: 8px 12px; border-bottom: 1px solid #eee; text-align: right;">${item.lowStockAlert}</td>
+            </tr>`).join('');
+
+  const mailOptions = {
+    from: `"${process.env.APP_NAME || 'Saborly'}" <${process.env.FROM_EMAIL || process.env.SMTP_EMAIL}>`,
+    to: recipients.join(', '),
+    subject: `Low stock at ${branchName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Low stock</title>
+      </head>
+      <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #333; background-color: #f4f4f4; margin: 0; padding: 0;">
+        <div style="max-width: 600px; margin: 40px auto; background: white; border-radius: 8px; overflow: hidden;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 24px 20px; color: white;">
+            <h1 style="margin: 0; font-size: 22px;">📦 Low stock at ${branchName}</h1>
+          </div>
+          <div style="padding: 24px 30px;">
+            <p>These items and ingredients reached their low-stock threshold and need restocking:</p>
+            <table style="width: 100%; border-collapse: collapse;">
+              <tr>
+                <th style="padding: 8px 12px; text-align: left; border-bottom: 2px solid #ddd;">Item</th>
+                <th style="padding: 8px 12px; text-align: right; border-bottom: 2px solid #ddd;">In stock</th>
+                <th style="padding: 8px 12px; text-align: right; border-bottom: 2px solid #ddd;">Threshold</th>
+              </tr>${rows}
+            </table>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Low stock alert email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending low stock alert email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendOTPEmail,
-  sendPasswordResetOTPEmail
+  sendPasswordResetOTPEmail,
+  sendLowStockAlertEmail
 };
\ No newline at end of file
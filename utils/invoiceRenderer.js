@@ -0,0 +1,246 @@
+// HTML and PDF versions of an issued invoice.
+// Everything printed comes from the invoice itself (issuer snapshot, lines,
+// tax breakdown), so a document rendered years later matches the one handed
+// to the customer.
+const PDFDocument = require('pdfkit');
+
+const LABELS = {
+  en: {
+    simplified: 'Simplified invoice', rectifying: 'Rectifying invoice', number: 'Number', date: 'Date',
+    order: 'Order', taxId: 'Tax ID', rectifies: 'Rectifies invoice', reason: 'Reason', description: 'Description',
+    quantity: 'Qty', unitPrice: 'Price', amount: 'Amount', rate: 'Rate', base: 'Base', tax: 'Tax',
+    taxBase: 'Taxable base', taxTotal: 'Total tax', total: 'TOTAL', taxIncluded: 'Prices include taxes',
+    delivery: 'Delivery', discount: 'Discount', refund: 'Refund', fixed: 'Fixed'
+  },
+  es: {
+    simplified: 'Factura simplificada', rectifying: 'Factura rectificativa', number: 'Número', date: 'Fecha',
+    order: 'Pedido', taxId: 'NIF', rectifies: 'Rectifica la factura', reason: 'Motivo', description: 'Descripción',
+    quantity: 'Cant.', unitPrice: 'Precio', amount: 'Importe', rate: 'Tipo', base: 'Base', tax: 'Cuota',
+    taxBase: 'Base imponible', taxTotal: 'Total impuestos', total: 'TOTAL', taxIncluded: 'IVA incluido',
+    delivery: 'Envío', discount: 'Descuento', refund: 'Devolución', fixed: 'Fijo'
+  },
+  ca: {
+    simplified: 'Factura simplificada', rectifying: 'Factura rectificativa', number: 'Número', date: 'Data',
+    order: 'Comanda', taxId: 'NIF', rectifies: 'Rectifica la factura', reason: 'Motiu', description: 'Descripció',
+    quantity: 'Quant.', unitPrice: 'Preu', amount: 'Import', rate: 'Tipus', base: 'Base', tax: 'Quota',
+    taxBase: 'Base imposable', taxTotal: 'Total impostos', total: 'TOTAL', taxIncluded: 'IVA inclòs',
+    delivery: 'Enviament', discount: 'Descompte', refund: 'Devolució', fixed: 'Fix'
+  },
+  fr: {
+    simplified: 'Facture simplifiée', rectifying: 'Facture rectificative', number: 'Numéro', date: 'Date',
+    order: 'Commande', taxId: 'N° TVA', rectifies: 'Rectifie la facture', reason: 'Motif', description: 'Désignation',
+    quantity: 'Qté', unitPrice: 'Prix', amount: 'Montant', rate: 'Taux', base: 'Base', tax: 'TVA',
+    taxBase: 'Base imposable', taxTotal: 'Total taxes', total: 'TOTAL', taxIncluded: 'Prix TTC',
+    delivery: 'Livraison', discount: 'Remise', refund: 'Remboursement', fixed: 'Fixe'
+  }
+};
+
+/**
+ * Invoice labels of a language (English when not translated)
+ * @param {string} language
+ * @returns {object}
+ */
+const getInvoiceLabels = (language) => LABELS[language] || LABELS.en;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const createFormatters = (invoice) => {
+  const language = invoice.language || 'es';
+  const money = new Intl.NumberFormat(language, { style: 'currency', currency: invoice.currency || 'EUR' });
+  const date = new Intl.DateTimeFormat(language, {
+    timeZone: invoice.timezone || 'Europe/Madrid',
+    dateStyle: 'short',
+    timeStyle: 'short',
+    hourCycle: 'h23'
+  });
+  return {
+    money: (amount) => money.format(amount || 0),
+    date: (value) => date.format(new Date(value))
+  };
+};
+
+const rateLabel = (line, labels) => {
+  if (line.rate === null || line.rate === undefined) return line.name || labels.fixed;
+  return `${line.name ? `${line.name} ` : ''}${line.rate}%`;
+};
+
+// Header, issuer and reference lines shared by both formats
+const describeInvoice = (invoice) => {
+  const labels = getInvoiceLabels(invoice.language);
+  const format = createFormatters(invoice);
+  const issuer = invoice.issuer || {};
+
+  const issuerLines = [
+    issuer.legalName && issuer.legalName !== issuer.name ? issuer.legalName : null,
+    issuer.taxId ? `${labels.taxId}: ${issuer.taxId}` : null,
+    issuer.address,
+    [issuer.phone, issuer.email].filter(Boolean).join(' · ') || null
+  ].filter(Boolean);
+
+  const details = [
+    [labels.number, invoice.number],
+    [labels.date, format.date(invoice.issuedAt)],
+    invoice.orderNumber ? [labels.order, `#${invoice.orderNumber}`] : null,
+    invoice.rectifies?.number ? [labels.rectifies, invoice.rectifies.number] : null,
+    invoice.rectifies?.reason ? [labels.reason, invoice.rectifies.reason] : null
+  ].filter(Boolean);
+
+  return { labels, format, issuer, issuerLines, details, title: labels[invoice.type] || labels.simplified };
+};
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {object} invoice - Invoice document
+ * @returns {string}
+ */
+const renderInvoiceHtml = (invoice) => {
+  const { labels, format, issuer, issuerLines, details, title } = describeInvoice(invoice);
+
+  const lineRows = invoice.lines.map(line => `<tr>
+      <td>${escapeHtml(line.description)}</td>
+      <td class="num">${escapeHtml(line.quantity)}</td>
+      <td class="num">${escapeHtml(format.money(line.unitPrice))}</td>
+      <td class="num">${escapeHtml(format.money(line.total))}</td>
+    </tr>`).join('\n');
+
+  const taxRows = invoice.taxBreakdown.map(line => `<tr>
+      <td>${escapeHtml(rateLabel(line, labels))}</td>
+      <td class="num">${escapeHtml(format.money(line.base))}</td>
+      <td class="num">${escapeHtml(format.money(line.amount))}</td>
+    </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(invoice.language || 'es')}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} ${escapeHtml(invoice.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; max-width: 720px; margin: 24px auto; font-size: 13px; color: #222; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; }
+  .num { text-align: right; white-space: nowrap; }
+  .total td { font-weight: bold; font-size: 15px; border-bottom: none; }
+  .muted { color: #666; font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(issuer.name || issuer.legalName || '')}</h1>
+${issuerLines.map(line => `<div>${escapeHtml(line)}</div>`).join('\n')}
+<h2>${escapeHtml(title)}</h2>
+${details.map(([label, value]) => `<div><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</div>`).join('\n')}
+<table>
+  <thead><tr><th>${escapeHtml(labels.description)}</th><th class="num">${escapeHtml(labels.quantity)}</th><th class="num">${escapeHtml(labels.unitPrice)}</th><th class="num">${escapeHtml(labels.amount)}</th></tr></thead>
+  <tbody>
+    ${lineRows}
+  </tbody>
+</table>
+<table>
+  <thead><tr><th>${escapeHtml(labels.rate)}</th><th class="num">${escapeHtml(labels.base)}</th><th class="num">${escapeHtml(labels.tax)}</th></tr></thead>
+  <tbody>
+    ${taxRows}
+  </tbody>
+</table>
+<table>
+  <tr><td>${escapeHtml(labels.taxBase)}</td><td class="num">${escapeHtml(format.money(invoice.taxBase))}</td></tr>
+  <tr><td>${escapeHtml(labels.taxTotal)}</td><td class="num">${escapeHtml(format.money(invoice.taxTotal))}</td></tr>
+  <tr class="total"><td>${escapeHtml(labels.total)}</td><td class="num">${escapeHtml(format.money(invoice.total))}</td></tr>
+</table>
+<p class="muted">${escapeHtml(labels.taxIncluded)}</p>
+${issuer.footer ? `<p>${escapeHtml(issuer.footer)}</p>` : ''}
+${issuer.registryDetails ? `<p class="muted">${escapeHtml(issuer.registryDetails)}</p>` : ''}
+</body>
+</html>`;
+};
+
+/**
+ * Render an invoice as an A4 PDF
+ * @param {object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const { labels, format, issuer, issuerLines, details, title } = describeInvoice(invoice);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${title} ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Columns as [x offset, width, align]
+  const table = (columns, rows, { bold = false } = {}) => {
+    rows.forEach(cells => {
+      const y = doc.y;
+      let height = 0;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      cells.forEach((cell, index) => {
+        const [offset, columnWidth, align] = columns[index];
+        height = Math.max(height, doc.heightOfString(String(cell), { width: columnWidth }));
+        doc.text(String(cell), left + offset, y, { width: columnWidth, align });
+      });
+      doc.x = left;
+      doc.y = y + height + 4;
+    });
+  };
+
+  const rule = () => {
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#cccccc').stroke();
+    doc.moveDown(0.3);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text(issuer.name || issuer.legalName || '');
+  doc.font('Helvetica').fontSize(10);
+  issuerLines.forEach(line => doc.text(line));
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(13).text(title);
+  doc.moveDown(0.3);
+  table([[0, 140, 'left'], [140, width - 140, 'left']], details.map(([label, value]) => [`${label}:`, value]));
+  doc.moveDown();
+
+  const lineColumns = [[0, width - 230, 'left'], [width - 230, 50, 'right'], [width - 180, 90, 'right'], [width - 90, 90, 'right']];
+  table(lineColumns, [[labels.description, labels.quantity, labels.unitPrice, labels.amount]], { bold: true });
+  rule();
+  table(lineColumns, invoice.lines.map(line => [
+    line.description, line.quantity, format.money(line.unitPrice), format.money(line.total)
+  ]));
+  rule();
+  doc.moveDown();
+
+  const taxColumns = [[0, width - 180, 'left'], [width - 180, 90, 'right'], [width - 90, 90, 'right']];
+  table(taxColumns, [[labels.rate, labels.base, labels.tax]], { bold: true });
+  rule();
+  table(taxColumns, invoice.taxBreakdown.map(line => [
+    rateLabel(line, labels), format.money(line.base), format.money(line.amount)
+  ]));
+  rule();
+  doc.moveDown();
+
+  const totalColumns = [[0, width - 120, 'right'], [width - 120, 120, 'right']];
+  table(totalColumns, [
+    [labels.taxBase, format.money(invoice.taxBase)],
+    [labels.taxTotal, format.money(invoice.taxTotal)]
+  ]);
+  table(totalColumns, [[labels.total, format.money(invoice.total)]], { bold: true });
+  doc.moveDown();
+
+  doc.font('Helvetica').fontSize(9).fillColor('#666666').text(labels.taxIncluded);
+  if (issuer.footer) doc.fillColor('#222222').text(issuer.footer);
+  if (issuer.registryDetails) doc.fillColor('#666666').text(issuer.registryDetails);
+
+  doc.end();
+});
+
+module.exports = {
+  getInvoiceLabels,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,592 @@
+// Simplified invoices (facturas simplificadas) for paid or delivered orders,
+// and rectifying invoices for refunds.
+// Numbers run per branch, series and fiscal year without gaps: the next
+// number is always the last issued one plus one, and when two issuers race
+// for the same number the unique index rejects one of them, which retries
+// with the following number. The fiscal year is the calendar year in the
+// branch timezone.
+// Invoices are issued by an order event listener as soon as an order qualifies;
+// events are in-process only, so the invoice-reconciliation job also invoices
+// any eligible order that is still without one (missed events, other instances,
+// serverless deploys).
+// Rectifications claim their amount on the invoice's InvoiceBalance before the
+// rectifying invoice is issued, so concurrent corrections (a refund event and
+// an admin request, or two admin requests) cannot exceed the invoice total.
+const Invoice = require('../models/Invoice');
+const InvoiceBalance = require('../models/InvoiceBalance');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const Setting = require('../models/Setting');
+const { roundMoney } = require('./pricingService');
+const { resolveTimezone } = require('./businessHours');
+const { ORDER_EVENT_TYPES, subscribeOrderEvents } = require('./orderEvents');
+const { getInvoiceLabels } = require('./invoiceRenderer');
+
+const SIMPLIFIED_SERIES = 'F';
+const RECTIFYING_SERIES = 'R';
+const MAX_NUMBERING_ATTEMPTS = 10;
+const MAX_RECTIFY_ATTEMPTS = 3;
+const SEQUENCE_DIGITS = 6;
+// How far back the reconciliation job looks for orders left without an invoice
+const RECONCILE_LOOKBACK_DAYS = 30;
+const RECONCILE_BATCH_SIZE = 100;
+
+// Orders owe a simplified invoice once paid or delivered, unless called off
+const NOT_INVOICEABLE_STATUSES = ['scheduled', 'cancelled', 'refunded'];
+const INVOICEABLE_PAYMENT_STATUSES = ['paid', 'partially-refunded'];
+
+/**
+ * Whether an order can be invoiced
+ * @param {object} order - Order (needs status and paymentStatus)
+ * @returns {boolean}
+ */
+const isInvoiceable = (order) => !NOT_INVOICEABLE_STATUSES.includes(order.status) &&
+  (INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus) || order.status === 'delivered');
+
+const isDuplicateKey = (error, indexName) =>
+  error?.code === 11000 && (!indexName || String(error.message).includes(indexName));
+
+const localize = (text, language) => {
+  if (!text) return '';
+  if (typeof text === 'string') return text;
+  return text[language] || text.es || text.en || '';
+};
+
+/**
+ * Fiscal year of an instant in the branch timezone
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone name
+ * @returns {number}
+ */
+const getFiscalYear = (date, timezone) => Number(
+  new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric' }).format(date)
+);
+
+/**
+ * Format an invoice number, e.g. F2026-000123 or BCNR2026-000004
+ * @param {object} params - { series, fiscalYear, sequence }
+ * @returns {string}
+ */
+const formatInvoiceNumber = ({ series, fiscalYear, sequence }) =>
+  `${series}${fiscalYear}-${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+
+/**
+ * VAT broken down by rate, from the tax lines priced at checkout.
+ * Lines of the same rate are merged. Taxes of the same class share their
+ * base, so the taxed part of the total is counted once per class; whatever
+ * part no percentage tax applied to (e.g. the delivery fee) is reported as a
+ * 0% line.
+ * @param {object} order - Order document
+ * @returns {{ taxBreakdown: Array, taxBase: number, taxTotal: number }}
+ */
+const buildTaxBreakdown = (order) => {
+  const total = roundMoney(order.total);
+  const taxLines = (order.taxLines || []).filter(line => line.amount > 0 || line.base > 0);
+
+  if (taxLines.length === 0) {
+    // Orders priced before tax lines were stored only know the tax total
+    const tax = roundMoney(order.tax);
+    const taxBase = roundMoney(total - tax);
+    return {
+      taxBreakdown: [{ rate: tax > 0 ? null : 0, base: taxBase, amount: tax }],
+      taxBase,
+      taxTotal: tax
+    };
+  }
+
+  const taxTotal = roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0));
+  const taxBase = roundMoney(total - taxTotal);
+
+  const rows = new Map();
+  const classBases = new Map();
+  taxLines.forEach(line => {
+    const isFixed = line.type === 'fixed';
+    // Lines priced before bases were stored are derived from their rate
+    const base = isFixed ? 0 : roundMoney(line.base ?? (line.rate > 0 ? (line.amount * 100) / line.rate : 0));
+    const key = isFixed ? `fixed:${line.name}` : `rate:${line.rate}`;
+    const row = rows.get(key) || { name: line.name, rate: isFixed ? null : line.rate, base: 0, amount: 0 };
+    if (!isFixed) {
+      const taxClass = line.taxClass || '';
+      // Several taxes on the same class count its base once
+      if (base > (classBases.get(taxClass) || 0)) classBases.set(taxClass, base);
+      row.base = roundMoney(row.base + base);
+    }
+    row.amount = roundMoney(row.amount + line.amount);
+    rows.set(key, row);
+  });
+
+  // Taxes without a class cover the items whose class has no rate of its own,
+  // so the bases add up. Orders priced before that rule applied the unclassed
+  // taxes to every item; their bases overlap and exceed the taxable base.
+  const unclassedBase = classBases.get('') || 0;
+  classBases.delete('');
+  const classedBase = [...classBases.values()].reduce((sum, base) => sum + base, 0);
+  const coveredBase = unclassedBase + classedBase <= taxBase + 0.02
+    ? unclassedBase + classedBase
+    : Math.max(unclassedBase, classedBase);
+  const untaxed = roundMoney(taxBase - coveredBase);
+
+  const taxBreakdown = [...rows.values()];
+  const percentageRows = taxBreakdown.filter(row => row.rate !== null);
+  if (Math.abs(untaxed) <= 0.02 && untaxed !== 0 && percentageRows.length > 0) {
+    // Absorb rounding so the breakdown adds up to the invoice total
+    const largest = percentageRows.reduce((max, row) => (row.base > max.base ? row : max));
+    largest.base = roundMoney(largest.base + untaxed);
+  } else if (untaxed > 0) {
+    const zeroRow = percentageRows.find(row => row.rate === 0);
+    if (zeroRow) zeroRow.base = roundMoney(zeroRow.base + untaxed);
+    else taxBreakdown.push({ rate: 0, base: untaxed, amount: 0 });
+  }
+
+  return { taxBreakdown, taxBase, taxTotal };
+};
+
+// Invoice lines as priced on the order (tax included)
+const buildInvoiceLines = (order, language) => {
+  const labels = getInvoiceLabels(language);
+  const lines = (order.items || []).map(item => {
+    const options = [
+      item.selectedMealSize?.name,
+      ...(item.selectedExtras || []).map(extra => extra.name),
+      ...(item.selectedAddons || []).map(addon => addon.name),
+      ...(item.modifiers || [])
+        .filter(modifier => modifier.kind !== 'removal')
+        .map(modifier => (modifier.quantity > 1 ? `${modifier.quantity}x ${modifier.name}` : modifier.name))
+    ].filter(Boolean);
+    const name = localize(item.foodItem?.name, language) || 'Item';
+
+    return {
+      description: options.length > 0 ? `${name} (${options.join(', ')})` : name,
+      quantity: item.quantity,
+      unitPrice: roundMoney(item.totalPrice / item.quantity),
+      total: roundMoney(item.totalPrice)
+    };
+  });
+
+  if (order.deliveryFee > 0) {
+    lines.push({ description: labels.delivery, quantity: 1, unitPrice: roundMoney(order.deliveryFee), total: roundMoney(order.deliveryFee) });
+  }
+  if (order.discount > 0) {
+    lines.push({ description: labels.discount, quantity: 1, unitPrice: -roundMoney(order.discount), total: -roundMoney(order.discount) });
+  }
+  return lines;
+};
+
+// Issuer details copied onto each invoice, so later changes to the settings
+// never alter invoices already issued
+const buildIssuer = (settings = {}, branch = {}) => {
+  const legalInfo = settings.legalInfo || {};
+  const address = settings.address
+    ? [settings.address.street, [settings.address.zipCode, settings.address.city].filter(Boolean).join(' '),
+      settings.address.state, settings.address.country].filter(Boolean).join(', ')
+    : branch.location || branch.address;
+
+  return {
+    name: branch.name || settings.restaurantName,
+    legalName: legalInfo.legalName || settings.restaurantName,
+    taxId: legalInfo.taxId,
+    address,
+    phone: branch.phone || settings.contactPhone,
+    email: settings.contactEmail,
+    registryDetails: legalInfo.registryDetails,
+    footer: legalInfo.invoiceFooter
+  };
+};
+
+const loadIssuerContext = async (branchId) => {
+  const [branch, settings] = await Promise.all([
+    Branch.findById(branchId).lean(),
+    Setting.findOne({ branchId }).select('restaurantName contactPhone contactEmail address legalInfo timezone').lean()
+  ]);
+  return {
+    branch: branch || {},
+    settings: settings || {},
+    timezone: resolveTimezone(branch, settings)
+  };
+};
+
+/**
+ * Insert an invoice under the next free number of its series.
+ * @param {object} data - Invoice fields without sequence/number
+ * @returns {Promise<object>} Invoice document
+ */
+const createNumberedInvoice = async (data) => {
+  for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt += 1) {
+    const last = await Invoice.findOne({
+      branchId: data.branchId,
+      series: data.series,
+      fiscalYear: data.fiscalYear
+    }).sort({ sequence: -1 }).select('sequence').lean();
+
+    const sequence = (last?.sequence || 0) + 1;
+    try {
+      return await Invoice.create({
+        ...data,
+        sequence,
+        number: formatInvoiceNumber({ series: data.series, fiscalYear: data.fiscalYear, sequence })
+      });
+    } catch (error) {
+      // Someone else took this number; try the next one
+      if (isDuplicateKey(error, 'sequence')) continue;
+      throw error;
+    }
+  }
+
+  const error = new Error('Could not allocate an invoice number, please retry');
+  error.statusCode = 503;
+  throw error;
+};
+
+/**
+ * Issue the simplified invoice of an order. Returns the existing invoice if
+ * the order already has one.
+ * @param {string} orderId
+ * @param {object} [options] - { issuedBy: { user, role } }
+ * @returns {Promise<{ invoice: object, created: boolean }|null>} null when the order does not exist
+ * @throws {Error} code ORDER_NOT_INVOICEABLE when the order is cancelled, refunded,
+ *   or neither paid nor delivered
+ */
+const issueInvoiceForOrder = async (orderId, { issuedBy } = {}) => {
+  const existing = await Invoice.findOne({ orderId, type: 'simplified' });
+  if (existing) return { invoice: existing, created: false };
+
+  const order = await Order.findById(orderId).populate('items.foodItem', 'name');
+  if (!order) return null;
+
+  if (!isInvoiceable(order)) {
+    const error = new Error(`A ${order.status} order with payment ${order.paymentStatus} cannot be invoiced`);
+    error.statusCode = 409;
+    error.code = 'ORDER_NOT_INVOICEABLE';
+    throw error;
+  }
+
+  const { branch, settings, timezone } = await loadIssuerContext(order.branchId);
+  const language = branch.language || 'es';
+  const issuedAt = new Date();
+  const { taxBreakdown, taxBase, taxTotal } = buildTaxBreakdown(order);
+  const prefix = settings.legalInfo?.invoicePrefix || '';
+
+  try {
+    const invoice = await createNumberedInvoice({
+      branchId: order.branchId,
+      orderId: order._id,
+      type: 'simplified',
+      series: `${prefix}${SIMPLIFIED_SERIES}`,
+      fiscalYear: getFiscalYear(issuedAt, timezone),
+      issuedAt,
+      issuer: buildIssuer(settings, branch),
+      orderNumber: order.orderNumber,
+      currency: branch.currency || 'EUR',
+      language,
+      timezone,
+      lines: buildInvoiceLines(order, language),
+      taxBreakdown,
+      taxBase,
+      taxTotal,
+      total: roundMoney(order.total),
+      issuedBy: issuedBy || { role: 'system' }
+    });
+    return { invoice, created: true };
+  } catch (error) {
+    // Issued concurrently (e.g. paid and delivered at the same time)
+    if (isDuplicateKey(error, 'orderId_simplified_unique')) {
+      return { invoice: await Invoice.findOne({ orderId, type: 'simplified' }), created: false };
+    }
+    throw error;
+  }
+};
+
+// Rectification counter of an invoice, created on first use from the
+// rectifying invoices already issued against it
+const loadInvoiceBalance = async (invoice) => {
+  const balance = await InvoiceBalance.findOne({ invoiceId: invoice._id }).lean();
+  if (balance) return balance;
+
+  const rectified = await Invoice.find({ 'rectifies.invoiceId': invoice._id }).select('total').lean();
+  try {
+    return await InvoiceBalance.findOneAndUpdate(
+      { invoiceId: invoice._id },
+      {
+        $setOnInsert: {
+          branchId: invoice.branchId,
+          total: roundMoney(invoice.total),
+          // Rectifying totals are negative
+          rectifiedAmount: roundMoney(-rectified.reduce((sum, entry) => sum + entry.total, 0))
+        }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+  } catch (error) {
+    // Created concurrently
+    if (isDuplicateKey(error)) return InvoiceBalance.findOne({ invoiceId: invoice._id }).lean();
+    throw error;
+  }
+};
+
+/**
+ * Amount of an invoice not yet corrected by rectifying invoices
+ * @param {object} invoice - Simplified invoice
+ * @returns {Promise<number>}
+ */
+const getRectifiableAmount = async (invoice) => {
+  const balance = await loadInvoiceBalance(invoice);
+  return Math.max(roundMoney(balance.total - balance.rectifiedAmount), 0);
+};
+
+// Reserve `amount` of the invoice for a rectification; false when that would
+// rectify more than the invoice total
+const claimRectification = async (invoice, amount) => {
+  const claimed = await InvoiceBalance.findOneAndUpdate(
+    {
+      invoiceId: invoice._id,
+      $expr: { $lte: [{ $add: ['$rectifiedAmount', amount] }, { $add: ['$total', 0.005] }] }
+    },
+    { $inc: { rectifiedAmount: amount } }
+  );
+  return Boolean(claimed);
+};
+
+const releaseRectification = (invoice, amount) =>
+  InvoiceBalance.updateOne({ invoiceId: invoice._id }, { $inc: { rectifiedAmount: -amount } });
+
+/**
+ * Issue a rectifying invoice for all or part of a simplified invoice.
+ * A partial correction scales every tax line of the original in proportion.
+ * @param {object} invoice - Simplified invoice document
+ * @param {object} params - { reason, amount (defaults to the whole remaining amount), refundId, issuedBy }
+ * @returns {Promise<object>} Rectifying invoice document
+ */
+const issueRectifyingInvoice = async (invoice, { reason, amount, refundId, issuedBy } = {}) => {
+  if (invoice.type !== 'simplified') {
+    const error = new Error('Only simplified invoices can be rectified');
+    error.statusCode = 400;
+    error.code = 'INVOICE_NOT_RECTIFIABLE';
+    throw error;
+  }
+
+  // Without an amount whatever is left is rectified; retried when another
+  // correction claims part of it first
+  let rectifiedAmount = 0;
+  for (let attempt = 1; !rectifiedAmount; attempt += 1) {
+    const remaining = await getRectifiableAmount(invoice);
+    const requested = roundMoney(amount === undefined ? remaining : amount);
+    const claimed = requested > 0 && requested <= remaining && await claimRectification(invoice, requested);
+    if (claimed) {
+      rectifiedAmount = requested;
+    } else if (amount !== undefined || remaining <= 0 || attempt >= MAX_RECTIFY_ATTEMPTS) {
+      const error = new Error(`Amount must be greater than 0 and at most ${remaining}`);
+      error.statusCode = 400;
+      error.code = 'RECTIFY_AMOUNT_INVALID';
+      error.remaining = remaining;
+      throw error;
+    }
+  }
+
+  try {
+    return await createRectifyingInvoice(invoice, rectifiedAmount, { reason, refundId, issuedBy });
+  } catch (error) {
+    await releaseRectification(invoice, rectifiedAmount);
+    throw error;
+  }
+};
+
+// Build and number the rectifying invoice for an amount already claimed
+const createRectifyingInvoice = async (invoice, rectifiedAmount, { reason, refundId, issuedBy }) => {
+  const isFull = rectifiedAmount === roundMoney(invoice.total);
+  const ratio = invoice.total > 0 ? rectifiedAmount / invoice.total : 0;
+  const taxBreakdown = invoice.taxBreakdown.map(line => ({
+    name: line.name,
+    rate: line.rate,
+    base: -roundMoney(line.base * ratio),
+    amount: -roundMoney(line.amount * ratio)
+  }));
+  const taxTotal = roundMoney(taxBreakdown.reduce((sum, line) => sum + line.amount, 0));
+  const taxBase = roundMoney(-rectifiedAmount - taxTotal);
+  // Keep the breakdown consistent with the total after rounding
+  const baseDifference = roundMoney(taxBase - taxBreakdown.reduce((sum, line) => sum + line.base, 0));
+  const adjustable = taxBreakdown.find(line => line.base !== 0);
+  if (baseDifference !== 0 && adjustable) adjustable.base = roundMoney(adjustable.base + baseDifference);
+
+  const lines = isFull
+    ? invoice.lines.map(line => ({
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: -line.unitPrice,
+      total: -line.total
+    }))
+    : [{
+      description: reason || `Correction of invoice ${invoice.number}`,
+      quantity: 1,
+      unitPrice: -rectifiedAmount,
+      total: -rectifiedAmount
+    }];
+
+  const { branch, settings, timezone } = await loadIssuerContext(invoice.branchId);
+  const issuedAt = new Date();
+  const prefix = settings.legalInfo?.invoicePrefix || '';
+
+  return createNumberedInvoice({
+    branchId: invoice.branchId,
+    orderId: invoice.orderId,
+    type: 'rectifying',
+    series: `${prefix}${RECTIFYING_SERIES}`,
+    fiscalYear: getFiscalYear(issuedAt, timezone),
+    issuedAt,
+    issuer: buildIssuer(settings, branch),
+    orderNumber: invoice.orderNumber,
+    currency: invoice.currency,
+    language: invoice.language,
+    timezone,
+    lines,
+    taxBreakdown,
+    taxBase,
+    taxTotal,
+    total: -rectifiedAmount,
+    rectifies: {
+      invoiceId: invoice._id,
+      number: invoice.number,
+      reason,
+      refundId
+    },
+    issuedBy: issuedBy || { role: 'system' }
+  });
+};
+
+// Side effects run one at a time per order, so a payment event and a status
+// event arriving together cannot issue the same correction twice
+const pendingByOrder = new Map();
+const runForOrder = (orderId, task) => {
+  const previous = pendingByOrder.get(orderId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  pendingByOrder.set(orderId, next);
+  next.finally(() => {
+    if (pendingByOrder.get(orderId) === next) pendingByOrder.delete(orderId);
+  }).catch(() => {});
+  return next;
+};
+
+/**
+ * Rectify an invoice on request (admin corrections), serialized with the
+ * order's refund events like every other rectification
+ * @param {object} invoice - Simplified invoice document
+ * @param {object} params - See issueRectifyingInvoice
+ * @returns {Promise<object>} Rectifying invoice document
+ */
+const rectifyInvoice = (invoice, params) =>
+  runForOrder(invoice.orderId.toString(), () => issueRectifyingInvoice(invoice, params));
+
+// Rectify a refund recorded on an order; a full refund corrects whatever is left
+const rectifyOrderRefund = async (orderId, { full, refundAmount, refundId, reason }) => {
+  const invoice = await Invoice.findOne({ orderId, type: 'simplified' });
+  if (!invoice) return null; // nothing was invoiced, so there is nothing to correct
+
+  if (refundId && await Invoice.exists({ 'rectifies.invoiceId': invoice._id, 'rectifies.refundId': refundId })) {
+    return null;
+  }
+
+  const remaining = await getRectifiableAmount(invoice);
+  if (remaining <= 0) return null;
+
+  const amount = full ? remaining : Math.min(roundMoney(refundAmount), remaining);
+  if (!(amount > 0)) return null;
+
+  return issueRectifyingInvoice(invoice, {
+    amount,
+    refundId,
+    reason: reason || getInvoiceLabels(invoice.language).refund
+  });
+};
+
+/**
+ * Issue invoices as orders progress: a simplified invoice once an order is
+ * paid or delivered, and a rectifying invoice when an invoiced order is refunded.
+ * @returns {Function} Unsubscribe
+ */
+const startInvoicing = () => subscribeOrderEvents(async (event) => {
+  const { type, orderId, data } = event;
+
+  const paid = type === ORDER_EVENT_TYPES.PAYMENT && data.paymentStatus === 'paid';
+  const delivered = type === ORDER_EVENT_TYPES.STATUS && data.status === 'delivered';
+  if (paid || delivered) {
+    await runForOrder(orderId, () => issueInvoiceForOrder(orderId).catch(error => {
+      // e.g. paid after it was cancelled: refunded instead of invoiced
+      if (error.code !== 'ORDER_NOT_INVOICEABLE') throw error;
+    }));
+    return;
+  }
+
+  const refundedStatus = type === ORDER_EVENT_TYPES.STATUS && data.status === 'refunded';
+  // Gateway refunds are rectified once they settle, not while pending or after failing
+  const refundedPayment = type === ORDER_EVENT_TYPES.PAYMENT && !data.refundPending && !data.refundFailed &&
+    ['refunded', 'partially-refunded'].includes(data.paymentStatus);
+  if (!refundedStatus && !refundedPayment) return;
+
+  await runForOrder(orderId, async () => {
+    const order = await Order.findById(orderId).select('refund paymentStatus status').lean();
+    if (!order) return;
+    await rectifyOrderRefund(orderId, {
+      full: refundedStatus || data.paymentStatus === 'refunded',
+      refundAmount: data.refundAmount ?? order.refund?.amount,
+      refundId: data.refundId ?? order.refund?.refundId,
+      reason: data.refundReason ?? order.refund?.reason
+    });
+  });
+});
+
+/**
+ * Invoice the eligible orders of the last RECONCILE_LOOKBACK_DAYS that have no
+ * simplified invoice yet, oldest first. Run by the invoice-reconciliation job.
+ * @returns {Promise<number>} Number of invoices issued
+ */
+const invoiceMissingOrders = async () => {
+  const since = new Date(Date.now() - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const orders = await Order.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        status: { $nin: NOT_INVOICEABLE_STATUSES },
+        $or: [{ paymentStatus: { $in: INVOICEABLE_PAYMENT_STATUSES } }, { status: 'delivered' }]
+      }
+    },
+    {
+      $lookup: {
+        from: Invoice.collection.name,
+        let: { orderId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$orderId', '$$orderId'] }, type: 'simplified' } },
+          { $project: { _id: 1 } }
+        ],
+        as: 'invoices'
+      }
+    },
+    { $match: { invoices: { $size: 0 } } },
+    { $sort: { createdAt: 1 } },
+    { $limit: RECONCILE_BATCH_SIZE },
+    { $project: { _id: 1, orderNumber: 1 } }
+  ]);
+
+  let issued = 0;
+  for (const order of orders) {
+    try {
+      const result = await runForOrder(order._id.toString(), () => issueInvoiceForOrder(order._id));
+      if (result?.created) issued++;
+    } catch (error) {
+      if (error.code === 'ORDER_NOT_INVOICEABLE') continue;
+      console.error(`Invoice: reconciliation failed for order ${order.orderNumber}:`, error.message);
+    }
+  }
+  return issued;
+};
+
+module.exports = {
+  getFiscalYear,
+  formatInvoiceNumber,
+  buildTaxBreakdown,
+  issueInvoiceForOrder,
+  getRectifiableAmount,
+  issueRectifyingInvoice,
+  rectifyInvoice,
+  isInvoiceable,
+  invoiceMissingOrders,
+  startInvoicing
+};
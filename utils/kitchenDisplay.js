@@ -0,0 +1,136 @@
+// Kitchen display (KDS) view of active orders.
+// Orders are turned into tickets with their line items, modifiers and timing
+// against the order's preparationTime, and the lines can be regrouped per
+// kitchen station (Category.kitchenStation) or per menu category.
+
+const KITCHEN_STATUSES = ['confirmed', 'preparing', 'ready'];
+
+// Share of preparationTime after which a ticket is flagged as a rush
+const RUSH_THRESHOLD = 0.75;
+
+// Station for categories that have none configured
+const DEFAULT_STATION = 'kitchen';
+
+const MINUTE = 60 * 1000;
+
+const localize = (text, language) => {
+  if (!text) return '';
+  if (typeof text === 'string') return text;
+  return text[language] || text.en || '';
+};
+
+/**
+ * Elapsed time of an order in the kitchen and its rush / late flags.
+ * Scheduled orders are timed from their release, others from creation.
+ * @param {object} order - Order document
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {object} { startedAt, dueAt, elapsedMinutes, remainingMinutes, preparationTime, isRush, isLate }
+ */
+const getKitchenTiming = (order, now = new Date()) => {
+  const startedAt = new Date(order.releasedAt || order.createdAt || now);
+  const preparationTime = order.preparationTime || 0;
+  const elapsedMinutes = Math.max(0, Math.floor((now - startedAt) / MINUTE));
+  const isDone = order.status === 'ready';
+
+  return {
+    startedAt,
+    dueAt: new Date(startedAt.getTime() + preparationTime * MINUTE),
+    elapsedMinutes,
+    remainingMinutes: preparationTime - elapsedMinutes,
+    preparationTime,
+    isRush: !isDone && elapsedMinutes >= preparationTime * RUSH_THRESHOLD,
+    isLate: !isDone && elapsedMinutes > preparationTime
+  };
+};
+
+/**
+ * KDS ticket for an order whose items.foodItem is populated with its category
+ * @param {object} order - Order document
+ * @param {string} [language] - Language for item and category names
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {object} Ticket with lines, timing and bump progress
+ */
+const buildKitchenTicket = (order, language = 'en', now = new Date()) => {
+  const lines = order.items.map(item => {
+    const category = item.foodItem?.category;
+
+    return {
+      itemId: item._id,
+      name: localize(item.foodItem?.name, language),
+      quantity: item.quantity,
+      mealSize: item.selectedMealSize?.name || null,
+      extras: (item.selectedExtras || []).map(extra => extra.name),
+      addons: (item.selectedAddons || []).map(addon => addon.name),
+      modifiers: (item.modifiers || []).map(modifier => ({
+        group: modifier.groupName,
+        name: modifier.name,
+        quantity: modifier.quantity,
+        removal: modifier.kind === 'removal',
+        nested: Boolean(modifier.parentOptionId)
+      })),
+      specialInstructions: item.specialInstructions || null,
+      station: category?.kitchenStation || DEFAULT_STATION,
+      category: category ? { _id: category._id, name: localize(category.name, language) } : null,
+      bumped: Boolean(item.bumpedAt),
+      bumpedAt: item.bumpedAt || null
+    };
+  });
+
+  const bumpedCount = lines.filter(line => line.bumped).length;
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    deliveryType: order.deliveryType,
+    scheduledFor: order.scheduledFor || null,
+    specialInstructions: order.specialInstructions || null,
+    timing: getKitchenTiming(order, now),
+    progress: { bumped: bumpedCount, total: lines.length },
+    lines
+  };
+};
+
+/**
+ * Regroup the open lines of tickets by station or category
+ * @param {Array} tickets - Result of buildKitchenTicket
+ * @param {string} groupBy - 'station' or 'category'
+ * @returns {Array} [{ key, name, lines: [line + orderId, orderNumber, timing] }], oldest order first
+ */
+const groupTicketLines = (tickets, groupBy) => {
+  const groups = new Map();
+
+  tickets.forEach(ticket => {
+    ticket.lines.forEach(line => {
+      const key = groupBy === 'category'
+        ? (line.category?._id?.toString() || 'uncategorized')
+        : line.station;
+      const name = groupBy === 'category'
+        ? (line.category?.name || 'Uncategorized')
+        : line.station;
+
+      if (!groups.has(key)) groups.set(key, { key, name, lines: [] });
+      groups.get(key).lines.push({
+        ...line,
+        orderId: ticket.orderId,
+        orderNumber: ticket.orderNumber,
+        orderStatus: ticket.status,
+        timing: ticket.timing
+      });
+    });
+  });
+
+  return [...groups.values()].map(group => ({
+    ...group,
+    lines: group.lines.sort((a, b) => a.timing.startedAt - b.timing.startedAt)
+  }));
+};
+
+module.exports = {
+  KITCHEN_STATUSES,
+  RUSH_THRESHOLD,
+  DEFAULT_STATION,
+  getKitchenTiming,
+  buildKitchenTicket,
+  groupTicketLines
+};
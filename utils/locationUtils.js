@@ -18,3 +18,16 @@ exports.calculateDistance = (lat1, lon1, lat2, lon2) => {
     Math.cos(lat1 * p) * Math.cos(lat2 * p) * (1 - Math.cos((lon2 - lon1) * p)) / 2;
   return 12742 * Math.asin(Math.sqrt(a)); // 2 * R; R = 6371 km
 };
+
+// Returns { lat, lng } for a resolved branch document (req.branchDoc),
+// falling back to the address coordinates in the branch settings
+exports.getBranchCoordinates = (branchDoc, settings) => {
+  if (branchDoc && branchDoc.latitude != null && branchDoc.longitude != null) {
+    return { lat: branchDoc.latitude, lng: branchDoc.longitude };
+  }
+  if (settings?.address?.latitude != null && settings?.address?.longitude != null) {
+    return { lat: settings.address.latitude, lng: settings.address.longitude };
+  }
+  // Fallback: Barcelona main branch
+  return { lat: 41.4036344, lng: 2.1986439 };
+};
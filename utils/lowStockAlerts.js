@@ -0,0 +1,76 @@
+// Low-stock alerts to branch staff.
+// An alert is raised when a movement takes an inventory-tracked item or an
+// ingredient from above its lowStockAlert threshold to at or below it, so staff hear about an item
+// once per crossing rather than on every sale after it. Staff devices get a push
+// on the branch topic; staff accounts get an email unless the branch turned off
+// notifications.email.lowStock.
+const User = require('../models/User');
+const Branch = require('../models/Branch');
+const Setting = require('../models/Setting');
+const { sendNotificationToTopic } = require('./firebaseAdmin');
+const { sendLowStockAlertEmail } = require('./emailService');
+
+const STAFF_ROLES = ['admin', 'branch_admin', 'manager', 'staff'];
+
+/**
+ * Whether a movement took an item across its low-stock threshold
+ * @param {object} change - { stockBefore, stockAfter, lowStockAlert }
+ * @returns {boolean}
+ */
+const crossedLowStock = ({ stockBefore, stockAfter, lowStockAlert }) =>
+  stockBefore > lowStockAlert && stockAfter <= lowStockAlert;
+
+const describeItem = (item) => (item.stockAfter <= 0
+  ? `${item.name} is out of stock`
+  : `${item.name}: ${item.stockAfter}${item.unit ? ` ${item.unit}` : ''} left`);
+
+/**
+ * Tell branch staff that items are running low. Never throws; a failed
+ * channel is logged.
+ * @param {string} branchId
+ * @param {Array} items - [{ foodItem, name, stockAfter, lowStockAlert }], or for
+ *   ingredients [{ ingredient, name, unit, stockAfter, lowStockAlert }]
+ * @returns {Promise<void>}
+ */
+const notifyLowStock = async (branchId, items) => {
+  if (!items.length) return;
+
+  try {
+    await sendNotificationToTopic(
+      `branch-${branchId}`,
+      '📦 Low Stock',
+      items.map(describeItem).join(', '),
+      {
+        type: 'low_stock',
+        branchId: String(branchId),
+        foodItems: items.filter(item => item.foodItem).map(item => String(item.foodItem)).join(','),
+        ingredients: items.filter(item => item.ingredient).map(item => String(item.ingredient)).join(','),
+        timestamp: new Date().toISOString()
+      }
+    );
+  } catch (error) {
+    console.error(`Low stock: push to branch ${branchId} failed:`, error.message);
+  }
+
+  try {
+    const settings = await Setting.findOne({ branchId }).select('notifications').lean();
+    if (settings?.notifications?.email?.lowStock === false) return;
+
+    const [staff, branch] = await Promise.all([
+      User.find({ branchId, role: { $in: STAFF_ROLES }, isActive: true, email: { $nin: [null, ''] } })
+        .select('email')
+        .lean(),
+      Branch.findById(branchId).select('name').lean()
+    ]);
+    if (!staff.length) return;
+
+    await sendLowStockAlertEmail(staff.map(user => user.email), branch?.name || 'your branch', items);
+  } catch (error) {
+    console.error(`Low stock: email for branch ${branchId} failed:`, error.message);
+  }
+};
+
+module.exports = {
+  crossedLowStock,
+  notifyLowStock
+};
@@ -0,0 +1,134 @@
+// Dayparted menus.
+// Categories and food items can carry a `menuSchedule`: recurring weekly
+// windows as wall-clock "HH:MM" times in the branch timezone (breakfast
+// 08:00-12:00 Monday to Friday, late-night menu 22:00-02:00). An item is on the
+// menu when it is inside one of its own windows and one of its category's
+// windows; an empty schedule never restricts. A window that ends at or before
+// it starts runs past midnight and belongs to the day it starts on. The item's
+// absolute availableFrom / availableUntil dates apply on top of the schedule.
+const { DEFAULT_TIMEZONE, getLocalTimeParts, zonedTimeToDate } = require('./businessHours');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How far ahead the next menu window is searched
+const LOOKAHEAD_DAYS = 8;
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Windows of a schedule as real instants, from the day before `from` (for
+// overnight windows) until `days` days after it, sorted by start
+const getSchedulePeriods = (schedule, timezone, from, days) => {
+  const [year, month, day] = getLocalTimeParts(from, timezone).date.split('-').map(Number);
+  const periods = [];
+
+  for (let offset = -1; offset <= days; offset++) {
+    const localDay = new Date(Date.UTC(year, month - 1, day + offset));
+    const dateKey = localDay.toISOString().slice(0, 10);
+    const dayName = DAYS[localDay.getUTCDay()];
+
+    schedule
+      .filter(window => window.days.includes(dayName))
+      .forEach(window => {
+        const start = toMinutes(window.startTime);
+        let end = toMinutes(window.endTime);
+        if (end <= start) end += 24 * 60;
+        periods.push({
+          start: zonedTimeToDate(dateKey, start, timezone),
+          end: zonedTimeToDate(dateKey, end, timezone)
+        });
+      });
+  }
+
+  return periods.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Check whether an instant falls inside a menu schedule
+ * @param {Array} schedule - Windows ({ days, startTime, endTime })
+ * @param {Date} at - Instant to check
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} true when the schedule is empty
+ */
+const isWithinMenuSchedule = (schedule, at, timezone = DEFAULT_TIMEZONE) =>
+  !schedule?.length ||
+  getSchedulePeriods(schedule, timezone, at, 0).some(period => period.start <= at && at < period.end);
+
+// First instant after `from` that is inside every schedule. The overlap of
+// windows always starts where one of them starts, so only starts are tried.
+const nextMenuTime = (schedules, from, timezone) => {
+  const candidates = schedules
+    .flatMap(schedule => getSchedulePeriods(schedule, timezone, from, LOOKAHEAD_DAYS))
+    .map(period => period.start)
+    .filter(start => start > from)
+    .sort((a, b) => a - b);
+
+  return candidates.find(start =>
+    schedules.every(schedule => isWithinMenuSchedule(schedule, start, timezone))
+  ) || null;
+};
+
+/**
+ * Whether a food item (or a category) is on the menu at an instant: its
+ * availableFrom / availableUntil dates and the menu schedules of the item and
+ * its category (the category must be populated with `menuSchedule` for its
+ * windows to count). Stock and the isAvailable switch are not part of this check.
+ * @param {object} foodItem - FoodItem or Category, document or lean object
+ * @param {object} [options]
+ * @param {Date} [options.at] - Instant to evaluate (defaults to now)
+ * @param {string} [options.timezone] - IANA timezone of the branch
+ * @returns {object} { available: true } or { available: false, code, reason, availableAt: Date|null }
+ */
+const getMenuAvailability = (foodItem, { at = new Date(), timezone = DEFAULT_TIMEZONE } = {}) => {
+  const availableFrom = foodItem.availableFrom ? new Date(foodItem.availableFrom) : null;
+  const availableUntil = foodItem.availableUntil ? new Date(foodItem.availableUntil) : null;
+
+  if (availableUntil && at > availableUntil) {
+    return {
+      available: false,
+      code: 'ITEM_NO_LONGER_AVAILABLE',
+      reason: 'This item is no longer available',
+      availableAt: null
+    };
+  }
+
+  const schedules = [foodItem.menuSchedule, foodItem.category?.menuSchedule].filter(schedule => schedule?.length);
+  const from = availableFrom && at < availableFrom ? availableFrom : at;
+  const inSchedule = schedules.every(schedule => isWithinMenuSchedule(schedule, from, timezone));
+
+  if (from === at && inSchedule) return { available: true };
+
+  let availableAt = inSchedule ? from : nextMenuTime(schedules, from, timezone);
+  if (availableAt && availableUntil && availableAt > availableUntil) availableAt = null;
+
+  return from === at
+    ? { available: false, code: 'ITEM_OUTSIDE_MENU_HOURS', reason: 'Not served at this time', availableAt }
+    : { available: false, code: 'ITEM_NOT_YET_AVAILABLE', reason: 'This item is not available yet', availableAt };
+};
+
+/**
+ * Attach the menu availability of each item, as `menuAvailability` on lean
+ * objects and in `$locals` on documents (picked up by getLocalized)
+ * @param {Array} items - FoodItem documents or lean objects
+ * @param {object} options - Passed to getMenuAvailability
+ * @returns {Array} The same items
+ */
+const annotateMenuAvailability = (items, options) => {
+  items.forEach(item => {
+    const availability = getMenuAvailability(item, options);
+    if (item.$locals) {
+      item.$locals.menuAvailability = availability;
+    } else {
+      item.menuAvailability = availability;
+    }
+  });
+  return items;
+};
+
+module.exports = {
+  isWithinMenuSchedule,
+  getMenuAvailability,
+  annotateMenuAvailability
+};
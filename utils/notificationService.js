@@ -6,6 +6,10 @@ const {
 
 // Order notification messages
 const ORDER_MESSAGES = {
+  scheduled: {
+    title: '🗓️ Order Scheduled',
+    body: 'Your order has been scheduled. We will start preparing it ahead of your chosen time.'
+  },
   pending: {
     title: '🛍️ Order Received',
     body: 'Your order has been received and is being processed.'
@@ -22,6 +26,10 @@ const ORDER_MESSAGES = {
     title: '🎉 Order Ready',
     body: 'Your order is ready for pickup!'
   },
+  driverpickup: {
+    title: '🛵 Driver on the Way',
+    body: 'Your order is ready and waiting for the driver to collect it.'
+  },
   'out-for-delivery': {
     title: '🚗 Out for Delivery',
     body: 'Your order is on its way to you!'
@@ -33,6 +41,14 @@ const ORDER_MESSAGES = {
   cancelled: {
     title: '❌ Order Cancelled',
     body: 'Your order has been cancelled.'
+  },
+  refunded: {
+    title: '💸 Order Refunded',
+    body: 'Your order has been refunded.'
+  },
+  'partially-refunded': {
+    title: '💸 Partial Refund',
+    body: 'Part of your order has been refunded.'
   }
 };
 
@@ -0,0 +1,131 @@
+// Real-time order events over server-sent events (SSE).
+// Routes and jobs publish an event whenever an order is created, changes
+// status, gets a tracking update or receives a new driver position. Each open
+// stream decides per event whether its user may see it, so the branch and
+// ownership rules of the REST endpoints apply to the stream as well.
+// The bus is in-process: clients receive events published by the instance
+// they are connected to (jobs only run where ENABLE_JOBS is not 'false').
+const { EventEmitter } = require('events');
+
+const ORDER_EVENT_TYPES = {
+  CREATED: 'order.created',
+  STATUS: 'order.status',
+  TRACKING: 'order.tracking',
+  ITEM_BUMPED: 'order.item-bumped',
+  PAYMENT: 'order.payment',
+  DRIVER_LOCATION: 'driver.location'
+};
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keeps proxies from closing idle streams
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+let lastEventId = 0;
+
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+/**
+ * Publish an order event to every open stream allowed to see it.
+ * Never throws, so callers can publish after a write without guarding it.
+ * @param {string} type - One of ORDER_EVENT_TYPES
+ * @param {object} order - Order document (populated or not)
+ * @param {object} [data] - Event-specific fields (trackingUpdate, location, ...)
+ */
+const publishOrderEvent = (type, order, data = {}) => {
+  try {
+    bus.emit('order-event', {
+      id: ++lastEventId,
+      type,
+      branchId: idOf(order.branchId),
+      orderId: idOf(order._id),
+      userId: idOf(order.userId),
+      driverId: idOf(order.deliveryAgent),
+      data: {
+        orderId: idOf(order._id),
+        orderNumber: order.orderNumber,
+        status: order.status,
+        deliveryType: order.deliveryType,
+        ...data,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error(`Order event ${type} failed:`, error.message);
+  }
+};
+
+// Latest tracking entry of an order, for TRACKING / STATUS events
+const latestTrackingUpdate = (order) => {
+  const updates = order.trackingUpdates || [];
+  return updates.length > 0 ? updates[updates.length - 1] : undefined;
+};
+
+/**
+ * Listen to every published order event (e.g. to trigger side effects)
+ * @param {Function} listener - (event) => void; errors are logged, not thrown
+ * @returns {Function} Unsubscribe
+ */
+const subscribeOrderEvents = (listener) => {
+  const safeListener = (event) => {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch(error => console.error(`Order event listener failed for ${event.type}:`, error.message));
+  };
+  bus.on('order-event', safeListener);
+  return () => bus.off('order-event', safeListener);
+};
+
+/**
+ * Turn the response into an SSE stream of the order events accepted by `canSee`
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} canSee - (event) => boolean
+ * @param {object} [initial] - Optional snapshot sent first as a 'snapshot' event
+ */
+const openOrderEventStream = (req, res, canSee, initial) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // The compression middleware buffers output until flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const send = (event, id, payload) => {
+    write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Tell EventSource clients how long to wait before reconnecting
+  write('retry: 5000\n\n');
+  if (initial) send('snapshot', null, initial);
+
+  const listener = (event) => {
+    if (canSee(event)) send(event.type, event.id, event.data);
+  };
+  bus.on('order-event', listener);
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    bus.off('order-event', listener);
+  });
+};
+
+module.exports = {
+  ORDER_EVENT_TYPES,
+  publishOrderEvent,
+  latestTrackingUpdate,
+  subscribeOrderEvents,
+  openOrderEventStream
+};
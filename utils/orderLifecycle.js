@@ -0,0 +1,55 @@
+// Side effects of order lifecycle changes that are shared between the order
+// routes and the background jobs.
+const Offer = require('../models/offer');
+const { releaseOrderStock } = require('./stockService');
+
+// Actor recorded on tracking updates made by the server itself
+const SYSTEM_ACTOR = { role: 'system' };
+
+/**
+ * Put back what a cancelled order was holding: item stock, coupon redemptions
+ * and, when it was already paid, the customer's money
+ * @param {object} order - Cancelled Order document
+ * @returns {Promise<object>} { refund, refundError } for paid orders, {} otherwise
+ */
+const releaseCancelledOrder = async (order) => {
+  await releaseOrderStock(order, 'order-cancelled');
+
+  // Give the coupon back so the customer can use it again
+  if (order.offer) {
+    await Offer.reverseOrderRedemptions(order._id, 'order-cancelled');
+  }
+
+  if (!['paid', 'partially-refunded'].includes(order.paymentStatus)) return {};
+
+  // Required here: the refund service itself depends on this module
+  const { refundCancelledOrder } = require('./refundService');
+  try {
+    const { refund } = await refundCancelledOrder(order);
+    return { refund };
+  } catch (error) {
+    // The cancellation stands; staff can retry through the refunds endpoint
+    console.error(`Refund of cancelled order ${order.orderNumber} failed:`, error.message);
+    return { refundError: { code: error.code, message: error.message } };
+  }
+};
+
+/**
+ * Build the tracking entry for a status change
+ * @param {string} status - New status
+ * @param {string} message - Human-readable message
+ * @param {object} [updatedBy] - { user, role } of whoever made the change
+ * @returns {object} trackingUpdates entry
+ */
+const buildTrackingUpdate = (status, message, updatedBy = SYSTEM_ACTOR) => ({
+  status,
+  message,
+  updatedBy,
+  timestamp: new Date()
+});
+
+module.exports = {
+  SYSTEM_ACTOR,
+  releaseCancelledOrder,
+  buildTrackingUpdate
+};
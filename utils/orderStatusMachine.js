@@ -0,0 +1,161 @@
+// Order status state machine.
+// Each fulfilment type (delivery, pickup, in-shop) has its own transition
+// table: from a given status, which next statuses are reachable and which
+// roles may perform that move. Anything not listed is rejected, so an order
+// can no longer jump backwards or into a step that does not exist for its
+// fulfilment type (e.g. out-for-delivery on a pickup order).
+const { normalizeRole, isSuperAdmin } = require('./roles');
+
+const ORDER_STATUSES = [
+  'scheduled',
+  'pending',
+  'confirmed',
+  'preparing',
+  'ready',
+  'driverpickup',
+  'pickup',
+  'shop',
+  'out-for-delivery',
+  'delivered',
+  'cancelled',
+  'refunded'
+];
+
+const DELIVERY_TYPES = ['delivery', 'pickup', 'in-shop'];
+
+// Delivery statuses in which a driver can be assigned and the order stays on their list
+const ACTIVE_DELIVERY_STATUSES = ['confirmed', 'preparing', 'ready', 'driverpickup', 'out-for-delivery'];
+
+// Payment methods settled through a payment gateway; such orders are only
+// confirmed once the payment has succeeded
+const ONLINE_PAYMENT_METHODS = ['card', 'stripe'];
+
+/**
+ * Whether an order still waits for its online payment
+ * @param {object} order - Order document (needs paymentMethod and paymentStatus)
+ * @returns {boolean}
+ */
+const isAwaitingPayment = (order) =>
+  ONLINE_PAYMENT_METHODS.includes(order.paymentMethod) && order.paymentStatus !== 'paid';
+
+// Canonical roles (see utils/roles.js); super_admin may perform every listed move
+const STAFF = ['branch_admin', 'staff'];
+const ADMIN = ['branch_admin'];
+// Background jobs (auto-accept, unconfirmed-order timeout, scheduled release) act as 'system'
+const SYSTEM = ['system'];
+// Drivers may only move delivery orders assigned to them (checked by the driver routes)
+const STAFF_OR_DRIVER = [...STAFF, 'driver'];
+const STAFF_OR_SYSTEM = [...STAFF, 'system'];
+
+// Steps shared by every fulfilment type up to the order being ready.
+// Scheduled orders wait in `scheduled` until the release job hands them to the kitchen.
+const KITCHEN_FLOW = {
+  scheduled: { pending: SYSTEM, confirmed: SYSTEM, cancelled: STAFF },
+  pending: { confirmed: STAFF_OR_SYSTEM, cancelled: STAFF_OR_SYSTEM },
+  confirmed: { preparing: STAFF, cancelled: STAFF },
+  preparing: { ready: STAFF, cancelled: ADMIN }
+};
+
+const TRANSITIONS = {
+  delivery: {
+    ...KITCHEN_FLOW,
+    ready: { driverpickup: STAFF, 'out-for-delivery': STAFF_OR_DRIVER, cancelled: ADMIN },
+    driverpickup: { 'out-for-delivery': STAFF_OR_DRIVER, cancelled: ADMIN },
+    'out-for-delivery': { delivered: STAFF_OR_DRIVER, cancelled: ADMIN }
+  },
+  pickup: {
+    ...KITCHEN_FLOW,
+    // `pickup`: customer is at the counter collecting the order
+    ready: { pickup: STAFF, delivered: STAFF, cancelled: ADMIN },
+    pickup: { delivered: STAFF }
+  },
+  'in-shop': {
+    ...KITCHEN_FLOW,
+    // `shop`: order served to the table / counter
+    ready: { shop: STAFF, delivered: STAFF, cancelled: ADMIN },
+    shop: { delivered: STAFF }
+  }
+};
+
+// `refunded` is not a manual move: only the refund service sets it, once the
+// refunds ledger covers the whole amount paid, from one of these statuses
+const REFUNDABLE_STATUSES = ['delivered', 'cancelled'];
+
+/**
+ * Whether a fully refunded order can be moved to `refunded`
+ * @param {object} order - Order document (needs status)
+ * @returns {boolean}
+ */
+const canMarkRefunded = (order) => REFUNDABLE_STATUSES.includes(order.status);
+
+const getTransitionTable = (deliveryType) => TRANSITIONS[deliveryType] || TRANSITIONS.delivery;
+
+const roleMayPerform = (role, allowedRoles) => {
+  if (role === 'system') return allowedRoles.includes('system');
+  if (isSuperAdmin(role)) return true;
+  return allowedRoles.includes(normalizeRole(role));
+};
+
+/**
+ * List the statuses an order can move to next
+ * @param {object} order - Order document (needs status and deliveryType)
+ * @param {string} [role] - Role of the actor; omit to list moves for any role
+ * @returns {string[]} Reachable next statuses
+ */
+const getAllowedNextStatuses = (order, role) => {
+  const moves = getTransitionTable(order.deliveryType)[order.status] || {};
+  return Object.keys(moves).filter(next => !role || roleMayPerform(role, moves[next]));
+};
+
+/**
+ * Check whether an actor may move an order to a new status
+ * @param {object} order - Order document (needs status and deliveryType)
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - Role of the actor
+ * @returns {object} { allowed: true } or { allowed: false, code, reason, allowedStatuses }
+ */
+const checkTransition = (order, nextStatus, role) => {
+  const moves = getTransitionTable(order.deliveryType)[order.status] || {};
+  const allowedStatuses = getAllowedNextStatuses(order, role);
+
+  if (!moves[nextStatus]) {
+    return {
+      allowed: false,
+      code: 'INVALID_STATUS_TRANSITION',
+      reason: `Cannot change a ${order.deliveryType} order from ${order.status} to ${nextStatus}`,
+      allowedStatuses
+    };
+  }
+
+  if (!roleMayPerform(role, moves[nextStatus])) {
+    return {
+      allowed: false,
+      code: 'STATUS_TRANSITION_FORBIDDEN',
+      reason: `Your role cannot change this order from ${order.status} to ${nextStatus}`,
+      allowedStatuses
+    };
+  }
+
+  if (nextStatus === 'confirmed' && isAwaitingPayment(order)) {
+    return {
+      allowed: false,
+      code: 'PAYMENT_PENDING',
+      reason: 'The order cannot be confirmed until its online payment has succeeded',
+      allowedStatuses: allowedStatuses.filter(status => status !== 'confirmed')
+    };
+  }
+
+  return { allowed: true, allowedStatuses };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  DELIVERY_TYPES,
+  ACTIVE_DELIVERY_STATUSES,
+  ONLINE_PAYMENT_METHODS,
+  TRANSITIONS,
+  isAwaitingPayment,
+  canMarkRefunded,
+  getAllowedNextStatuses,
+  checkTransition
+};
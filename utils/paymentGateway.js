@@ -0,0 +1,322 @@
+// Payment gateway layer.
+// Every adapter exposes the same interface, so the payment flow never depends
+// on a particular provider:
+//   createPaymentIntent({ amount, currency, orderId, orderNumber, branchId, idempotencyKey })
+//     -> { id, clientSecret, status }
+//   retrievePaymentIntent(id) -> { id, clientSecret, status, amount, currency }
+//   createRefund({ intentId, amount, currency, reason, idempotencyKey }) -> { id, status }
+//   retrieveRefund(id) -> { id, status, failureReason }
+//   parseWebhook(rawBody, headers) -> normalized event, throws when the signature is invalid
+// Adapters are built from a branch's Setting.paymentGateways entry. Webhooks use
+// the Stripe signature scheme (`t=<timestamp>,v1=<hmac>` over `<timestamp>.<body>`),
+// which the fake adapter shares so tests can sign their own payloads.
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { decryptSecret } = require('./secretCrypto');
+
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE || 'https://api.stripe.com';
+const REQUEST_TIMEOUT = 15 * 1000;
+const WEBHOOK_TOLERANCE = 5 * 60; // seconds a signed webhook stays valid
+
+// Currencies without minor units
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+const PAYMENT_EVENT_TYPES = {
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  CANCELED: 'payment.canceled',
+  IGNORED: 'ignored'
+};
+
+const createGatewayError = (message, code, statusCode = 502) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Convert an amount to the currency's smallest unit (cents)
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+const toMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase())
+    ? Math.round(amount)
+    : Math.round(amount * 100);
+
+/**
+ * Convert an amount in the currency's smallest unit back to a decimal amount
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+const fromMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? amount : amount / 100;
+
+/**
+ * Build a Stripe-style signature header for a webhook payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {number} [timestamp] - Unix seconds; defaults to now
+ * @returns {string} Header value
+ */
+const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Verify a Stripe-style webhook signature
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} header - Signature header
+ * @param {string} secret - Webhook secret of the gateway
+ * @throws {Error} code WEBHOOK_SIGNATURE_INVALID
+ */
+const verifyWebhookSignature = (rawBody, header, secret) => {
+  if (!secret) {
+    throw createGatewayError('Webhook secret is not configured', 'WEBHOOK_NOT_CONFIGURED', 400);
+  }
+
+  const parts = String(header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) {
+    throw createGatewayError('Missing webhook signature', 'WEBHOOK_SIGNATURE_INVALID', 400);
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE) {
+    throw createGatewayError('Webhook timestamp is outside the tolerance window', 'WEBHOOK_SIGNATURE_INVALID', 400);
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+  );
+  const valid = signatures.some(signature => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+  if (!valid) {
+    throw createGatewayError('Invalid webhook signature', 'WEBHOOK_SIGNATURE_INVALID', 400);
+  }
+};
+
+// Map a Stripe-style event to the normalized shape used by the payment flow
+const normalizeStripeEvent = (event) => {
+  const intent = event.data?.object || {};
+  const types = {
+    'payment_intent.succeeded': PAYMENT_EVENT_TYPES.SUCCEEDED,
+    'payment_intent.payment_failed': PAYMENT_EVENT_TYPES.FAILED,
+    'payment_intent.canceled': PAYMENT_EVENT_TYPES.CANCELED
+  };
+
+  return {
+    id: event.id,
+    type: types[event.type] || PAYMENT_EVENT_TYPES.IGNORED,
+    providerType: event.type,
+    intentId: intent.id,
+    amount: intent.amount_received || intent.amount,
+    currency: intent.currency?.toUpperCase(),
+    orderId: intent.metadata?.orderId,
+    transactionId: intent.latest_charge || intent.id,
+    failureReason: intent.last_payment_error?.message ||
+      (event.type === 'payment_intent.canceled' ? intent.cancellation_reason || 'Payment canceled' : undefined)
+  };
+};
+
+const parseStripeWebhook = (rawBody, headers, webhookSecret) => {
+  verifyWebhookSignature(rawBody, headers['stripe-signature'], webhookSecret);
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw createGatewayError('Webhook body is not valid JSON', 'WEBHOOK_PAYLOAD_INVALID', 400);
+  }
+  return normalizeStripeEvent(event);
+};
+
+/**
+ * Stripe adapter (or any API compatible with Stripe's payment intents)
+ * @param {object} config - { secretKey, webhookSecret, apiBase }
+ * @returns {object} Adapter
+ */
+const createStripeAdapter = ({ secretKey, webhookSecret, apiBase = STRIPE_API_BASE }) => {
+  const request = async (method, path, params, idempotencyKey) => {
+    const headers = { Authorization: `Bearer ${secretKey}` };
+    if (params) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    let response;
+    try {
+      response = await fetch(`${apiBase}${path}`, {
+        method,
+        headers,
+        body: params ? new URLSearchParams(params).toString() : undefined,
+        timeout: REQUEST_TIMEOUT
+      });
+    } catch (error) {
+      throw createGatewayError(`Payment gateway unreachable: ${error.message}`, 'GATEWAY_UNAVAILABLE', 503);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw createGatewayError(
+        data.error?.message || `Payment gateway request failed with status ${response.status}`,
+        'GATEWAY_REQUEST_FAILED'
+      );
+    }
+    return data;
+  };
+
+  const toIntent = (intent) => ({
+    id: intent.id,
+    clientSecret: intent.client_secret,
+    status: intent.status,
+    amount: intent.amount,
+    currency: intent.currency?.toUpperCase()
+  });
+
+  return {
+    provider: 'stripe',
+
+    async createPaymentIntent({ amount, currency, orderId, orderNumber, branchId, idempotencyKey }) {
+      const intent = await request('POST', '/v1/payment_intents', {
+        amount: String(toMinorUnits(amount, currency)),
+        currency: currency.toLowerCase(),
+        'automatic_payment_methods[enabled]': 'true',
+        'metadata[orderId]': String(orderId),
+        'metadata[orderNumber]': String(orderNumber || ''),
+        'metadata[branchId]': String(branchId || '')
+      }, idempotencyKey);
+      return toIntent(intent);
+    },
+
+    async retrievePaymentIntent(intentId) {
+      return toIntent(await request('GET', `/v1/payment_intents/${encodeURIComponent(intentId)}`));
+    },
+
+    async createRefund({ intentId, amount, currency, reason, idempotencyKey }) {
+      const refund = await request('POST', '/v1/refunds', {
+        payment_intent: intentId,
+        amount: String(toMinorUnits(amount, currency)),
+        reason: 'requested_by_customer',
+        'metadata[reason]': String(reason || '').slice(0, 500)
+      }, idempotencyKey);
+      return { id: refund.id, status: refund.status };
+    },
+
+    async retrieveRefund(refundId) {
+      const refund = await request('GET', `/v1/refunds/${encodeURIComponent(refundId)}`);
+      return { id: refund.id, status: refund.status, failureReason: refund.failure_reason || undefined };
+    },
+
+    parseWebhook: (rawBody, headers) => parseStripeWebhook(rawBody, headers, webhookSecret)
+  };
+};
+
+// Intents and refunds created by the fake adapter, kept in memory for the process lifetime
+const fakeIntents = new Map();
+const fakeRefunds = new Map();
+
+/**
+ * Local gateway for development and tests: intents are created in memory and
+ * settled by posting a signed Stripe-style webhook (see signWebhookPayload).
+ * @param {object} config - { webhookSecret }
+ * @returns {object} Adapter
+ */
+const createFakeAdapter = ({ webhookSecret }) => ({
+  provider: 'fake',
+
+  async createPaymentIntent({ amount, currency, orderId, idempotencyKey }) {
+    if (idempotencyKey && fakeIntents.has(idempotencyKey)) return fakeIntents.get(idempotencyKey);
+
+    const id = `pi_fake_${crypto.randomBytes(12).toString('hex')}`;
+    const intent = {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment_method',
+      amount: toMinorUnits(amount, currency),
+      currency: currency.toUpperCase(),
+      orderId: String(orderId)
+    };
+    fakeIntents.set(idempotencyKey || id, intent);
+    fakeIntents.set(id, intent);
+    return intent;
+  },
+
+  async retrievePaymentIntent(intentId) {
+    const intent = fakeIntents.get(intentId);
+    if (!intent) throw createGatewayError('Payment intent not found', 'GATEWAY_REQUEST_FAILED', 404);
+    return intent;
+  },
+
+  async createRefund({ intentId, amount, currency, idempotencyKey }) {
+    const intent = fakeIntents.get(intentId);
+    if (!intent) throw createGatewayError('Payment intent not found', 'GATEWAY_REQUEST_FAILED', 404);
+    if (idempotencyKey && fakeRefunds.has(idempotencyKey)) return fakeRefunds.get(idempotencyKey);
+
+    const refund = {
+      id: `re_fake_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'succeeded',
+      amount: toMinorUnits(amount, currency)
+    };
+    fakeRefunds.set(idempotencyKey || refund.id, refund);
+    fakeRefunds.set(refund.id, refund);
+    return refund;
+  },
+
+  async retrieveRefund(refundId) {
+    const refund = fakeRefunds.get(refundId);
+    if (!refund) throw createGatewayError('Refund not found', 'GATEWAY_REQUEST_FAILED', 404);
+    return refund;
+  },
+
+  parseWebhook: (rawBody, headers) => parseStripeWebhook(rawBody, headers, webhookSecret)
+});
+
+const ADAPTERS = {
+  stripe: createStripeAdapter,
+  fake: createFakeAdapter
+};
+
+const SUPPORTED_PROVIDERS = Object.keys(ADAPTERS);
+
+const isProviderAllowed = (provider) =>
+  Boolean(ADAPTERS[provider]) && !(provider === 'fake' && process.env.NODE_ENV === 'production');
+
+/**
+ * Build the adapter of a branch's payment gateway.
+ * Secret fields must have been selected (`+paymentGateways.secretKey +paymentGateways.webhookSecret`);
+ * they are stored encrypted and decrypted here.
+ * @param {object} settings - Setting document
+ * @param {object} [options]
+ * @param {string} [options.provider] - Specific provider; defaults to the first active supported one
+ * @param {boolean} [options.includeInactive] - Also match inactive gateways (webhooks for past payments)
+ * @returns {object|null} Adapter, or null when no usable gateway is configured
+ */
+const getPaymentGateway = (settings, { provider, includeInactive = false } = {}) => {
+  const gateway = (settings?.paymentGateways || []).find(entry =>
+    (includeInactive || entry.isActive) &&
+    (!provider || entry.provider === provider) &&
+    isProviderAllowed(entry.provider)
+  );
+  if (!gateway) return null;
+
+  return ADAPTERS[gateway.provider]({
+    apiKey: gateway.apiKey,
+    secretKey: decryptSecret(gateway.secretKey),
+    webhookSecret: decryptSecret(gateway.webhookSecret),
+    testMode: gateway.testMode
+  });
+};
+
+module.exports = {
+  PAYMENT_EVENT_TYPES,
+  SUPPORTED_PROVIDERS,
+  toMinorUnits,
+  fromMinorUnits,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  getPaymentGateway
+};
@@ -0,0 +1,198 @@
+// Online payment flow of an order.
+// Orders paid by card get a gateway payment intent when they are created; the
+// client completes the payment with the intent's client secret and the gateway
+// reports the outcome through a signed webhook. Only then does the order move
+// to paid (or failed) and, on auto-accept branches, to confirmed.
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const Setting = require('../models/Setting');
+const { PAYMENT_EVENT_TYPES, getPaymentGateway, toMinorUnits } = require('./paymentGateway');
+const { checkTransition, isAwaitingPayment } = require('./orderStatusMachine');
+const { SYSTEM_ACTOR, buildTrackingUpdate } = require('./orderLifecycle');
+const { releaseOrderStock, reclaimOrderStock } = require('./stockService');
+const { ORDER_EVENT_TYPES, publishOrderEvent, latestTrackingUpdate } = require('./orderEvents');
+const { sendOrderStatusNotification } = require('./notificationService');
+
+const GATEWAY_SECRETS = '+paymentGateways.secretKey +paymentGateways.webhookSecret';
+
+const createPaymentError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Load a branch's settings with the gateway secrets
+ * @param {string} branchId
+ * @returns {Promise<object|null>} Setting document
+ */
+const loadPaymentSettings = (branchId) => Setting.findOne({ branchId }).select(GATEWAY_SECRETS);
+
+// What the client needs to complete the payment
+const toPublicIntent = (provider, intent) => ({
+  provider,
+  intentId: intent.id,
+  clientSecret: intent.clientSecret,
+  status: intent.status
+});
+
+/**
+ * Create the payment intent of an order, or return the one it already has.
+ * @param {object} order - Order document
+ * @param {object} [options] - { settings } to reuse an already loaded Setting (with secrets)
+ * @returns {Promise<object>} { provider, intentId, clientSecret, status }
+ */
+const ensurePaymentIntent = async (order, { settings } = {}) => {
+  if (!isAwaitingPayment(order)) {
+    throw createPaymentError(
+      order.paymentStatus === 'paid' ? 'Order is already paid' : 'Order is not paid online',
+      order.paymentStatus === 'paid' ? 'ORDER_ALREADY_PAID' : 'PAYMENT_NOT_REQUIRED',
+      409
+    );
+  }
+  if (['cancelled', 'refunded'].includes(order.status)) {
+    throw createPaymentError(`A ${order.status} order cannot be paid`, 'ORDER_NOT_PAYABLE', 409);
+  }
+
+  // A failed payment gave the stock back; take it again before the retry
+  await reclaimOrderStock(order);
+
+  const branchId = order.branchId?._id || order.branchId;
+  const paymentSettings = settings || await loadPaymentSettings(branchId);
+  const existingProvider = order.paymentDetails?.paymentGateway;
+  const gateway = getPaymentGateway(paymentSettings, {
+    provider: order.paymentDetails?.intentId ? existingProvider : undefined,
+    includeInactive: Boolean(order.paymentDetails?.intentId)
+  });
+  if (!gateway) {
+    throw createPaymentError('No payment gateway is configured for this branch', 'PAYMENT_GATEWAY_UNAVAILABLE');
+  }
+
+  if (order.paymentDetails?.intentId) {
+    const intent = await gateway.retrievePaymentIntent(order.paymentDetails.intentId);
+    return toPublicIntent(gateway.provider, intent);
+  }
+
+  const branch = await Branch.findById(branchId).select('currency').lean();
+  // The idempotency key makes retries return the same intent instead of a second one
+  const intent = await gateway.createPaymentIntent({
+    amount: order.total,
+    currency: branch?.currency || paymentSettings?.currency || 'EUR',
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    branchId,
+    idempotencyKey: `order-${order._id}`
+  });
+
+  await Order.updateOne(
+    { _id: order._id, 'paymentDetails.intentId': { $exists: false } },
+    {
+      $set: {
+        'paymentDetails.intentId': intent.id,
+        'paymentDetails.paymentGateway': gateway.provider,
+        'paymentDetails.intentCreatedAt': new Date()
+      }
+    }
+  );
+
+  return toPublicIntent(gateway.provider, intent);
+};
+
+// Confirm a freshly paid order on branches that accept orders automatically
+const autoConfirmPaidOrder = async (order, settings) => {
+  if (!settings?.orderSettings?.autoAcceptOrders || order.status !== 'pending') return;
+  if (!checkTransition(order, 'confirmed', SYSTEM_ACTOR.role).allowed) return;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'pending' },
+    {
+      $set: { status: 'confirmed' },
+      $push: { trackingUpdates: buildTrackingUpdate('confirmed', 'Payment received, order accepted automatically', SYSTEM_ACTOR) }
+    },
+    { new: true }
+  );
+  if (!updated) return;
+
+  publishOrderEvent(ORDER_EVENT_TYPES.STATUS, updated, { trackingUpdate: latestTrackingUpdate(updated) });
+  try {
+    await sendOrderStatusNotification(updated.userId.toString(), updated, 'confirmed');
+  } catch (error) {
+    console.error(`Payment: notification failed for order ${updated.orderNumber}:`, error.message);
+  }
+};
+
+// Refund a payment captured for an order that was already cancelled. A failed
+// refund is logged for staff to retry through the refunds endpoint; the event
+// itself is still handled so the gateway stops retrying it. Resolves to the
+// order's payment status afterwards.
+const refundLatePayment = async (order) => {
+  // Required here: the refund service itself depends on this module
+  const { issueRefund } = require('./refundService');
+  try {
+    const { order: refunded } = await issueRefund(order._id, { reason: 'Payment received after the order was cancelled' });
+    return refunded.paymentStatus;
+  } catch (error) {
+    console.error(`Payment: refund of order ${order.orderNumber}, paid after being cancelled, failed:`, error.message);
+    return order.paymentStatus;
+  }
+};
+
+/**
+ * Apply a verified gateway webhook event to its order
+ * @param {object} event - Normalized event from the gateway adapter
+ * @param {object} context - { branchId, provider, settings }
+ * @returns {Promise<object>} { handled, reason?, orderId?, paymentStatus? }
+ */
+const applyPaymentEvent = async (event, { branchId, provider, settings }) => {
+  if (event.type === PAYMENT_EVENT_TYPES.IGNORED || !event.intentId) {
+    return { handled: false, reason: 'EVENT_IGNORED' };
+  }
+
+  const order = await Order.findOne({ branchId, 'paymentDetails.intentId': event.intentId });
+  if (!order) return { handled: false, reason: 'ORDER_NOT_FOUND' };
+
+  // Gateways retry and may deliver events out of order; a paid order stays paid
+  if (order.paymentStatus === 'paid') {
+    return { handled: false, reason: 'ALREADY_PAID', orderId: order._id, paymentStatus: order.paymentStatus };
+  }
+
+  if (event.type === PAYMENT_EVENT_TYPES.SUCCEEDED) {
+    const branch = await Branch.findById(branchId).select('currency').lean();
+    const expected = toMinorUnits(order.total, branch?.currency || settings?.currency || 'EUR');
+    if (event.amount !== undefined && event.amount !== expected) {
+      console.error(`Payment: order ${order.orderNumber} expected ${expected} but intent ${event.intentId} captured ${event.amount}`);
+      return { handled: false, reason: 'AMOUNT_MISMATCH', orderId: order._id, paymentStatus: order.paymentStatus };
+    }
+
+    await order.updatePaymentStatus('paid', { transactionId: event.transactionId, paymentGateway: provider });
+    if (order.status === 'cancelled') {
+      // Paid after the order timed out: give the money straight back (the
+      // order is not invoiced, see invoiceService.isInvoiceable)
+      const paymentStatus = await refundLatePayment(order);
+      return { handled: true, orderId: order._id, paymentStatus };
+    }
+
+    // Paid on a retry the gateway took without a new intent request
+    try {
+      await reclaimOrderStock(order);
+    } catch (error) {
+      console.warn(`Payment: order ${order.orderNumber} was paid but its items sold out:`, error.message);
+    }
+    await autoConfirmPaidOrder(order, settings);
+  } else {
+    await order.updatePaymentStatus('failed', {
+      paymentGateway: provider,
+      failureReason: event.failureReason || 'Payment failed'
+    });
+    await releaseOrderStock(order, 'payment-failed');
+  }
+
+  return { handled: true, orderId: order._id, paymentStatus: order.paymentStatus };
+};
+
+module.exports = {
+  loadPaymentSettings,
+  ensurePaymentIntent,
+  applyPaymentEvent
+};
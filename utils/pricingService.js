@@ -0,0 +1,647 @@
+// Server-side pricing engine for orders.
+// Every figure the client sends (unit prices, subtotal, delivery fee, tax,
+// total) is rebuilt here from the FoodItem documents and branch settings, so
+// the stored order never depends on what a particular app version computed.
+const { getMenuAvailability } = require('./menuSchedule');
+
+// Allowed difference between client-submitted and server-computed amounts.
+// Absorbs float rounding on the clients; anything larger is a real mismatch.
+const PRICE_TOLERANCE = parseFloat(process.env.ORDER_PRICE_TOLERANCE || '0.05');
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Client option names arrive either as plain strings or as multilingual objects
+const extractOptionName = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'object') {
+    if (value.name !== undefined) return extractOptionName(value.name);
+    return String(value.en || value.es || value.ca || value.ar || value.fr || '').trim();
+  }
+  return String(value).trim();
+};
+
+// Collect every translation of a multilingual name so a client in any
+// language can match the same option
+const optionNameVariants = (name) => {
+  if (!name) return [];
+  if (typeof name === 'string') return [name.trim().toLowerCase()];
+  return ['en', 'es', 'ca', 'ar', 'fr']
+    .map(lang => (name[lang] || '').trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Find a FoodItem option (meal size, extra, addon) by the name the client sent
+ * @param {Array} options - Option subdocuments from the FoodItem
+ * @param {string|object} clientName - Name as submitted by the client
+ * @returns {object|null} Matching option or null
+ */
+const findOptionByName = (options, clientName) => {
+  const wanted = extractOptionName(clientName).toLowerCase();
+  if (!wanted || !Array.isArray(options)) return null;
+  return options.find(option => optionNameVariants(option.name).includes(wanted)) || null;
+};
+
+// Customer-facing wording of a group's selection rule
+const describeSelectionRule = (groupName, min, max) => {
+  if (min === max) return `Choose exactly ${min} in "${groupName}"`;
+  if (max === Infinity) return `Choose at least ${min} in "${groupName}"`;
+  if (min > 0) return `Choose between ${min} and ${max} in "${groupName}"`;
+  return `Choose up to ${max} in "${groupName}"`;
+};
+
+/**
+ * Resolve the modifier selections of a cart line against the item's modifier
+ * groups. Groups the client leaves out get their default options; an empty
+ * `options` array explicitly picks nothing.
+ * @param {Array} groups - FoodItem.modifierGroups (or the groups of a picked option)
+ * @param {Array} selections - [{ groupId, options: [{ optionId, quantity, modifiers }] }]
+ * @param {string} foodItemId - For error reporting
+ * @param {object} [parentOptionId] - Option that opened these groups
+ * @returns {{ modifiers: Array, price: number }|{ error: object }} `price` is per unit of the line
+ */
+const resolveModifiers = (groups, selections, foodItemId, parentOptionId) => {
+  const fail = (code, message, details = {}) => ({ error: { foodItem: foodItemId, code, message, ...details } });
+  const requested = Array.isArray(selections) ? selections : [];
+  const offered = groups || [];
+
+  const unknownGroup = requested.find(selection =>
+    !offered.some(group => group._id.toString() === String(selection?.groupId)));
+  if (unknownGroup) {
+    return fail('UNKNOWN_MODIFIER_GROUP', `Modifier group ${unknownGroup?.groupId} is not offered for this item`);
+  }
+
+  const modifiers = [];
+  let price = 0;
+
+  for (const group of offered) {
+    const groupName = extractOptionName(group.name);
+    const selection = requested.find(entry => String(entry.groupId) === group._id.toString());
+    const picks = selection
+      ? (Array.isArray(selection.options) ? selection.options : [])
+      : group.options
+        .filter(option => option.isDefault && option.isAvailable)
+        .map(option => ({ optionId: option._id }));
+
+    let selected = 0;
+    const seen = new Set();
+    for (const pick of picks) {
+      const optionId = String(pick?.optionId);
+      const option = group.options.find(candidate => candidate._id.toString() === optionId);
+      if (!option) {
+        return fail('UNKNOWN_MODIFIER_OPTION', `Option ${optionId} is not offered in "${groupName}"`, { groupId: group._id });
+      }
+      const name = extractOptionName(option.name);
+      if (seen.has(optionId)) {
+        return fail('DUPLICATE_MODIFIER_OPTION', `"${name}" was picked twice in "${groupName}"; use quantity instead`, { groupId: group._id, optionId: option._id });
+      }
+      seen.add(optionId);
+      if (!option.isAvailable) {
+        return fail('MODIFIER_OPTION_UNAVAILABLE', `"${name}" is currently unavailable`, { groupId: group._id, optionId: option._id });
+      }
+
+      const quantity = pick.quantity === undefined ? 1 : Number(pick.quantity);
+      const maxQuantity = option.maxQuantity || 1;
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity) {
+        return fail('MODIFIER_QUANTITY_INVALID', `"${name}" can be picked up to ${maxQuantity} time(s)`, { groupId: group._id, optionId: option._id });
+      }
+
+      // Leaving an ingredient out never changes the price
+      const optionPrice = group.kind === 'removal' ? 0 : roundMoney(option.price || 0);
+      modifiers.push({
+        groupId: group._id,
+        groupName,
+        kind: group.kind || 'choice',
+        optionId: option._id,
+        name,
+        quantity,
+        price: optionPrice,
+        parentOptionId
+      });
+      selected += quantity;
+
+      const nested = resolveModifiers(option.modifierGroups, pick.modifiers, foodItemId, option._id);
+      if (nested.error) return nested;
+      modifiers.push(...nested.modifiers);
+      price += (optionPrice + nested.price) * quantity;
+    }
+
+    const min = group.minSelections || 0;
+    const max = group.maxSelections ?? Infinity;
+    if (selected < min || selected > max) {
+      return fail('MODIFIER_SELECTION_INVALID', describeSelectionRule(groupName, min, max), {
+        groupId: group._id,
+        minSelections: min,
+        maxSelections: group.maxSelections ?? null
+      });
+    }
+  }
+
+  return { modifiers, price: roundMoney(price) };
+};
+
+/**
+ * Rebuild a single cart line from its FoodItem
+ * @param {object} item - Cart line as submitted by the client
+ * @param {object} foodItem - FoodItem document
+ * @returns {{ line: object|null, error: object|null }}
+ */
+const priceCartItem = (item, foodItem) => {
+  const foodItemId = foodItem._id.toString();
+  const quantity = parseInt(item.quantity, 10);
+  let unitPrice = foodItem.price;
+
+  let selectedMealSize;
+  const mealSizeName = extractOptionName(item.selectedMealSize);
+  if (mealSizeName) {
+    const mealSize = findOptionByName(foodItem.mealSizes, mealSizeName);
+    if (!mealSize) {
+      return {
+        error: {
+          foodItem: foodItemId,
+          code: 'UNKNOWN_MEAL_SIZE',
+          message: `Meal size "${mealSizeName}" is not offered for this item`
+        }
+      };
+    }
+    selectedMealSize = { name: mealSizeName, additionalPrice: mealSize.additionalPrice || 0 };
+    unitPrice += selectedMealSize.additionalPrice;
+  }
+
+  const resolveOptions = (selected, options, kind) => {
+    const resolved = [];
+    for (const entry of Array.isArray(selected) ? selected : []) {
+      const name = extractOptionName(entry);
+      if (!name) continue;
+      const option = findOptionByName(options, name);
+      if (!option) {
+        return {
+          error: {
+            foodItem: foodItemId,
+            code: kind === 'extra' ? 'UNKNOWN_EXTRA' : 'UNKNOWN_ADDON',
+            message: `${kind === 'extra' ? 'Extra' : 'Addon'} "${name}" is not offered for this item`
+          }
+        };
+      }
+      const resolvedOption = { name, price: option.price || 0 };
+      if (kind === 'addon') resolvedOption.imageUrl = option.imageUrl;
+      resolved.push(resolvedOption);
+    }
+    return { resolved };
+  };
+
+  const extras = resolveOptions(item.selectedExtras, foodItem.extras, 'extra');
+  if (extras.error) return { error: extras.error };
+  const addons = resolveOptions(item.selectedAddons, foodItem.addons, 'addon');
+  if (addons.error) return { error: addons.error };
+
+  const modifiers = resolveModifiers(foodItem.modifierGroups, item.modifiers, foodItemId);
+  if (modifiers.error) return { error: modifiers.error };
+
+  unitPrice += extras.resolved.reduce((sum, extra) => sum + extra.price, 0);
+  unitPrice += addons.resolved.reduce((sum, addon) => sum + addon.price, 0);
+  unitPrice += modifiers.price;
+  unitPrice = roundMoney(unitPrice);
+
+  return {
+    line: {
+      foodItem: foodItem._id,
+      quantity,
+      selectedMealSize,
+      selectedExtras: extras.resolved,
+      selectedAddons: addons.resolved,
+      modifiers: modifiers.modifiers,
+      specialInstructions: item.specialInstructions,
+      unitPrice,
+      totalPrice: roundMoney(unitPrice * quantity)
+    }
+  };
+};
+
+/**
+ * Availability warnings for a cart line. These never block pricing; they let
+ * checkout screens flag lines before the customer places the order. Stock
+ * shortages of items that track inventory or lack ingredients are errors (see priceOrder).
+ * @param {object} foodItem - FoodItem document
+ * @returns {Array} Warning objects ({ code, message })
+ */
+const getAvailabilityWarnings = (foodItem) => {
+  const warnings = [];
+
+  switch (foodItem.availabilityStatus) {
+    case 'unavailable':
+      warnings.push({ code: 'ITEM_NOT_AVAILABLE', message: 'This item is currently unavailable' });
+      break;
+    case 'upcoming':
+      warnings.push({ code: 'ITEM_NOT_YET_AVAILABLE', message: 'This item is not available yet' });
+      break;
+    case 'expired':
+      warnings.push({ code: 'ITEM_NO_LONGER_AVAILABLE', message: 'This item is no longer available' });
+      break;
+    case 'low-stock':
+      warnings.push({
+        code: 'LOW_STOCK',
+        message: `Only ${foodItem.stockQuantity} left`,
+        available: foodItem.stockQuantity
+      });
+      break;
+    default:
+      break;
+  }
+
+  return warnings;
+};
+
+// Units of an item that can be sold: its stock when it tracks inventory, and
+// the portions its recipe's ingredients allow; Infinity when neither limits it
+const getSellableQuantity = (foodItem) => Math.min(
+  foodItem.trackInventory ? foodItem.stockQuantity : Infinity,
+  foodItem.availablePortions ?? Infinity
+);
+
+/**
+ * Stock errors of the items that track inventory or are made from a recipe,
+ * with the quantities of all lines ordering the same item added up. Ingredients
+ * used by picked modifier options are only checked when the order is placed.
+ * @param {Array} requests - [{ index, foodItem, quantity }] per priced line
+ * @returns {Array} Error objects ({ index, foodItem, code, message, name, requested, available })
+ */
+const getStockErrors = (requests) => {
+  const totals = new Map();
+  requests
+    .filter(({ foodItem }) => getSellableQuantity(foodItem) !== Infinity)
+    .forEach(({ index, foodItem, quantity }) => {
+      const id = foodItem._id.toString();
+      const entry = totals.get(id) || { index, foodItem, requested: 0 };
+      entry.requested += quantity;
+      totals.set(id, entry);
+    });
+
+  return [...totals.values()]
+    .filter(({ foodItem, requested }) => requested > getSellableQuantity(foodItem))
+    .map(({ index, foodItem, requested }) => {
+      const available = Math.max(getSellableQuantity(foodItem), 0);
+      const name = foodItem.name?.en;
+      return {
+        index,
+        foodItem: foodItem._id.toString(),
+        code: available > 0 ? 'INSUFFICIENT_STOCK' : 'OUT_OF_STOCK',
+        message: available > 0
+          ? `Only ${available} of ${name} left in stock, ${requested} requested`
+          : `${name} is out of stock`,
+        name,
+        requested,
+        available
+      };
+    });
+};
+
+/**
+ * Tax class of a food item: its own, else its category's (when populated),
+ * else the branch default
+ * @param {object} foodItem - FoodItem document
+ * @param {string} [defaultTaxClass] - Setting.defaultTaxClass
+ * @returns {string} '' when the item has no class
+ */
+const resolveTaxClass = (foodItem, defaultTaxClass = '') =>
+  foodItem?.taxClass || foodItem?.category?.taxClass || defaultTaxClass || '';
+
+/**
+ * Taxable amount per tax class after item discounts. Discounts are spread
+ * over the classes in proportion to their share of the subtotal.
+ * @param {Array} lines - Priced cart lines ({ taxClass, totalPrice })
+ * @param {number} [discount] - Discount that reduces the taxable amount
+ * @returns {Array} [{ taxClass, amount }]
+ */
+const allocateTaxableAmounts = (lines, discount = 0) => {
+  const totals = new Map();
+  lines.forEach(line => {
+    const taxClass = line.taxClass || '';
+    totals.set(taxClass, roundMoney((totals.get(taxClass) || 0) + line.totalPrice));
+  });
+
+  const subtotal = roundMoney([...totals.values()].reduce((sum, amount) => sum + amount, 0));
+  const entries = [...totals.entries()];
+  let remainingDiscount = roundMoney(Math.min(discount, subtotal));
+
+  return entries.map(([taxClass, amount], index) => {
+    // The last class takes the rounding remainder so the shares add up
+    const share = index === entries.length - 1
+      ? remainingDiscount
+      : roundMoney(subtotal > 0 ? (discount * amount) / subtotal : 0);
+    remainingDiscount = roundMoney(remainingDiscount - share);
+    return { taxClass, amount: roundMoney(Math.max(0, amount - share)) };
+  });
+};
+
+/**
+ * Compute tax lines from the branch taxSettings.
+ * A tax entry with a taxClass applies to the items of that class; one without
+ * is the default rate, applied to the items whose class has no entry of its own
+ * (so no item is taxed twice). Exclusive percentage taxes are added on top of the
+ * taxable amount, inclusive ones are extracted from it for reporting only,
+ * fixed taxes are flat amounts charged once per order.
+ * @param {Array|number} taxable - Result of allocateTaxableAmounts, or a single
+ *   amount taxed by the entries without a class
+ * @param {Array} taxSettings - Setting.taxSettings
+ * @returns {{ tax: number, taxLines: Array }} Each line has the base it was computed on
+ */
+const calculateTax = (taxable, taxSettings = []) => {
+  const amounts = Array.isArray(taxable) ? taxable : [{ taxClass: '', amount: taxable }];
+  const taxLines = [];
+  let tax = 0;
+
+  const activeSettings = (taxSettings || []).filter(setting => setting && setting.isActive !== false);
+  const classesWithRate = new Set(activeSettings
+    .filter(setting => setting.taxClass && setting.taxType !== 'fixed')
+    .map(setting => setting.taxClass));
+
+  for (const setting of activeSettings) {
+    const taxClass = setting.taxClass || '';
+    const classAmounts = amounts.filter(entry => (taxClass
+      ? entry.taxClass === taxClass
+      : !classesWithRate.has(entry.taxClass)));
+    if (classAmounts.length === 0 && (taxClass || setting.taxType !== 'fixed')) continue; // nothing it applies to
+
+    const taxableAmount = roundMoney(classAmounts.reduce((sum, entry) => sum + entry.amount, 0));
+
+    let amount;
+    let base;
+    if (setting.taxType === 'fixed') {
+      amount = roundMoney(setting.taxRate);
+      base = 0;
+    } else if (setting.isInclusive) {
+      amount = roundMoney(taxableAmount - taxableAmount / (1 + setting.taxRate / 100));
+      base = roundMoney(taxableAmount - amount);
+    } else {
+      amount = roundMoney((taxableAmount * setting.taxRate) / 100);
+      base = taxableAmount;
+    }
+
+    taxLines.push({
+      name: setting.taxName || 'Tax',
+      rate: setting.taxRate,
+      type: setting.taxType || 'percentage',
+      isInclusive: Boolean(setting.isInclusive),
+      taxClass: taxClass || undefined,
+      base,
+      amount
+    });
+
+    if (!setting.isInclusive || setting.taxType === 'fixed') {
+      tax += amount;
+    }
+  }
+
+  return { tax: roundMoney(tax), taxLines };
+};
+
+// Distance band covering a distance; bands are [fromKm, toKm)
+const findDistanceBand = (bands, distanceKm) => {
+  if (!bands || bands.length === 0 || distanceKm === undefined || distanceKm === null) return null;
+  return [...bands]
+    .sort((a, b) => a.fromKm - b.fromKm)
+    .find(band => distanceKm >= band.fromKm && (band.toKm === undefined || band.toKm === null || distanceKm < band.toKm)) || null;
+};
+
+/**
+ * Delivery fee for an order, with the breakdown stored on the order.
+ * The base fee comes from, in order of precedence: the matched delivery zone,
+ * the distance band covering the branch-to-address distance, then
+ * defaultDeliveryFee. Orders at or above freeDeliveryThreshold pay nothing.
+ * Pickup and in-shop orders are always free.
+ * @param {object} params
+ * @param {object} [params.deliverySettings] - Setting.deliverySettings
+ * @param {object} [params.deliveryArea] - Result of resolveDeliveryArea
+ * @param {number} [params.subtotal] - Order subtotal; the threshold is skipped when omitted
+ * @param {string} params.deliveryType - 'delivery', 'pickup' or 'in-shop'
+ * @returns {object} { fee, breakdown }
+ */
+const calculateDeliveryFee = ({ deliverySettings, deliveryArea, subtotal, deliveryType }) => {
+  if (deliveryType !== 'delivery') {
+    return { fee: 0, breakdown: null };
+  }
+
+  const settings = deliverySettings || {};
+  const breakdown = {
+    method: 'default',
+    baseFee: 0,
+    distanceKm: deliveryArea?.distance ?? null,
+    zone: null,
+    band: null,
+    freeDeliveryThreshold: settings.freeDeliveryThreshold || 0,
+    thresholdApplied: false,
+    fee: 0
+  };
+
+  const band = findDistanceBand(settings.distanceBands, deliveryArea?.distance);
+
+  if (deliveryArea?.zone && deliveryArea.deliveryFee !== undefined) {
+    breakdown.method = 'zone';
+    breakdown.zone = { zoneId: deliveryArea.zone.id, name: deliveryArea.zone.name };
+    breakdown.baseFee = roundMoney(deliveryArea.deliveryFee);
+  } else if (band) {
+    breakdown.method = 'distance-band';
+    breakdown.band = { fromKm: band.fromKm, toKm: band.toKm ?? null };
+    breakdown.baseFee = roundMoney(band.fee);
+  } else {
+    breakdown.baseFee = roundMoney(settings.defaultDeliveryFee || 0);
+  }
+
+  breakdown.thresholdApplied = breakdown.freeDeliveryThreshold > 0 &&
+    subtotal !== undefined && subtotal >= breakdown.freeDeliveryThreshold;
+  breakdown.fee = breakdown.thresholdApplied ? 0 : breakdown.baseFee;
+
+  return { fee: breakdown.fee, breakdown };
+};
+
+/**
+ * Price a whole order from the database documents.
+ * @param {object} params
+ * @param {Array} params.items - Cart lines as submitted by the client
+ * @param {object} params.foodItemMap - FoodItem documents keyed by id string
+ * @param {object} [params.settings] - Branch Setting document
+ * @param {string} params.deliveryType - 'delivery', 'pickup' or 'in-shop'
+ * @param {object} [params.offer] - Offer document to apply
+ * @param {number} [params.firstOrderDiscountPercentage] - Percentage when the first-order discount applies
+ * @param {object} [params.deliveryArea] - Result of resolveDeliveryArea for delivery orders
+ * @param {Date} [params.menuTime] - When the order is served (scheduledFor or now), checked
+ *   against the items' menu windows
+ * @param {string} [params.timezone] - IANA timezone of the branch
+ * @returns {object} Pricing breakdown; `errors` is non-empty when a line cannot be priced
+ *   or is short of stock, `warnings` lists per-line availability issues, `offerError` is
+ *   set when the offer does not apply to this cart
+ */
+const priceOrder = ({
+  items,
+  foodItemMap,
+  settings,
+  deliveryType,
+  offer = null,
+  firstOrderDiscountPercentage = 0,
+  deliveryArea = null,
+  menuTime = new Date(),
+  timezone
+}) => {
+  const lines = [];
+  const errors = [];
+  const warnings = [];
+  const stockRequests = [];
+
+  items.forEach((item, index) => {
+    const foodItemId = (item.foodItem?.id || item.foodItem?._id || item.foodItem).toString();
+    const foodItem = foodItemMap[foodItemId];
+
+    if (!foodItem || !foodItem.isActive) {
+      errors.push({
+        index,
+        foodItem: foodItemId,
+        code: 'ITEM_UNAVAILABLE',
+        message: `Food item ${foodItemId} is not available`
+      });
+      return;
+    }
+
+    const menuAvailability = getMenuAvailability(foodItem, { at: menuTime, timezone });
+    if (!menuAvailability.available) {
+      errors.push({
+        index,
+        foodItem: foodItemId,
+        code: menuAvailability.code,
+        message: menuAvailability.reason,
+        availableAt: menuAvailability.availableAt
+      });
+      return;
+    }
+
+    const { line, error } = priceCartItem(item, foodItem);
+    if (error) {
+      errors.push({ index, ...error });
+      return;
+    }
+    line.taxClass = resolveTaxClass(foodItem, settings?.defaultTaxClass) || undefined;
+    lines.push(line);
+    stockRequests.push({ index, foodItem, quantity: line.quantity });
+
+    getAvailabilityWarnings(foodItem).forEach(warning => {
+      warnings.push({ index, foodItem: foodItemId, ...warning });
+    });
+  });
+  errors.push(...getStockErrors(stockRequests));
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+
+  const { fee: deliveryFee, breakdown: deliveryFeeBreakdown } = calculateDeliveryFee({
+    deliverySettings: settings?.deliverySettings,
+    deliveryArea,
+    subtotal,
+    deliveryType
+  });
+
+  let offerDiscount = 0;
+  let deliveryFeeWaived = 0;
+  let appliedOffer = null;
+  let offerError = null;
+  if (offer) {
+    const result = offer.calculateDiscount({ subtotal, items: lines, deliveryType, deliveryFee });
+    if (!result.valid) {
+      offerError = { code: result.code || 'COUPON_NOT_APPLICABLE', message: result.reason };
+    } else {
+      offerDiscount = result.discount;
+      deliveryFeeWaived = result.deliveryFeeWaived || 0;
+      appliedOffer = {
+        id: offer._id,
+        title: offer.title,
+        type: offer.type,
+        couponCode: offer.couponCode,
+        discount: offerDiscount
+      };
+    }
+  }
+
+  const firstOrderDiscount = firstOrderDiscountPercentage > 0
+    ? roundMoney((subtotal * firstOrderDiscountPercentage) / 100)
+    : 0;
+
+  // Item discounts reduce the taxable amount; a waived delivery fee does not
+  const itemDiscount = roundMoney(Math.min(subtotal, offerDiscount - deliveryFeeWaived + firstOrderDiscount));
+  const discount = roundMoney(itemDiscount + deliveryFeeWaived);
+  const { tax, taxLines } = calculateTax(allocateTaxableAmounts(lines, itemDiscount), settings?.taxSettings);
+  const total = roundMoney(subtotal - discount + deliveryFee + tax);
+
+  if (deliveryFeeBreakdown) {
+    deliveryFeeBreakdown.offerWaived = deliveryFeeWaived;
+    deliveryFeeBreakdown.charged = roundMoney(deliveryFee - deliveryFeeWaived);
+  }
+
+  return {
+    items: lines,
+    subtotal,
+    discount,
+    offer: appliedOffer,
+    firstOrderDiscount,
+    deliveryFee,
+    deliveryFeeBreakdown,
+    tax,
+    taxLines,
+    total,
+    offerError,
+    errors,
+    warnings
+  };
+};
+
+/**
+ * Compare client-submitted amounts against the server pricing.
+ * Only amounts the client actually sent are compared.
+ * @param {object} clientValues - { items, subtotal, deliveryFee, tax, total } from the request body
+ * @param {object} pricing - Result of priceOrder
+ * @param {number} [tolerance]
+ * @returns {Array} One entry per mismatching field; empty when everything agrees
+ */
+const comparePricing = (clientValues, pricing, tolerance = PRICE_TOLERANCE) => {
+  const diff = [];
+
+  const check = (field, received, expected) => {
+    if (received === undefined || received === null || received === '') return;
+    const value = Number(received);
+    if (Number.isNaN(value) || Math.abs(value - expected) > tolerance) {
+      diff.push({
+        field,
+        expected,
+        received: Number.isNaN(value) ? received : value,
+        difference: Number.isNaN(value) ? null : roundMoney(value - expected)
+      });
+    }
+  };
+
+  (clientValues.items || []).forEach((item, index) => {
+    const line = pricing.items[index];
+    if (!line || !item) return;
+    check(`items[${index}].unitPrice`, item.unitPrice, line.unitPrice);
+    check(`items[${index}].totalPrice`, item.totalPrice, line.totalPrice);
+  });
+
+  check('subtotal', clientValues.subtotal, pricing.subtotal);
+  check('deliveryFee', clientValues.deliveryFee, pricing.deliveryFee);
+  check('tax', clientValues.tax, pricing.tax);
+  check('total', clientValues.total, pricing.total);
+
+  return diff;
+};
+
+module.exports = {
+  PRICE_TOLERANCE,
+  roundMoney,
+  findOptionByName,
+  resolveModifiers,
+  priceCartItem,
+  getAvailabilityWarnings,
+  resolveTaxClass,
+  allocateTaxableAmounts,
+  calculateTax,
+  calculateDeliveryFee,
+  priceOrder,
+  comparePricing
+};
@@ -0,0 +1,128 @@
+// Print queue shared by the print routes and the automatic printing of
+// confirmed orders. Jobs only reference the order; the ticket is rendered when
+// an agent claims the job, so reprints always show the current order.
+const PrintJob = require('../models/PrintJob');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const Setting = require('../models/Setting');
+const { ORDER_EVENT_TYPES, subscribeOrderEvents } = require('./orderEvents');
+const { renderOrderTicket, DEFAULT_PAPER_WIDTH } = require('./receiptRenderer');
+
+const CLAIM_TIMEOUT = 2 * 60 * 1000; // claims without a result are handed out again after this
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Load an order with what the ticket renderer needs
+ * @param {string} orderId
+ * @param {string} branchId
+ * @returns {Promise<object|null>}
+ */
+const loadPrintableOrder = (orderId, branchId) => Order.findOne({ _id: orderId, branchId })
+  .populate('items.foodItem', 'name');
+
+/**
+ * Render a print job's order
+ * @param {object} job - PrintJob document
+ * @param {object} [options] - { format, width }
+ * @returns {Promise<object|null>} { contentType, body }, or null when the order is gone
+ */
+const renderPrintJob = async (job, { format = 'escpos', width } = {}) => {
+  const [order, branch, settings] = await Promise.all([
+    loadPrintableOrder(job.orderId, job.branchId),
+    Branch.findById(job.branchId).lean(),
+    width ? null : Setting.findOne({ branchId: job.branchId }).select('printSettings').lean()
+  ]);
+  if (!order) return null;
+
+  return renderOrderTicket(order, {
+    kind: job.kind,
+    format,
+    branch: branch || {},
+    width: width || settings?.printSettings?.paperWidth || DEFAULT_PAPER_WIDTH
+  });
+};
+
+/**
+ * Queue the automatic tickets of a confirmed order, as configured in
+ * Setting.printSettings. Safe to call more than once per order.
+ * @param {object} params - { orderId, branchId }
+ * @returns {Promise<number>} Number of jobs queued
+ */
+const queueConfirmedOrderPrints = async ({ orderId, branchId }) => {
+  const settings = await Setting.findOne({ branchId }).select('printSettings').lean();
+  const printSettings = settings?.printSettings || {};
+  if (printSettings.autoPrintOnConfirm === false) return 0;
+
+  const jobs = [{ kind: 'kitchen', copies: printSettings.kitchenCopies ?? 1 }];
+  if (printSettings.printReceiptOnConfirm) {
+    jobs.push({ kind: 'receipt', copies: printSettings.receiptCopies ?? 1 });
+  }
+
+  let queued = 0;
+  for (const job of jobs.filter(entry => entry.copies > 0)) {
+    // Upsert on the unique (orderId, kind, auto) index so an order is printed once
+    const result = await PrintJob.updateOne(
+      { orderId, kind: job.kind, source: 'auto' },
+      { $setOnInsert: { branchId, copies: job.copies, status: 'pending' } },
+      { upsert: true }
+    );
+    queued += result.upsertedCount || 0;
+  }
+  return queued;
+};
+
+/**
+ * Print kitchen tickets (and receipts, if configured) whenever an order is
+ * confirmed, whether by staff, auto-accept at checkout or a background job.
+ * @returns {Function} Unsubscribe
+ */
+const startAutoPrint = () => subscribeOrderEvents(async (event) => {
+  const confirmed = event.data.status === 'confirmed' &&
+    [ORDER_EVENT_TYPES.CREATED, ORDER_EVENT_TYPES.STATUS].includes(event.type);
+  if (!confirmed) return;
+
+  await queueConfirmedOrderPrints({ orderId: event.orderId, branchId: event.branchId });
+});
+
+/**
+ * Claim pending jobs of a branch for a print agent
+ * @param {object} params - { branchId, agentId, printer, limit }
+ * @returns {Promise<Array>} Claimed PrintJob documents, oldest first
+ */
+const claimPrintJobs = async ({ branchId, agentId, printer, limit = 5 }) => {
+  const staleBefore = new Date(Date.now() - CLAIM_TIMEOUT);
+  const filter = {
+    branchId,
+    attempts: { $lt: MAX_ATTEMPTS },
+    $or: [
+      { status: 'pending' },
+      { status: 'printing', claimedAt: { $lt: staleBefore } }
+    ]
+  };
+  if (printer) filter.printer = printer;
+
+  const claimed = [];
+  // One job at a time so two agents polling together never get the same job
+  while (claimed.length < limit) {
+    const job = await PrintJob.findOneAndUpdate(
+      filter,
+      {
+        $set: { status: 'printing', claimedBy: agentId, claimedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!job) break;
+    claimed.push(job);
+  }
+  return claimed;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  loadPrintableOrder,
+  renderPrintJob,
+  queueConfirmedOrderPrints,
+  startAutoPrint,
+  claimPrintJobs
+};
@@ -0,0 +1,366 @@
+// Kitchen tickets and customer receipts for thermal printers.
+// An order is first laid out as a list of blocks (text, left/right rows,
+// dividers), which is then rendered as ESC/POS bytes, plain text or HTML, so
+// all three formats always show the same content. Labels, money and dates use
+// the branch language, currency and timezone.
+
+const PAPER_WIDTHS = [32, 42, 48];
+const DEFAULT_PAPER_WIDTH = 48;
+
+const LABELS = {
+  en: {
+    kitchenTicket: 'KITCHEN', receipt: 'RECEIPT', order: 'Order', date: 'Date', scheduledFor: 'Scheduled for',
+    delivery: 'Delivery', pickup: 'Pickup', 'in-shop': 'In shop', note: 'Note', subtotal: 'Subtotal',
+    discount: 'Discount', deliveryFee: 'Delivery fee', tax: 'Tax', included: 'incl.', total: 'TOTAL',
+    payment: 'Payment', address: 'Address', thanks: 'Thank you for your order!'
+  },
+  es: {
+    kitchenTicket: 'COCINA', receipt: 'TICKET', order: 'Pedido', date: 'Fecha', scheduledFor: 'Programado para',
+    delivery: 'A domicilio', pickup: 'Recoger', 'in-shop': 'En local', note: 'Nota', subtotal: 'Subtotal',
+    discount: 'Descuento', deliveryFee: 'Envío', tax: 'Impuesto', included: 'incl.', total: 'TOTAL',
+    payment: 'Pago', address: 'Dirección', thanks: '¡Gracias por su pedido!'
+  },
+  ca: {
+    kitchenTicket: 'CUINA', receipt: 'TIQUET', order: 'Comanda', date: 'Data', scheduledFor: 'Programada per a',
+    delivery: 'A domicili', pickup: 'Recollir', 'in-shop': 'Al local', note: 'Nota', subtotal: 'Subtotal',
+    discount: 'Descompte', deliveryFee: 'Enviament', tax: 'Impost', included: 'incl.', total: 'TOTAL',
+    payment: 'Pagament', address: 'Adreça', thanks: 'Gràcies per la vostra comanda!'
+  },
+  fr: {
+    kitchenTicket: 'CUISINE', receipt: 'REÇU', order: 'Commande', date: 'Date', scheduledFor: 'Prévue pour',
+    delivery: 'Livraison', pickup: 'À emporter', 'in-shop': 'Sur place', note: 'Note', subtotal: 'Sous-total',
+    discount: 'Remise', deliveryFee: 'Livraison', tax: 'Taxe', included: 'incl.', total: 'TOTAL',
+    payment: 'Paiement', address: 'Adresse', thanks: 'Merci pour votre commande !'
+  },
+  ar: {
+    kitchenTicket: 'المطبخ', receipt: 'إيصال', order: 'طلب', date: 'التاريخ', scheduledFor: 'مجدول في',
+    delivery: 'توصيل', pickup: 'استلام', 'in-shop': 'في المطعم', note: 'ملاحظة', subtotal: 'المجموع الفرعي',
+    discount: 'خصم', deliveryFee: 'رسوم التوصيل', tax: 'ضريبة', included: 'مشمولة', total: 'الإجمالي',
+    payment: 'الدفع', address: 'العنوان', thanks: 'شكرا لطلبك!'
+  }
+};
+
+const PAYMENT_LABELS = {
+  cashOnDelivery: 'Cash', 'cash-on-delivery': 'Cash', card: 'Card', shop: 'Pay at shop',
+  paypal: 'PayPal', stripe: 'Card', wallet: 'Wallet'
+};
+
+const getLabels = (language) => LABELS[language] || LABELS.en;
+
+const localize = (text, language) => {
+  if (!text) return '';
+  if (typeof text === 'string') return text;
+  return text[language] || text.en || '';
+};
+
+const createFormatters = ({ language = 'en', currency = 'EUR', timezone = 'Europe/Madrid' }) => {
+  const money = new Intl.NumberFormat(language, { style: 'currency', currency });
+  const dateTime = new Intl.DateTimeFormat(language, {
+    timeZone: timezone,
+    dateStyle: 'short',
+    timeStyle: 'short',
+    hourCycle: 'h23'
+  });
+
+  return {
+    money: (amount) => money.format(amount || 0),
+    date: (date) => dateTime.format(new Date(date))
+  };
+};
+
+// Modifier lines printed under an item
+const itemModifiers = (item, labels) => {
+  const modifiers = [];
+  if (item.selectedMealSize?.name) modifiers.push(item.selectedMealSize.name);
+  (item.selectedExtras || []).forEach(extra => modifiers.push(`+ ${extra.name}`));
+  (item.selectedAddons || []).forEach(addon => modifiers.push(`+ ${addon.name}`));
+  // Nested choices are indented under the option that opened them
+  (item.modifiers || []).forEach(modifier => modifiers.push(
+    `${modifier.parentOptionId ? '  ' : ''}${modifier.kind === 'removal' ? '-' : '+'} ` +
+    `${modifier.quantity > 1 ? `${modifier.quantity}x ` : ''}${modifier.name}`
+  ));
+  if (item.specialInstructions) modifiers.push(`${labels.note}: ${item.specialInstructions}`);
+  return modifiers;
+};
+
+/**
+ * Lay out an order as printable blocks
+ * @param {object} order - Order document with items.foodItem populated (name)
+ * @param {object} options
+ * @param {string} options.kind - 'kitchen' (no prices) or 'receipt'
+ * @param {object} [options.branch] - Branch document (name, address, phone, language, currency, timezone)
+ * @param {string} [options.language] - Overrides the branch language
+ * @returns {Array} Blocks: { type: 'text', text, align, indent, bold, large } | { type: 'row', left, right, bold, large }
+ *   | { type: 'divider' } | { type: 'feed' }
+ */
+const buildTicketBlocks = (order, { kind, branch = {}, language } = {}) => {
+  const lang = language || branch.language || 'en';
+  const labels = getLabels(lang);
+  const format = createFormatters({ language: lang, currency: branch.currency, timezone: branch.timezone });
+  const blocks = [];
+  const text = (value, options = {}) => blocks.push({ type: 'text', text: String(value), ...options });
+  const row = (left, right, options = {}) => blocks.push({ type: 'row', left: String(left), right: String(right), ...options });
+  const divider = () => blocks.push({ type: 'divider' });
+
+  if (kind === 'kitchen') {
+    text(labels.kitchenTicket, { align: 'center', bold: true });
+    text(`#${order.orderNumber}`, { align: 'center', bold: true, large: true });
+    text(labels[order.deliveryType] || order.deliveryType, { align: 'center', bold: true });
+    text(`${labels.date}: ${format.date(order.createdAt || new Date())}`);
+    if (order.scheduledFor) {
+      text(`${labels.scheduledFor}: ${format.date(order.scheduledFor)}`, { bold: true });
+    }
+    divider();
+
+    order.items.forEach(item => {
+      text(`${item.quantity} x ${localize(item.foodItem?.name, lang)}`, { bold: true, large: true });
+      itemModifiers(item, labels).forEach(modifier => text(modifier, { indent: 3 }));
+    });
+
+    if (order.specialInstructions) {
+      divider();
+      text(`${labels.note}: ${order.specialInstructions}`, { bold: true });
+    }
+    blocks.push({ type: 'feed' });
+    return blocks;
+  }
+
+  if (branch.name) text(branch.name, { align: 'center', bold: true, large: true });
+  if (branch.location || branch.address) text(branch.location || branch.address, { align: 'center' });
+  if (branch.phone) text(branch.phone, { align: 'center' });
+  divider();
+  text(labels.receipt, { align: 'center', bold: true });
+  row(labels.order, `#${order.orderNumber}`);
+  row(labels.date, format.date(order.createdAt || new Date()));
+  const fulfilment = labels[order.deliveryType] || order.deliveryType;
+  if (order.scheduledFor) row(fulfilment, format.date(order.scheduledFor));
+  else text(fulfilment);
+  divider();
+
+  order.items.forEach(item => {
+    row(`${item.quantity} x ${localize(item.foodItem?.name, lang)}`, format.money(item.totalPrice));
+    itemModifiers(item, labels).forEach(modifier => text(modifier, { indent: 3 }));
+  });
+
+  divider();
+  row(labels.subtotal, format.money(order.subtotal));
+  if (order.discount > 0) row(labels.discount, `-${format.money(order.discount)}`);
+  if (order.deliveryType === 'delivery') row(labels.deliveryFee, format.money(order.deliveryFee));
+  (order.taxLines || []).forEach(line => {
+    const rate = line.type === 'fixed' ? '' : ` ${line.rate}%`;
+    const included = line.isInclusive ? ` (${labels.included})` : '';
+    row(`${line.name || labels.tax}${rate}${included}`, format.money(line.amount));
+  });
+  if (!order.taxLines?.length && order.tax > 0) row(labels.tax, format.money(order.tax));
+  row(labels.total, format.money(order.total), { bold: true, large: true });
+  row(labels.payment, PAYMENT_LABELS[order.paymentMethod] || order.paymentMethod);
+
+  if (order.deliveryType === 'delivery' && order.deliveryAddress?.address) {
+    divider();
+    text(`${labels.address}:`);
+    text(order.deliveryAddress.address);
+    if (order.deliveryAddress.apartment) text(order.deliveryAddress.apartment);
+  }
+
+  divider();
+  text(labels.thanks, { align: 'center' });
+  blocks.push({ type: 'feed' });
+  return blocks;
+};
+
+// Word-wrap a string to a line width
+const wrap = (value, width) => {
+  const lines = [];
+  let current = '';
+  value.split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) { lines.push(current); current = ''; }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) current = word;
+    else if (current.length + 1 + word.length <= width) current += ` ${word}`;
+    else { lines.push(current); current = word; }
+  });
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+};
+
+const alignLine = (line, width, align) => {
+  const space = Math.max(0, width - line.length);
+  if (align === 'center') return ' '.repeat(Math.floor(space / 2)) + line;
+  if (align === 'right') return ' '.repeat(space) + line;
+  return line;
+};
+
+// Left/right row; the left side wraps so the right side stays on the first line
+const rowLines = (left, right, width) => {
+  const leftWidth = Math.max(1, width - right.length - 1);
+  const [first, ...rest] = wrap(left, leftWidth);
+  return [first.padEnd(width - right.length) + right, ...rest];
+};
+
+// Plain-text lines of a block at a given character width
+const blockLines = (block, width) => {
+  switch (block.type) {
+    case 'divider':
+      return ['-'.repeat(width)];
+    case 'feed':
+      return [''];
+    case 'row':
+      return rowLines(block.left, block.right, block.large ? Math.floor(width / 2) : width);
+    default: {
+      const lineWidth = block.large ? Math.floor(width / 2) : width;
+      const indent = ' '.repeat(block.indent || 0);
+      return wrap(block.text, lineWidth - indent.length).map(line => indent + alignLine(line, lineWidth - indent.length, block.align));
+    }
+  }
+};
+
+/**
+ * Render blocks as plain text
+ * @param {Array} blocks - Result of buildTicketBlocks
+ * @param {number} [width] - Characters per line
+ * @returns {string}
+ */
+const renderText = (blocks, width = DEFAULT_PAPER_WIDTH) => blocks
+  .flatMap(block => blockLines({ ...block, large: false }, width))
+  .join('\n');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render blocks as a standalone HTML receipt sized for thermal paper
+ * @param {Array} blocks - Result of buildTicketBlocks
+ * @param {object} [options] - { title, language }
+ * @returns {string}
+ */
+const renderHtml = (blocks, { title = 'Receipt', language = 'en' } = {}) => {
+  const body = blocks.map(block => {
+    const style = [
+      block.bold ? 'font-weight:bold' : '',
+      block.large ? 'font-size:1.4em' : '',
+      block.align ? `text-align:${block.align}` : ''
+    ].filter(Boolean).join(';');
+
+    switch (block.type) {
+      case 'divider':
+        return '<hr>';
+      case 'feed':
+        return '<br>';
+      case 'row':
+        return `<div class="row" style="${style}"><span>${escapeHtml(block.left)}</span><span>${escapeHtml(block.right)}</span></div>`;
+      default:
+        return `<div style="${style}">${escapeHtml(block.text)}</div>`;
+    }
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}" dir="${language === 'ar' ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: monospace; width: 72mm; margin: 0 auto; font-size: 12px; }
+  .row { display: flex; justify-content: space-between; gap: 8px; }
+  hr { border: none; border-top: 1px dashed #000; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+};
+
+// Upper half of code page 858 (CP850 with the euro sign at 0xD5)
+const CP858_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+  '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´' +
+  '\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+const CP858 = new Map([...CP858_HIGH].map((char, index) => [char, 0x80 + index]));
+
+// Encode text for the printer; characters outside CP858 lose their accents or become '?'
+const encodeCp858 = (value) => {
+  const bytes = [];
+  for (const char of value.normalize('NFC')) {
+    const code = char.charCodeAt(0);
+    if (code < 0x80) bytes.push(code);
+    else if (CP858.has(char)) bytes.push(CP858.get(char));
+    else {
+      const base = char.normalize('NFD')[0];
+      bytes.push(base.charCodeAt(0) < 0x80 ? base.charCodeAt(0) : 0x3F);
+    }
+  }
+  return bytes;
+};
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+/**
+ * Render blocks as an ESC/POS byte stream (code page 858, partial cut at the end)
+ * @param {Array} blocks - Result of buildTicketBlocks
+ * @param {number} [width] - Characters per line at normal size
+ * @returns {Buffer}
+ */
+const renderEscPos = (blocks, width = DEFAULT_PAPER_WIDTH) => {
+  const bytes = [
+    ESC, 0x40, // initialise
+    ESC, 0x74, 19 // code page 858
+  ];
+
+  blocks.forEach(block => {
+    const lines = blockLines(block, width);
+    bytes.push(ESC, 0x61, block.type === 'text' ? ALIGN[block.align] || 0 : 0);
+    bytes.push(ESC, 0x45, block.bold ? 1 : 0);
+    bytes.push(GS, 0x21, block.large ? 0x11 : 0x00);
+
+    lines.forEach(line => {
+      // Centring and right alignment are done by the printer
+      const aligned = block.type === 'text' && block.align && block.align !== 'left';
+      bytes.push(...encodeCp858(aligned ? line.trimStart() : line), LF);
+    });
+  });
+
+  bytes.push(ESC, 0x61, 0, ESC, 0x45, 0, GS, 0x21, 0);
+  bytes.push(ESC, 0x64, 4); // feed 4 lines
+  bytes.push(GS, 0x56, 66, 0); // partial cut
+  return Buffer.from(bytes);
+};
+
+/**
+ * Render an order in one of the supported formats
+ * @param {object} order - Order document with items.foodItem populated
+ * @param {object} options - { kind, format: 'escpos'|'text'|'html', branch, language, width }
+ * @returns {object} { contentType, body }
+ */
+const renderOrderTicket = (order, { kind, format, branch = {}, language, width = DEFAULT_PAPER_WIDTH }) => {
+  const blocks = buildTicketBlocks(order, { kind, branch, language });
+
+  if (format === 'escpos') {
+    return { contentType: 'application/octet-stream', body: renderEscPos(blocks, width) };
+  }
+  if (format === 'html') {
+    const lang = language || branch.language || 'en';
+    return {
+      contentType: 'text/html; charset=utf-8',
+      body: renderHtml(blocks, { title: `${getLabels(lang)[kind === 'kitchen' ? 'kitchenTicket' : 'receipt']} #${order.orderNumber}`, language: lang })
+    };
+  }
+  return { contentType: 'text/plain; charset=utf-8', body: renderText(blocks, width) };
+};
+
+module.exports = {
+  PAPER_WIDTHS,
+  DEFAULT_PAPER_WIDTH,
+  buildTicketBlocks,
+  renderText,
+  renderHtml,
+  renderEscPos,
+  renderOrderTicket
+};
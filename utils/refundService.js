@@ -0,0 +1,405 @@
+// Refunds of paid orders.
+// Every refund is an entry of the order's `refunds` ledger. Its amount is first
+// reserved on the order with a conditional update, so concurrent refunds can
+// never give back more than was paid; the money then goes back through the
+// gateway the order was paid with, or is recorded as paid out by staff for
+// orders settled at the counter. A rejected gateway refund releases the
+// reservation and stays in the ledger as failed. Refunds the gateway is still
+// processing stay pending until the refund-reconciliation job learns how they
+// ended (reconcilePendingRefunds).
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const { getPaymentGateway } = require('./paymentGateway');
+const { loadPaymentSettings } = require('./paymentService');
+const { roundMoney } = require('./pricingService');
+const { canMarkRefunded, ONLINE_PAYMENT_METHODS } = require('./orderStatusMachine');
+const { SYSTEM_ACTOR, buildTrackingUpdate } = require('./orderLifecycle');
+const { ORDER_EVENT_TYPES, publishOrderEvent, latestTrackingUpdate } = require('./orderEvents');
+const { sendOrderStatusNotification } = require('./notificationService');
+
+// How long a gateway gets to settle a pending refund before it is polled
+const PENDING_REFUND_POLL_DELAY_MINUTES = 5;
+const RECONCILE_BATCH_SIZE = 100;
+
+const createRefundError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Whether money taken for an order can be given back
+ * @param {object} order - Order document
+ * @returns {boolean}
+ */
+const isRefundable = (order) =>
+  ['paid', 'partially-refunded'].includes(order.paymentStatus) ||
+  // Cash and counter payments are not tracked as paid, but a delivered order was settled
+  (order.status === 'delivered' &&
+    !ONLINE_PAYMENT_METHODS.includes(order.paymentMethod) &&
+    order.paymentStatus !== 'refunded');
+
+/**
+ * Amount of an order that has not been refunded yet
+ * @param {object} order - Order document
+ * @returns {number}
+ */
+const getRefundableAmount = (order) => Math.max(roundMoney(order.total - (order.refundedAmount || 0)), 0);
+
+// Price the requested lines at what the customer actually paid for them: the
+// line total scaled by the share of the order total that was not delivery fee,
+// so discounts and exclusive taxes are refunded in proportion
+const priceLineRefunds = (order, requestedItems) => {
+  const quantities = new Map();
+  for (const { itemId, quantity } of requestedItems) {
+    quantities.set(String(itemId), (quantities.get(String(itemId)) || 0) + quantity);
+  }
+
+  const deliveryCharged = order.deliveryFeeBreakdown?.charged ?? order.deliveryFee ?? 0;
+  const factor = order.subtotal > 0 ? Math.max(order.total - deliveryCharged, 0) / order.subtotal : 0;
+
+  return [...quantities].map(([itemId, quantity]) => {
+    const line = order.items.id(itemId);
+    if (!line) {
+      throw createRefundError(`Order has no item ${itemId}`, 'ORDER_ITEM_NOT_FOUND', 404);
+    }
+    const refundable = line.quantity - (line.refundedQuantity || 0);
+    if (quantity > refundable) {
+      const error = createRefundError(
+        `Only ${refundable} unit(s) of item ${itemId} can still be refunded`,
+        'REFUND_QUANTITY_EXCEEDED'
+      );
+      error.refundableQuantity = refundable;
+      throw error;
+    }
+    return {
+      itemId: line._id,
+      quantity,
+      amount: roundMoney((line.totalPrice / line.quantity) * quantity * factor)
+    };
+  });
+};
+
+// Per-line refundedQuantity increments (negated to release a reservation)
+const buildLineIncrements = (lines, sign = 1) => {
+  const increments = {};
+  const arrayFilters = [];
+  lines.forEach((line, index) => {
+    increments[`items.$[line${index}].refundedQuantity`] = sign * line.quantity;
+    arrayFilters.push({ [`line${index}._id`]: line.itemId });
+  });
+  return { increments, options: arrayFilters.length ? { arrayFilters } : {} };
+};
+
+// Gateway the order was paid through, even if it has been deactivated since
+const loadOrderGateway = async (order) => {
+  const settings = await loadPaymentSettings(order.branchId);
+  const gateway = getPaymentGateway(settings, {
+    provider: order.paymentDetails.paymentGateway,
+    includeInactive: true
+  });
+  if (!gateway) {
+    throw createRefundError('The payment gateway of this order is no longer configured', 'PAYMENT_GATEWAY_UNAVAILABLE', 502);
+  }
+  return { gateway, settings };
+};
+
+// Send the refund to the gateway the order was paid through
+const refundThroughGateway = async (order, entry) => {
+  const { gateway, settings } = await loadOrderGateway(order);
+
+  const branch = await Branch.findById(order.branchId).select('currency').lean();
+  // Keyed by ledger entry, so a retried request cannot refund twice
+  const refund = await gateway.createRefund({
+    intentId: order.paymentDetails.intentId,
+    amount: entry.amount,
+    currency: branch?.currency || settings?.currency || 'EUR',
+    reason: entry.reason,
+    idempotencyKey: `refund-${entry._id}`
+  });
+  if (['failed', 'canceled'].includes(refund.status)) {
+    throw createRefundError(`Refund ${refund.id} was ${refund.status} by the payment gateway`, 'GATEWAY_REQUEST_FAILED');
+  }
+  return { gateway: gateway.provider, gatewayRefundId: refund.id, status: refund.status };
+};
+
+// Give a failed refund's amount and lines back to the order; only a pending
+// entry holds a reservation, so a refund is never released twice
+const releaseReservation = async (order, entry, lines, failureReason) => {
+  const { increments, options } = buildLineIncrements(lines, -1);
+  const result = await Order.updateOne(
+    { _id: order._id, refunds: { $elemMatch: { _id: entry._id, status: 'pending' } } },
+    {
+      $inc: { refundedAmount: -entry.amount, ...increments },
+      $set: {
+        'refunds.$.status': 'failed',
+        'refunds.$.failureReason': failureReason,
+        'refunds.$.processedAt': new Date()
+      }
+    },
+    options
+  );
+  return result.modifiedCount > 0;
+};
+
+// Fully refunded, and no gateway refund is still in flight
+const isFullyRefunded = (order) =>
+  order.paymentStatus === 'refunded' && !order.refunds.some(entry => entry.status === 'pending');
+
+// Close a fully refunded order that is already finished (delivered or
+// cancelled). Whoever issued the refund (staff or the system), this is the only
+// path to `refunded`, so it is not subject to the per-role transition table.
+const markOrderRefunded = async (order, actor, reason) => {
+  if (!canMarkRefunded(order)) return order;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status: 'refunded' },
+      $push: { trackingUpdates: buildTrackingUpdate('refunded', `Order refunded: ${reason}`, actor) }
+    },
+    { new: true }
+  );
+  if (!updated) return order;
+
+  publishOrderEvent(ORDER_EVENT_TYPES.STATUS, updated, { trackingUpdate: latestTrackingUpdate(updated) });
+  return updated;
+};
+
+/**
+ * Refund all or part of an order.
+ * Without `amount` or `items` whatever has not been refunded yet is refunded.
+ * @param {string} orderId
+ * @param {object} options
+ * @param {string} options.reason - Why the money is given back
+ * @param {number} [options.amount] - Amount to refund
+ * @param {object[]} [options.items] - Lines to refund: [{ itemId, quantity }]
+ * @param {object} [options.actor] - { user, role } issuing the refund
+ * @returns {Promise<object>} { order, refund } with the updated order and its ledger entry
+ * @throws {Error} with `code` and `statusCode` when the refund is not possible or the gateway rejects it
+ */
+const issueRefund = async (orderId, { reason, amount, items, actor = SYSTEM_ACTOR }) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw createRefundError('Order not found', 'ORDER_NOT_FOUND', 404);
+  }
+  if (!isRefundable(order)) {
+    throw createRefundError(`An order with payment ${order.paymentStatus} cannot be refunded`, 'ORDER_NOT_REFUNDABLE', 409);
+  }
+
+  const refundedBefore = order.refundedAmount || 0;
+  const remaining = getRefundableAmount(order);
+  if (remaining <= 0) {
+    throw createRefundError('Order is already fully refunded', 'ORDER_NOT_REFUNDABLE', 409);
+  }
+
+  const lines = items?.length ? priceLineRefunds(order, items) : [];
+  const requested = lines.length
+    ? Math.min(roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)), remaining)
+    : roundMoney(amount ?? remaining);
+  if (requested <= 0 || requested > remaining) {
+    const error = createRefundError(
+      `Refund amount must be between 0.01 and ${remaining.toFixed(2)}`,
+      'REFUND_AMOUNT_INVALID'
+    );
+    error.remaining = remaining;
+    throw error;
+  }
+
+  const viaGateway = Boolean(order.paymentDetails?.intentId);
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    amount: requested,
+    reason,
+    type: requested >= remaining ? 'full' : 'partial',
+    items: lines,
+    method: viaGateway ? 'gateway' : 'manual',
+    status: 'pending',
+    createdBy: actor
+  };
+
+  // Orders written before the ledger existed have no refundedAmount at all
+  const { increments, options } = buildLineIncrements(lines);
+  const reserved = await Order.findOneAndUpdate(
+    { _id: order._id, refundedAmount: refundedBefore || { $in: [0, null] } },
+    {
+      $inc: { refundedAmount: requested, ...increments },
+      $push: { refunds: entry }
+    },
+    { new: true, ...options }
+  );
+  if (!reserved) {
+    throw createRefundError('Order changed while refunding, please try again', 'REFUND_CONFLICT', 409);
+  }
+
+  let outcome = { status: 'succeeded' };
+  if (viaGateway) {
+    try {
+      outcome = await refundThroughGateway(order, entry);
+    } catch (error) {
+      await releaseReservation(order, entry, lines, error.message);
+      throw createRefundError(`Refund failed: ${error.message}`, 'REFUND_FAILED', 502);
+    }
+  }
+
+  const processedAt = new Date();
+  const paymentStatus = Order.paymentStatusAfterRefund(reserved.total, roundMoney(reserved.refundedAmount));
+  const update = {
+    'refunds.$.status': outcome.status === 'succeeded' ? 'succeeded' : 'pending',
+    'refunds.$.processedAt': processedAt,
+    paymentStatus,
+    refund: {
+      amount: requested,
+      reason,
+      processedAt,
+      refundId: outcome.gatewayRefundId || entry._id.toString()
+    }
+  };
+  if (outcome.gateway) update['refunds.$.gateway'] = outcome.gateway;
+  if (outcome.gatewayRefundId) update['refunds.$.gatewayRefundId'] = outcome.gatewayRefundId;
+  if (reserved.status === 'cancelled') update['cancellation.refundProcessed'] = true;
+
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'refunds._id': entry._id },
+    { $set: update },
+    { new: true }
+  );
+
+  publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT, updated, {
+    paymentStatus: updated.paymentStatus,
+    refundAmount: requested,
+    refundId: entry._id.toString(),
+    refundReason: reason,
+    // Not invoiced as refunded until the gateway settles it
+    refundPending: outcome.status !== 'succeeded'
+  });
+
+  if (isFullyRefunded(updated) && canMarkRefunded(updated)) {
+    updated = await markOrderRefunded(updated, actor, reason);
+  }
+
+  try {
+    await sendOrderStatusNotification(updated.userId.toString(), updated, paymentStatus, {
+      body: `We have refunded ${requested.toFixed(2)} of order #${updated.orderNumber}. Reason: ${reason}`
+    });
+  } catch (error) {
+    console.error(`Refund: notification failed for order ${updated.orderNumber}:`, error.message);
+  }
+
+  return { order: updated, refund: updated.refunds.id(entry._id) };
+};
+
+/**
+ * Give back everything a cancelled order still holds
+ * @param {object} order - Cancelled Order document
+ * @returns {Promise<object|null>} issueRefund result, or null when nothing was paid
+ */
+const refundCancelledOrder = async (order) => {
+  if (!['paid', 'partially-refunded'].includes(order.paymentStatus)) return null;
+
+  const reason = order.cancellation?.reason ? `Order cancelled: ${order.cancellation.reason}` : 'Order cancelled';
+  return issueRefund(order._id, { reason });
+};
+
+/**
+ * Settle a pending gateway refund with the outcome the gateway reports for it.
+ * A refund that went through closes the entry (and the order once nothing is
+ * left to refund); a failed or canceled one releases its reservation.
+ * @param {object} order - Order document
+ * @param {object} entry - Pending gateway entry of `order.refunds`
+ * @returns {Promise<boolean>} Whether the entry was settled
+ */
+const settlePendingRefund = async (order, entry) => {
+  const { gateway } = await loadOrderGateway(order);
+  const refund = await gateway.retrieveRefund(entry.gatewayRefundId);
+  const processedAt = new Date();
+
+  if (refund.status === 'succeeded') {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, refunds: { $elemMatch: { _id: entry._id, status: 'pending' } } },
+      { $set: { 'refunds.$.status': 'succeeded', 'refunds.$.processedAt': processedAt } },
+      { new: true }
+    );
+    if (!updated) return false;
+
+    publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT, updated, {
+      paymentStatus: updated.paymentStatus,
+      refundAmount: entry.amount,
+      refundId: entry._id.toString(),
+      refundReason: entry.reason
+    });
+    if (isFullyRefunded(updated) && canMarkRefunded(updated)) {
+      await markOrderRefunded(updated, SYSTEM_ACTOR, entry.reason);
+    }
+    return true;
+  }
+
+  if (!['failed', 'canceled'].includes(refund.status)) return false;
+
+  const failureReason = refund.failureReason
+    ? `Refund ${refund.status} by the payment gateway: ${refund.failureReason}`
+    : `Refund ${refund.status} by the payment gateway`;
+  const released = await releaseReservation(order, entry, entry.items || [], failureReason);
+  if (!released) return false;
+
+  const current = await Order.findById(order._id);
+  const refundedAmount = roundMoney(current.refundedAmount || 0);
+  const update = {
+    paymentStatus: refundedAmount > 0 ? Order.paymentStatusAfterRefund(current.total, refundedAmount) : 'paid'
+  };
+  if (current.status === 'cancelled' && refundedAmount <= 0) update['cancellation.refundProcessed'] = false;
+
+  const updated = await Order.findByIdAndUpdate(order._id, { $set: update }, { new: true });
+  publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT, updated, {
+    paymentStatus: updated.paymentStatus,
+    refundId: entry._id.toString(),
+    refundFailed: true,
+    failureReason
+  });
+  console.error(`Refund: ${entry.gatewayRefundId} of order ${updated.orderNumber} failed: ${failureReason}`);
+  return true;
+};
+
+/**
+ * Poll the gateway for refunds that were still pending when issued and settle
+ * the ones that have completed or failed since. Run by the
+ * refund-reconciliation job.
+ * @returns {Promise<number>} Number of refunds settled
+ */
+const reconcilePendingRefunds = async () => {
+  const before = new Date(Date.now() - PENDING_REFUND_POLL_DELAY_MINUTES * 60 * 1000);
+  const pending = {
+    status: 'pending',
+    method: 'gateway',
+    gatewayRefundId: { $exists: true },
+    processedAt: { $lte: before }
+  };
+  const orders = await Order.find({ refunds: { $elemMatch: pending } })
+    .sort({ updatedAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  let settled = 0;
+  for (const order of orders) {
+    const entries = order.refunds.filter(entry =>
+      entry.status === 'pending' && entry.method === 'gateway' && entry.gatewayRefundId && entry.processedAt <= before
+    );
+    for (const entry of entries) {
+      try {
+        if (await settlePendingRefund(order, entry)) settled++;
+      } catch (error) {
+        console.error(`Refund: reconciling ${entry.gatewayRefundId} of order ${order.orderNumber} failed:`, error.message);
+      }
+    }
+  }
+  return settled;
+};
+
+module.exports = {
+  isRefundable,
+  getRefundableAmount,
+  issueRefund,
+  refundCancelledOrder,
+  reconcilePendingRefunds
+};
@@ -1,6 +1,7 @@
 /**
- * Canonical roles: super_admin, branch_admin, staff, user
+ * Canonical roles: super_admin, branch_admin, staff, driver, user
  * Legacy aliases still stored in DB: admin -> branch_admin, manager -> staff
+ * Drivers are branch-bound and only act on the delivery orders assigned to them.
  */
 
 const LEGACY_TO_CANONICAL = {
@@ -26,6 +27,10 @@ function isSuperAdmin(role) {
   return normalizeRole(role) === 'super_admin' || role === 'superadmin';
 }
 
+function isDriver(role) {
+  return normalizeRole(role) === 'driver';
+}
+
 /**
  * Roles that may sign in once and operate under any branch (X-Branch-Id / dropdown).
  * Branch-bound roles (branch_admin, staff, user) must match email + branchId in DB.
@@ -41,5 +46,6 @@ module.exports = {
   normalizeRole,
   roleSatisfies,
   isSuperAdmin,
+  isDriver,
   canLoginAnyBranch,
 };
@@ -0,0 +1,137 @@
+// Field-level encryption of the credentials stored in settings (gateway keys,
+// SMTP password, SMS API keys).
+// Master keys come from SETTINGS_ENCRYPTION_KEYS, a comma-separated list of
+// `<keyId>:<base64 32-byte key>`. The first key encrypts; the others are only
+// used to decrypt values written before a rotation, so rotating means putting
+// a new key in front, re-encrypting (rotate-settings-secrets.js) and then
+// dropping the old key. Values are stored as
+// `enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>` (AES-256-GCM, base64 parts).
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+const createSecretError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 500;
+  return error;
+};
+
+let cachedKeys = null;
+let cachedSource = null;
+
+// Parse the key list once per distinct env value
+const loadKeys = () => {
+  const source = process.env.SETTINGS_ENCRYPTION_KEYS || '';
+  if (cachedKeys && cachedSource === source) return cachedKeys;
+
+  const keys = source.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id) || key.length !== 32) {
+      throw createSecretError(
+        'SETTINGS_ENCRYPTION_KEYS entries must look like <keyId>:<base64 32-byte key>',
+        'ENCRYPTION_KEY_INVALID'
+      );
+    }
+    return { id, key };
+  });
+
+  cachedKeys = keys;
+  cachedSource = source;
+  return keys;
+};
+
+/**
+ * Id of the key new values are encrypted with
+ * @returns {string|null} null when no key is configured
+ */
+const getActiveKeyId = () => loadKeys()[0]?.id || null;
+
+/**
+ * Whether a stored value is encrypted
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Id of the key a stored value was encrypted with
+ * @param {string} value
+ * @returns {string|null}
+ */
+const getKeyId = (value) => (isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null);
+
+/**
+ * Encrypt a secret with the active key. Empty and already encrypted values are
+ * returned unchanged, so the function is safe to use as a schema setter.
+ * @param {string} value - Plaintext
+ * @returns {string} Encrypted value
+ * @throws {Error} code ENCRYPTION_KEY_MISSING when no key is configured
+ */
+const encryptSecret = (value) => {
+  if (value === undefined || value === null || value === '' || isEncrypted(value)) return value;
+
+  const [active] = loadKeys();
+  if (!active) {
+    throw createSecretError('SETTINGS_ENCRYPTION_KEYS is not configured; secrets cannot be stored', 'ENCRYPTION_KEY_MISSING');
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, active.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${PREFIX}${active.id}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+/**
+ * Decrypt a stored secret. Values saved before encryption was introduced are
+ * plaintext and returned as they are.
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext
+ * @throws {Error} code ENCRYPTION_KEY_UNKNOWN or SECRET_DECRYPTION_FAILED
+ */
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const entry = loadKeys().find(candidate => candidate.id === keyId);
+  if (!entry) {
+    throw createSecretError(`Encryption key "${keyId}" is not configured`, 'ENCRYPTION_KEY_UNKNOWN');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw createSecretError('Stored secret could not be decrypted', 'SECRET_DECRYPTION_FAILED');
+  }
+};
+
+/**
+ * Whether a stored secret should be rewritten under the active key
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+const needsReencryption = (value) =>
+  Boolean(value) && (!isEncrypted(value) || getKeyId(value) !== getActiveKeyId());
+
+/**
+ * Re-encrypt a stored secret under the active key
+ * @param {string} value - Stored value (plaintext or encrypted with any configured key)
+ * @returns {string}
+ */
+const reencryptSecret = (value) => (needsReencryption(value) ? encryptSecret(decryptSecret(value)) : value);
+
+module.exports = {
+  getActiveKeyId,
+  isEncrypted,
+  getKeyId,
+  encryptSecret,
+  decryptSecret,
+  needsReencryption,
+  reencryptSecret
+};
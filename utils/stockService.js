@@ -0,0 +1,515 @@
+// Stock reservation for orders.
+// Items with trackInventory on are sold from stockQuantity: placing an order
+// takes the stock with one conditional decrement per item, so two checkouts
+// racing for the last units can never both get them. What an order took is
+// recorded on it (`stockReservation`) and given back exactly once when the
+// order is cancelled or its online payment fails. Untracked items only count
+// towards totalSold. Every change of a tracked item's stock, including restocks,
+// waste and manual adjustments by staff, is written to the inventory ledger
+// (InventoryMovement), and staff are alerted when an item runs low.
+// Items with a recipe also take their ingredients (and those of the modifier
+// options picked) out of stock in the same all-or-nothing reservation. After
+// ingredient levels change, the availablePortions of the dishes using them are
+// recomputed; it is a menu hint, the reservation is what guarantees the stock.
+const Order = require('../models/Order');
+const Ingredient = require('../models/Ingredient');
+const InventoryMovement = require('../models/InventoryMovement');
+const { FoodItem } = require('../models/Category');
+const { crossedLowStock, notifyLowStock } = require('./lowStockAlerts');
+
+// Fields of an updated item needed for the ledger and alerts
+const STOCK_FIELDS = 'name stockQuantity lowStockAlert costPrice branchId';
+const INGREDIENT_FIELDS = 'name unit stockQuantity lowStockAlert costPerUnit branchId';
+
+// Ingredient amounts are fractional (0.15 kg); keep sums free of float noise
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const createStockError = (message, code, statusCode = 409) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Requested quantity per food item; the same item can be on several cart lines
+const sumQuantities = (lines) => {
+  const quantities = new Map();
+  for (const { foodItem, quantity } of lines) {
+    const id = String(foodItem?._id || foodItem);
+    quantities.set(id, (quantities.get(id) || 0) + quantity);
+  }
+  return quantities;
+};
+
+// Write ledger entries for stock changes and alert staff about items that
+// crossed their threshold. Changes: [{ item (updated FoodItem), quantity }] or
+// [{ ingredient (updated Ingredient), quantity }]. The stock is already
+// changed, so a failed write is logged rather than thrown. Resolves to the
+// ledger entries written.
+const recordMovements = async (changes, { type, orderId, reason, actor }) => {
+  if (!changes.length) return [];
+
+  let movements = [];
+  try {
+    movements = await InventoryMovement.insertMany(changes.map(({ item, ingredient, quantity }) => ({
+      branchId: (item || ingredient).branchId,
+      foodItem: item?._id,
+      ingredient: ingredient?._id,
+      type,
+      quantity,
+      stockAfter: (item || ingredient).stockQuantity,
+      unitCost: (item ? item.costPrice : ingredient.costPerUnit) || 0,
+      orderId,
+      reason,
+      createdBy: actor
+    })));
+  } catch (error) {
+    console.error(`Inventory: ledger write for ${changes.length} ${type} movement(s) failed:`, error.message);
+  }
+
+  const lowStock = changes
+    .filter(({ item, ingredient, quantity }) => crossedLowStock({
+      stockBefore: roundQuantity((item || ingredient).stockQuantity - quantity),
+      stockAfter: (item || ingredient).stockQuantity,
+      lowStockAlert: (item || ingredient).lowStockAlert
+    }))
+    .map(({ item, ingredient }) => (item
+      ? { foodItem: item._id, name: item.name?.en, stockAfter: item.stockQuantity, lowStockAlert: item.lowStockAlert }
+      : {
+        ingredient: ingredient._id,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        stockAfter: ingredient.stockQuantity,
+        lowStockAlert: ingredient.lowStockAlert
+      }));
+  if (lowStock.length) {
+    // Not awaited: alerts must not hold up checkout
+    notifyLowStock((changes[0].item || changes[0].ingredient).branchId, lowStock);
+  }
+  return movements;
+};
+
+// Portions a recipe allows from the ingredient levels; null without a recipe
+const countPortions = (recipe, levels) => {
+  if (!recipe?.length) return null;
+  return Math.max(0, Math.min(...recipe.map(({ ingredient, quantity }) =>
+    Math.floor(roundQuantity((levels.get(ingredient.toString()) || 0) / quantity)))));
+};
+
+/**
+ * Recompute availablePortions of the dishes that use some ingredients (or of
+ * some dishes, after their recipe was edited). Never throws; a failure is logged.
+ * @param {string} branchId
+ * @param {object} changed
+ * @param {Array} [changed.ingredients] - Ingredient ids whose level changed
+ * @param {Array} [changed.foodItems] - Food item ids whose recipe changed
+ * @returns {Promise<void>}
+ */
+const refreshDishAvailability = async (branchId, { ingredients = [], foodItems = [] }) => {
+  if (!ingredients.length && !foodItems.length) return;
+
+  try {
+    const dishes = await FoodItem.find({
+      branchId,
+      $or: [{ 'recipe.ingredient': { $in: ingredients } }, { _id: { $in: foodItems } }]
+    }).select('recipe availablePortions').lean();
+    if (!dishes.length) return;
+
+    const used = [...new Set(dishes.flatMap(dish => (dish.recipe || []).map(line => line.ingredient.toString())))];
+    const levels = new Map((await Ingredient.find({ _id: { $in: used }, branchId }).select('stockQuantity').lean())
+      .map(ingredient => [ingredient._id.toString(), ingredient.stockQuantity]));
+
+    const updates = dishes
+      .map(dish => ({ dish, portions: countPortions(dish.recipe, levels) }))
+      .filter(({ dish, portions }) => (dish.availablePortions ?? null) !== portions);
+    if (!updates.length) return;
+
+    await FoodItem.bulkWrite(updates.map(({ dish, portions }) => ({
+      updateOne: { filter: { _id: dish._id }, update: { $set: { availablePortions: portions } } }
+    })));
+  } catch (error) {
+    console.error(`Inventory: dish availability refresh for branch ${branchId} failed:`, error.message);
+  }
+};
+
+// Options of a food item's modifier groups (on every level) by id
+const indexModifierOptions = (groups = [], index = new Map()) => {
+  for (const group of groups) {
+    for (const option of group.options || []) {
+      index.set(option._id.toString(), { recipe: option.recipe || [], removal: group.kind === 'removal' });
+      indexModifierOptions(option.modifierGroups, index);
+    }
+  }
+  return index;
+};
+
+// Ingredient quantities cart lines use: the item's recipe per portion, plus the
+// recipes of the options picked (times how often they were picked, and for
+// nested options how often their parent was) and minus what removed
+// ingredients save. Returns Map(ingredientId => { quantity, foodItems: Set }).
+const getIngredientUsage = (lines, foodItems) => {
+  const usage = new Map();
+
+  for (const line of lines) {
+    const foodItem = foodItems.get(String(line.foodItem?._id || line.foodItem));
+    if (!foodItem) continue;
+
+    const perPortion = new Map();
+    const add = (recipe, factor) => recipe.forEach(({ ingredient, quantity }) => {
+      const id = ingredient.toString();
+      perPortion.set(id, (perPortion.get(id) || 0) + quantity * factor);
+    });
+    add(foodItem.recipe || [], 1);
+
+    // Parents come before their nested options in line.modifiers
+    const options = indexModifierOptions(foodItem.modifierGroups);
+    const picked = new Map();
+    for (const modifier of line.modifiers || []) {
+      const parentCount = modifier.parentOptionId ? picked.get(String(modifier.parentOptionId)) || 1 : 1;
+      const count = (modifier.quantity || 1) * parentCount;
+      picked.set(String(modifier.optionId), count);
+
+      const option = options.get(String(modifier.optionId));
+      if (option) add(option.recipe, option.removal ? -count : count);
+    }
+
+    for (const [id, quantity] of perPortion) {
+      if (quantity <= 0) continue;
+      const entry = usage.get(id) || { quantity: 0, foodItems: new Set() };
+      entry.quantity = roundQuantity(entry.quantity + quantity * line.quantity);
+      entry.foodItems.add(foodItem._id.toString());
+      usage.set(id, entry);
+    }
+  }
+
+  return usage;
+};
+
+// Put reserved quantities back; returns the changes of tracked items
+const incrementStock = async (items) => {
+  const updated = await Promise.all(items.map(async ({ foodItem, quantity, tracked }) => {
+    if (!tracked) {
+      await FoodItem.updateOne({ _id: foodItem }, { $inc: { totalSold: -quantity } });
+      return null;
+    }
+    const item = await FoodItem.findOneAndUpdate(
+      { _id: foodItem },
+      { $inc: { stockQuantity: quantity, totalSold: -quantity } },
+      { new: true }
+    ).select(STOCK_FIELDS);
+    return item ? { item, quantity } : null;
+  }));
+  return updated.filter(Boolean);
+};
+
+// Put reserved ingredient quantities back; returns the changes
+const incrementIngredients = async (ingredients) => {
+  const updated = await Promise.all(ingredients.map(async ({ ingredient, quantity }) => {
+    const updatedIngredient = await Ingredient.findOneAndUpdate(
+      { _id: ingredient },
+      { $inc: { stockQuantity: quantity } },
+      { new: true }
+    ).select(INGREDIENT_FIELDS);
+    return updatedIngredient ? { ingredient: updatedIngredient, quantity } : null;
+  }));
+  return updated.filter(Boolean);
+};
+
+/**
+ * Give reserved stock back and record it in the ledger
+ * @param {object} reservation - { items: [{ foodItem, quantity, tracked }], ingredients: [{ ingredient, quantity }] }
+ * @param {object} [context] - { orderId, reason, actor } for the ledger
+ * @returns {Promise<void>}
+ */
+const returnStock = async ({ items = [], ingredients = [] }, context = {}) => {
+  const [itemChanges, ingredientChanges] = await Promise.all([
+    incrementStock(items),
+    incrementIngredients(ingredients)
+  ]);
+  await recordMovements([...itemChanges, ...ingredientChanges], { type: 'cancellation', ...context });
+
+  const branchId = ingredientChanges[0]?.ingredient.branchId;
+  if (branchId) {
+    await refreshDishAvailability(branchId, {
+      ingredients: ingredientChanges.map(change => change.ingredient._id)
+    });
+  }
+};
+
+/**
+ * Take the stock for a set of cart lines: the tracked items and the
+ * ingredients of their recipes. Either all of it is reserved or nothing is.
+ * @param {string} branchId
+ * @param {Array} lines - [{ foodItem, quantity, modifiers }] (foodItem as id or document)
+ * @param {object} [context] - { orderId, actor } for the ledger
+ * @returns {Promise<object>} Reservation { items: [{ foodItem, quantity, tracked }], ingredients: [{ ingredient, quantity }] }
+ * @throws {Error} code INSUFFICIENT_STOCK with `items`: [{ foodItem, name, requested, available }]
+ *   per item short of stock and [{ ingredient, name, unit, requested, available, foodItems }]
+ *   per ingredient short of stock
+ */
+const reserveStock = async (branchId, lines, { orderId, actor } = {}) => {
+  const requested = [...sumQuantities(lines)];
+  const foodItems = new Map((await FoodItem.find({
+    _id: { $in: requested.map(([id]) => id) },
+    branchId
+  }).select('trackInventory recipe modifierGroups').lean()).map(item => [item._id.toString(), item]));
+  const trackedIds = new Set([...foodItems.values()]
+    .filter(item => item.trackInventory)
+    .map(item => item._id.toString()));
+  const usage = [...getIngredientUsage(lines, foodItems)];
+
+  const ingredientResults = await Promise.all(usage.map(async ([id, { quantity }]) => {
+    const updated = await Ingredient.findOneAndUpdate(
+      { _id: id, branchId, stockQuantity: { $gte: quantity } },
+      { $inc: { stockQuantity: -quantity } },
+      { new: true }
+    ).select(INGREDIENT_FIELDS);
+    return { ingredient: id, quantity, reserved: Boolean(updated), updated };
+  }));
+  const results = await Promise.all(requested.map(async ([id, quantity]) => {
+    if (!trackedIds.has(id)) {
+      await FoodItem.updateOne({ _id: id, branchId }, { $inc: { totalSold: quantity } });
+      return { foodItem: id, quantity, tracked: false, reserved: true };
+    }
+    const updated = await FoodItem.findOneAndUpdate(
+      { _id: id, branchId, trackInventory: true, stockQuantity: { $gte: quantity } },
+      { $inc: { stockQuantity: -quantity, totalSold: quantity } },
+      { new: true }
+    ).select(STOCK_FIELDS);
+    return { foodItem: id, quantity, tracked: true, reserved: Boolean(updated), updated };
+  }));
+
+  const items = results.map(({ foodItem, quantity, tracked }) => ({ foodItem, quantity, tracked }));
+  const ingredients = ingredientResults.map(({ ingredient, quantity }) => ({ ingredient, quantity }));
+  const missing = results.filter(result => !result.reserved);
+  const missingIngredients = ingredientResults.filter(result => !result.reserved);
+  if (missing.length === 0 && missingIngredients.length === 0) {
+    await recordMovements([
+      ...results.filter(result => result.updated).map(({ updated, quantity }) => ({ item: updated, quantity: -quantity })),
+      ...ingredientResults.map(({ updated, quantity }) => ({ ingredient: updated, quantity: -quantity }))
+    ], { type: 'sale', orderId, actor });
+    await refreshDishAvailability(branchId, { ingredients: ingredients.map(entry => entry.ingredient) });
+    return { items, ingredients };
+  }
+
+  // Nothing was sold, so the partial reservation is undone without ledger entries
+  await Promise.all([
+    incrementStock(items.filter((item, index) => results[index].reserved)),
+    incrementIngredients(ingredients.filter((entry, index) => ingredientResults[index].reserved))
+  ]);
+
+  const [current, currentIngredients] = await Promise.all([
+    FoodItem.find({ _id: { $in: missing.map(result => result.foodItem) } }).select('name stockQuantity').lean(),
+    Ingredient.find({ _id: { $in: missingIngredients.map(result => result.ingredient) } })
+      .select('name unit stockQuantity')
+      .lean()
+  ]);
+  const error = createStockError(
+    'Some items do not have enough stock for this order',
+    'INSUFFICIENT_STOCK'
+  );
+  error.items = [
+    ...missing.map(({ foodItem, quantity }) => {
+      const item = current.find(candidate => candidate._id.toString() === foodItem);
+      return {
+        foodItem,
+        name: item?.name?.en,
+        requested: quantity,
+        available: Math.max(item?.stockQuantity || 0, 0)
+      };
+    }),
+    ...missingIngredients.map(({ ingredient, quantity }) => {
+      const entry = currentIngredients.find(candidate => candidate._id.toString() === ingredient);
+      return {
+        ingredient,
+        name: entry?.name,
+        unit: entry?.unit,
+        requested: quantity,
+        available: Math.max(entry?.stockQuantity || 0, 0),
+        foodItems: [...usage.find(([id]) => id === ingredient)[1].foodItems]
+      };
+    })
+  ];
+  throw error;
+};
+
+/**
+ * Give back the stock an order holds. Safe to call more than once: only the
+ * first call for a reservation restocks.
+ * Orders placed before reservations existed give back their lines' quantities
+ * of the items that track inventory.
+ * @param {object} order - Order document
+ * @param {string} reason - Why the stock is released ('order-cancelled', 'payment-failed')
+ * @returns {Promise<boolean>} true when stock was released by this call
+ */
+const releaseOrderStock = async (order, reason) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'stockReservation.status': { $in: ['reserved', null] } },
+    {
+      $set: {
+        'stockReservation.status': 'released',
+        'stockReservation.releasedAt': new Date(),
+        'stockReservation.releaseReason': reason
+      }
+    }
+  ).select('stockReservation items branchId');
+  if (!claimed) return false;
+
+  let items = claimed.stockReservation?.items;
+  const ingredients = claimed.stockReservation?.ingredients || [];
+  if (!claimed.stockReservation?.status) {
+    const tracked = await FoodItem.find({
+      _id: { $in: claimed.items.map(item => item.foodItem) },
+      branchId: claimed.branchId,
+      trackInventory: true
+    }).select('_id').lean();
+    const trackedIds = new Set(tracked.map(item => item._id.toString()));
+    items = [...sumQuantities(claimed.items)]
+      .filter(([id]) => trackedIds.has(id))
+      .map(([foodItem, quantity]) => ({ foodItem, quantity, tracked: true }));
+  }
+
+  await returnStock({ items: items || [], ingredients }, { orderId: order._id, reason });
+  if (order.stockReservation) order.stockReservation.status = 'released';
+  return true;
+};
+
+/**
+ * Take the stock of an order again after it was released by a failed payment,
+ * before the customer retries the payment
+ * @param {object} order - Order document
+ * @returns {Promise<boolean>} true when stock was reserved by this call
+ * @throws {Error} code INSUFFICIENT_STOCK when the items sold out in the meantime
+ */
+const reclaimOrderStock = async (order) => {
+  if (order.stockReservation?.status !== 'released' || order.status === 'cancelled') return false;
+
+  // The order's lines, so recipes and picked options are taken into account
+  const reservation = await reserveStock(order.branchId?._id || order.branchId, order.items, {
+    orderId: order._id
+  });
+  const claimed = await Order.updateOne(
+    { _id: order._id, 'stockReservation.status': 'released' },
+    {
+      $set: {
+        'stockReservation.status': 'reserved',
+        'stockReservation.items': reservation.items,
+        'stockReservation.ingredients': reservation.ingredients
+      },
+      $unset: { 'stockReservation.releasedAt': 1, 'stockReservation.releaseReason': 1 }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    // Another request reclaimed it first
+    await returnStock(reservation, { orderId: order._id, reason: 'duplicate-reservation' });
+    return false;
+  }
+
+  order.stockReservation.status = 'reserved';
+  return true;
+};
+
+// Change the stockQuantity of a food item or an ingredient by hand and write
+// its ledger entry. `key` names the document in the change ('item' or 'ingredient').
+const adjustLevel = async ({ Model, fields, key, notFound }, id, branchId, { type, quantity, setTo, reason, actor }) => {
+  let doc;
+  let change;
+  if (setTo !== undefined) {
+    // The previous level is needed to know the change
+    const before = await Model.findOneAndUpdate(
+      { _id: id, branchId },
+      { $set: { stockQuantity: setTo } }
+    ).select(fields);
+    if (before) {
+      change = roundQuantity(setTo - before.stockQuantity);
+      doc = before;
+      doc.stockQuantity = setTo;
+    }
+  } else {
+    const filter = { _id: id, branchId };
+    if (quantity < 0) filter.stockQuantity = { $gte: -quantity };
+    doc = await Model.findOneAndUpdate(filter, { $inc: { stockQuantity: quantity } }, { new: true })
+      .select(fields);
+    change = quantity;
+
+    if (!doc && quantity < 0) {
+      const current = await Model.findOne({ _id: id, branchId }).select('stockQuantity unit').lean();
+      if (current) {
+        const available = Math.max(current.stockQuantity, 0);
+        const error = createStockError(
+          `Only ${available} ${current.unit || 'unit(s)'} in stock`,
+          'INSUFFICIENT_STOCK'
+        );
+        error.available = available;
+        throw error;
+      }
+    }
+  }
+
+  if (!doc) {
+    throw createStockError(notFound.message, notFound.code, 404);
+  }
+  if (change === 0) return { doc, movement: null };
+
+  const [movement = null] = await recordMovements([{ [key]: doc, quantity: change }], { type, reason, actor });
+  return { doc, movement };
+};
+
+const FOOD_ITEM_STOCK = {
+  Model: FoodItem,
+  fields: STOCK_FIELDS,
+  key: 'item',
+  notFound: { message: 'Food item not found', code: 'FOOD_ITEM_NOT_FOUND' }
+};
+
+const INGREDIENT_STOCK = {
+  Model: Ingredient,
+  fields: INGREDIENT_FIELDS,
+  key: 'ingredient',
+  notFound: { message: 'Ingredient not found', code: 'INGREDIENT_NOT_FOUND' }
+};
+
+/**
+ * Restock, waste or adjust an item's stock by hand, with a ledger entry
+ * @param {string} foodItemId
+ * @param {string} branchId
+ * @param {object} change
+ * @param {string} change.type - 'restock', 'waste' or 'adjustment'
+ * @param {number} [change.quantity] - Units to add (negative to take out)
+ * @param {number} [change.setTo] - New stock level, instead of quantity (a count)
+ * @param {string} [change.reason]
+ * @param {object} [change.actor] - { user, role } making the change
+ * @returns {Promise<object>} { item, movement } with the updated FoodItem and the
+ *   ledger entry (null when the level did not change)
+ * @throws {Error} code FOOD_ITEM_NOT_FOUND, or INSUFFICIENT_STOCK (with `available`)
+ *   when more would be taken out than is in stock
+ */
+const adjustStock = async (foodItemId, branchId, change) => {
+  const { doc, movement } = await adjustLevel(FOOD_ITEM_STOCK, foodItemId, branchId, change);
+  return { item: doc, movement };
+};
+
+/**
+ * Restock, waste or adjust an ingredient by hand, with a ledger entry; the
+ * dishes using it are re-evaluated
+ * @param {string} ingredientId
+ * @param {string} branchId
+ * @param {object} change - As for adjustStock, in the ingredient's unit
+ * @returns {Promise<object>} { ingredient, movement }
+ * @throws {Error} code INGREDIENT_NOT_FOUND, or INSUFFICIENT_STOCK (with `available`)
+ */
+const adjustIngredientStock = async (ingredientId, branchId, change) => {
+  const { doc, movement } = await adjustLevel(INGREDIENT_STOCK, ingredientId, branchId, change);
+  await refreshDishAvailability(branchId, { ingredients: [doc._id] });
+  return { ingredient: doc, movement };
+};
+
+module.exports = {
+  reserveStock,
+  returnStock,
+  releaseOrderStock,
+  reclaimOrderStock,
+  adjustStock,
+  adjustIngredientStock,
+  refreshDishAvailability
+};